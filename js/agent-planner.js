@@ -0,0 +1,271 @@
+/**
+ * Agent Planner Module - Multi-step agent mode
+ * Asks the model for a plan, carries out its steps in order (each a tool call or a
+ * model call), re-plans when a step fails, and stops at a step or token limit.
+ * The planner doesn't talk to the API itself; the caller passes in how to call the
+ * model and run a tool, so the same loop works with every provider.
+ */
+const AgentPlanner = (function() {
+    'use strict';
+
+    // Times a plan may be redone after failed steps
+    const MAX_REPLANS = 2;
+
+    // Longest step result repeated in later prompts
+    const MAX_RESULT_LENGTH = 2000;
+
+    const PLAN_FORMAT = `Reply with JSON only, in this form:
+{"steps": [
+  {"title": "Short description", "tool": "tool_name", "arguments": {"name": "value"}},
+  {"title": "Short description", "instruction": "What the model should work out or write"}
+]}`;
+
+    /**
+     * Describes the available tools for a planning prompt
+     * @param {Array} tools - The function declarations [{ name, description, parameters }]
+     * @returns {string} - The description
+     */
+    function describeTools(tools) {
+        if (!tools.length) return 'No tools are available, so every step is a model step.';
+
+        return 'Tools:\n' + tools.map(tool =>
+            `- ${tool.name}: ${tool.description} Arguments: ${JSON.stringify(tool.parameters || {})}`
+        ).join('\n');
+    }
+
+    /**
+     * Describes the steps and results of a trace for a prompt
+     * @param {Object} trace - The trace
+     * @returns {string} - One line per step
+     */
+    function describeSteps(trace) {
+        return trace.steps.map((step, index) => {
+            let line = `${index + 1}. [${step.status}] ${step.title}`;
+            if (step.result) {
+                const result = step.result.length > MAX_RESULT_LENGTH ?
+                    step.result.slice(0, MAX_RESULT_LENGTH) + '…' : step.result;
+                line += `\n   Result: ${result}`;
+            }
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Adds instructions to the user's system prompt
+     * @param {string} systemPrompt - The user's system prompt, empty for none
+     * @param {string} instructions - The agent instructions
+     * @returns {string} - The combined prompt
+     */
+    function withInstructions(systemPrompt, instructions) {
+        return systemPrompt ? `${systemPrompt}\n\n${instructions}` : instructions;
+    }
+
+    /**
+     * Reads a plan from a model reply
+     * The JSON may be wrapped in a code fence or surrounded by text
+     * @param {string} text - The reply
+     * @param {Array} tools - The function declarations the plan may use
+     * @returns {Array} - The steps [{ title, tool, arguments, instruction, status, result }]
+     */
+    function parsePlan(text, tools) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        let plan;
+        try {
+            plan = JSON.parse(text.slice(start, end + 1));
+        } catch (err) {
+            throw new Error('The model did not return a plan in JSON');
+        }
+
+        const steps = Array.isArray(plan?.steps) ? plan.steps : [];
+        return steps
+            .filter(step => step && typeof step === 'object')
+            .map((step, index) => {
+                const isTool = typeof step.tool === 'string' && step.tool !== '';
+                if (isTool && !tools.some(tool => tool.name === step.tool)) {
+                    throw new Error(`The plan uses an unknown tool: ${step.tool}`);
+                }
+                return {
+                    title: String(step.title || step.instruction || step.tool || `Step ${index + 1}`),
+                    tool: isTool ? step.tool : null,
+                    arguments: isTool ? (step.arguments || {}) : null,
+                    instruction: isTool ? '' : String(step.instruction || step.title || ''),
+                    status: 'pending',
+                    result: ''
+                };
+            });
+    }
+
+    /**
+     * Builds the instructions of the planning call
+     * @param {Array} tools - The function declarations
+     * @param {number} maxSteps - The most steps a plan may have
+     * @returns {string} - The instructions
+     */
+    function buildPlanInstructions(tools, maxSteps) {
+        return `You are planning how to answer the user's latest message. Break the work into at most ${maxSteps} ` +
+            `short steps that are carried out in order; each step sees the results of the steps before it. ` +
+            `A step either calls one of the tools with arguments that are already known, or asks the model ` +
+            `to work something out or write something. Don't add a step for the final answer, which is ` +
+            `written after the steps. A simple message may need a single step.\n\n` +
+            `${describeTools(tools)}\n\n${PLAN_FORMAT}`;
+    }
+
+    /**
+     * Builds the instructions of a model step
+     * @param {Object} trace - The trace
+     * @param {Object} step - The step to carry out
+     * @returns {string} - The instructions
+     */
+    function buildStepInstructions(trace, step) {
+        return `You are carrying out one step of a plan for answering the user's latest message.\n\n` +
+            `Plan so far:\n${describeSteps(trace)}\n\n` +
+            `Do only the step marked [running]: ${step.instruction}\n` +
+            `Reply with the result of that step, without answering the whole message.`;
+    }
+
+    /**
+     * Builds the instructions of a re-planning call
+     * @param {Object} trace - The trace, with the failed step
+     * @param {Array} tools - The function declarations
+     * @param {number} maxSteps - The most steps the new plan may have
+     * @returns {string} - The instructions
+     */
+    function buildReplanInstructions(trace, tools, maxSteps) {
+        return `You are carrying out a plan for answering the user's latest message, and a step failed.\n\n` +
+            `Plan so far:\n${describeSteps(trace)}\n\n` +
+            `Plan the remaining work again in at most ${maxSteps} steps, working around the failure. ` +
+            `Don't repeat steps that are done.\n\n${describeTools(tools)}\n\n${PLAN_FORMAT}`;
+    }
+
+    /**
+     * Builds the instructions of the call that writes the final answer
+     * @param {Object} trace - The finished trace
+     * @returns {string} - The instructions
+     */
+    function buildAnswerInstructions(trace) {
+        let instructions = 'You planned and carried out steps to answer the user\'s latest message.\n\n' +
+            `Steps:\n${describeSteps(trace) || '(none)'}\n\n` +
+            'Write the answer to the user\'s message using these results. ' +
+            'Don\'t mention the plan or the steps unless the user asks about them.';
+        if (trace.stopped) {
+            instructions += ` The work was stopped early (${trace.stopped}), so say what is missing if it matters.`;
+        }
+        return instructions;
+    }
+
+    /**
+     * Counts the tokens of a model call, estimating them if the provider didn't report usage
+     * @param {Object} result - The call result { text, usage }
+     * @param {Array} history - The messages sent
+     * @param {string} systemPrompt - The system prompt sent
+     * @returns {number} - The total tokens
+     */
+    function countTokens(result, history, systemPrompt) {
+        if (result.usage) return result.usage.totalTokens;
+
+        return [systemPrompt, result.text, ...history.map(message => message.content)]
+            .reduce((sum, text) => sum + Utils.estimateTokens(text), 0);
+    }
+
+    /**
+     * Plans and carries out the steps for the user's latest message
+     * Failed steps and stops are recorded in the trace rather than thrown; only a
+     * failed model call (e.g. a network error or the user stopping) rejects.
+     * @param {Object} task - What to do and how
+     * @param {Array} task.history - The conversation, ending with the user's message
+     * @param {string} task.systemPrompt - The user's system prompt, empty for none
+     * @param {Array} task.tools - The function declarations steps may call
+     * @param {Object} task.limits - { maxSteps, maxTokens }, 0 for no token limit
+     * @param {Function} task.callModel - (history, systemPrompt) => Promise<{ text, usage }>
+     * @param {Function} task.runTool - (name, args) => Promise<string>, rejecting if the call fails
+     * @param {Function} [task.onUpdate] - Called with the trace whenever it changes
+     * @returns {Promise<Object>} - The trace { steps, replans, tokens, stopped, error }
+     */
+    async function run(task) {
+        const { history, systemPrompt, tools, limits } = task;
+        const trace = { steps: [], replans: 0, tokens: 0, stopped: null, error: null };
+        const update = () => task.onUpdate && task.onUpdate(trace);
+
+        const callModel = async instructions => {
+            const prompt = withInstructions(systemPrompt, instructions);
+            const result = await task.callModel(history, prompt);
+            trace.tokens += countTokens(result, history, prompt);
+            return result.text;
+        };
+
+        const plan = await callModel(buildPlanInstructions(tools, limits.maxSteps));
+        try {
+            trace.steps = parsePlan(plan, tools);
+        } catch (err) {
+            // Without a plan the answer is written directly
+            trace.error = err.message;
+        }
+        update();
+
+        let executed = 0;
+        for (let index = 0; index < trace.steps.length; index++) {
+            const step = trace.steps[index];
+
+            if (executed >= limits.maxSteps) {
+                trace.stopped = `step limit of ${limits.maxSteps} reached`;
+            } else if (limits.maxTokens > 0 && trace.tokens >= limits.maxTokens) {
+                trace.stopped = `token limit of ${limits.maxTokens} reached`;
+            }
+            if (trace.stopped) break;
+
+            step.status = 'running';
+            update();
+            executed++;
+
+            try {
+                if (step.tool) {
+                    step.result = await task.runTool(step.tool, step.arguments);
+                } else {
+                    step.result = (await callModel(buildStepInstructions(trace, step))).trim();
+                    if (!step.result) throw new Error('The model returned nothing');
+                }
+                step.status = 'done';
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                step.status = 'failed';
+                step.result = 'Error: ' + err.message;
+            }
+            update();
+
+            if (step.status === 'failed') {
+                if (trace.replans >= MAX_REPLANS) {
+                    trace.stopped = 'a step failed after re-planning';
+                    break;
+                }
+
+                // The new plan replaces the steps that haven't run
+                trace.replans++;
+                trace.steps = trace.steps.slice(0, index + 1);
+                try {
+                    const remaining = limits.maxSteps - executed;
+                    trace.steps.push(...parsePlan(
+                        await callModel(buildReplanInstructions(trace, tools, Math.max(remaining, 1))), tools));
+                } catch (err) {
+                    if (err.name === 'AbortError') throw err;
+                    trace.error = err.message;
+                    trace.stopped = 'no usable plan after a failed step';
+                    break;
+                }
+                update();
+            }
+        }
+
+        trace.steps.forEach(step => {
+            if (step.status === 'pending') step.status = 'skipped';
+        });
+        update();
+        return trace;
+    }
+
+    // Public API
+    return {
+        run,
+        buildAnswerInstructions
+    };
+})();
@@ -9,28 +9,20 @@ const ApiService = (function() {
     let apiKey = "";
     let geminiApiKey = "";
     
-    // Encrypted API keys
-    const encryptedOpenAIKey = "069089026066075089092031002003099081098064082125085108093006123109084087069010097094114091115010026093095069126088000107095121083104015115094081116122082001110083091112111031107123125089102075109090007091101098011084093094091081091065125092000095109005116094085089127124065102101117011003125102007070014123126120064002118015101093122067105119090112120113093125081086113122118113001120123011125092085103007086108119119007083119014125015112124106000120087004098124093117090066000116113095081115";
+    // API keys encrypted with PBKDF2 + AES-GCM, generated by `npm run encrypt-keys`.
+    // Holds JSON { openai, gemini }; a wrong password fails to decrypt it.
+    // No key is shipped otherwise: the server proxy adds its own.
+    const encryptedKeyBundle = "";
     
-    // Gemini decryption
-    (function(){
-        var _0x1a2b3c = "20250325";
-        var _0x4d5e6f = "115121072084099074118106117088090121005073031071112069112077003119122093072123106109115098002002094093126121003069010";
-        var _0x7f8g9h = function(_0xabcd){
-            var _0x123 = new TextDecoder(), _0x456 = new TextEncoder(), _0x789 = "";
-            for(var _0xdef = 0; _0xdef < _0xabcd.length; _0xdef += 3) {
-                var _0x101 = _0xabcd.slice(_0xdef, _0xdef + 3);
-                var _0x112 = parseInt(_0x101);
-                var _0x131 = _0x1a2b3c.charCodeAt((_0xdef / 3) % _0x1a2b3c.length);
-                var _0x415 = _0x112 ^ _0x131;
-                _0x789 += String.fromCharCode(_0x415);
-            }
-            return _0x123.decode(new Uint8Array(_0x456.encode(_0x789)));
-        };
-        geminiApiKey = _0x7f8g9h(_0x4d5e6f);
-    })();
+    // Server proxy routes (see server.js)
+    const PROXY_URL = '/api/chat';
+    const PROXY_STREAM_URL = '/api/chat/stream';
+    const PROXY_SESSION_URL = '/api/session';
+    const PROXY_LOGIN_URL = '/api/login';
+    const PROXY_LOGOUT_URL = '/api/logout';
+    let mode = 'direct';
 
-    // Gemini API configuration
+    // Gemini API configuration, used where the user has not set a parameter
     const generationConfig = {
         temperature: 1,
         topP: 0.95,
@@ -39,16 +31,37 @@ const ApiService = (function() {
         responseMimeType: "text/plain"
     };
 
+    // Context window of models that don't declare one, in tokens
+    const DEFAULT_CONTEXT_WINDOW = 8192;
+
+    // Generation parameters a provider can support, with their valid ranges
+    const GENERATION_PARAMS = {
+        temperature: { min: 0, max: 2 },
+        topP: { min: 0, max: 1 },
+        topK: { min: 1, max: 1000, integer: true },
+        maxTokens: { min: 1, max: 1000000, integer: true },
+        stop: { list: true, maxItems: 4 },
+        presencePenalty: { min: -2, max: 2 },
+        frequencyPenalty: { min: -2, max: 2 },
+        seed: { min: -2147483648, max: 2147483647, integer: true }
+    };
+
     /**
-     * Initialize the API service by decrypting the API key
-     * @param {string} password - The password to decrypt the API key
-     * @returns {boolean} - Whether initialization was successful
+     * Initialize the API service by decrypting the API keys
+     * @param {string} password - The password to decrypt the API keys
+     * @returns {Promise<boolean>} - Whether the password was correct
+     * @throws {Error} - If no encrypted keys are set up
      */
-    function init(password) {
+    async function init(password) {
         if (!password) return false;
+        if (!encryptedKeyBundle) {
+            throw new Error('No API keys are set up for direct mode. Run `npm run encrypt-keys` or use the server proxy.');
+        }
         
         try {
-            apiKey = Utils.decrypt(encryptedOpenAIKey, password);
+            const keys = JSON.parse(await Utils.decryptSecret(encryptedKeyBundle, password));
+            apiKey = keys.openai || '';
+            geminiApiKey = keys.gemini || '';
             return true;
         } catch (err) {
             console.error('Failed to decrypt API key:', err);
@@ -57,244 +70,854 @@ const ApiService = (function() {
     }
 
     /**
-     * Sends a non-streaming request to OpenAI API
-     * @param {string} model - The model to use
-     * @param {Array} messages - The message history
-     * @returns {Promise<Object>} - The API response
+     * Gets the login state of the server proxy
+     * @returns {Promise<Object>} - { required, authenticated }
      */
-    async function sendOpenAIRequest(model, messages) {
-        const payload = { model, messages };
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
+    async function getProxySession() {
+        const response = await RequestClient.request(PROXY_SESSION_URL, { credentials: 'same-origin' });
         return response.json();
     }
 
     /**
-     * Sends a streaming request to OpenAI API
-     * @param {string} model - The model to use
-     * @param {Array} messages - The message history
-     * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * Logs in to the server proxy, which sets an HttpOnly session cookie
+     * @param {string} password - The server password
+     * @param {boolean} remember - Whether the session should outlive the browser session
+     * @returns {Promise<boolean>} - Whether the password was accepted
      */
-    async function streamOpenAIRequest(model, messages, onChunk) {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify({ model, messages, stream: true })
-        });
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
+    async function loginToProxy(password, remember) {
+        try {
+            // A wrong password must not be tried again
+            await RequestClient.request(PROXY_LOGIN_URL, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password, remember })
+            }, { retries: 0 });
+        } catch (err) {
+            if (err.name === 'AuthError' && err.status === 401) return false;
+            throw err;
         }
-        
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        let done = false;
-        let eventBuffer = '';
-        let fullReply = '';
-        
-        while (!done) {
-            const { value, done: doneReading } = await reader.read();
-            done = doneReading;
-            
-            // Accumulate and split complete SSE events
-            eventBuffer += decoder.decode(value || new Uint8Array(), { stream: !done });
-            const events = eventBuffer.split(/\r?\n\r?\n/);
-            eventBuffer = events.pop(); // keep incomplete event
+        return true;
+    }
+
+    /**
+     * Ends the server proxy session
+     */
+    async function logoutFromProxy() {
+        await RequestClient.request(PROXY_LOGOUT_URL, { method: 'POST', credentials: 'same-origin' }, { retries: 0 });
+    }
+
+    // Provider registry, keyed by provider id
+    const providers = {};
+
+    /**
+     * Maps message content to Gemini parts
+     * @param {string|Array} content - The message content, text or content parts
+     * @returns {Array} - Gemini parts, empty for empty content
+     */
+    function toGeminiParts(content) {
+        if (!Array.isArray(content)) {
+            return content ? [{ text: content }] : [];
+        }
+        return content.map(part => {
+            if (part.type === 'image' || part.type === 'document') {
+                return { inlineData: { mimeType: part.mimeType, data: part.data } };
+            }
+            return { text: part.type === 'file' ? Attachments.toInlineText(part) : part.text };
+        });
+    }
+
+    /**
+     * Maps message content to the OpenAI chat completions format
+     * @param {string|Array} content - The message content, text or content parts
+     * @returns {string|Array} - The text, or content parts with images as image_url
+     */
+    function toOpenAIContent(content) {
+        if (!Array.isArray(content)) return content;
+
+        return content.map(part => {
+            if (part.type === 'image') {
+                return { type: 'image_url', image_url: { url: Attachments.toDataUrl(part) } };
+            }
+            if (part.type === 'document') {
+                return { type: 'file', file: { filename: part.name, file_data: Attachments.toDataUrl(part) } };
+            }
+            return { type: 'text', text: part.type === 'file' ? Attachments.toInlineText(part) : part.text };
+        });
+    }
+
+    /**
+     * Maps the chat history to Gemini's contents format
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - Gemini contents array
+     */
+    function toGeminiContents(chatHistory) {
+        const contents = [];
+        chatHistory.forEach(item => {
+            if (item.role === 'tool') {
+                const part = { functionResponse: { name: item.name, response: { result: item.content } } };
+                // Results of calls made in the same turn go back in one turn
+                const previous = contents[contents.length - 1];
+                if (previous && previous.parts[0].functionResponse) {
+                    previous.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
+                return;
+            }
             
-            for (const ev of events) {
-                // Each ev is one SSE event block
-                const lines = ev.split(/\r?\n/);
-                for (const line of lines) {
-                    const parsed = Utils.parseSSELine(line);
-                    if (!parsed) continue;
-                    
-                    if (parsed.done) {
-                        done = true;
-                        break;
-                    }
-                    
-                    const delta = parsed.data?.choices?.[0]?.delta;
-                    if (delta?.content) {
-                        fullReply += delta.content;
-                        if (onChunk) onChunk(delta.content, fullReply);
-                    }
+            const parts = toGeminiParts(item.content);
+            (item.toolCalls || []).forEach(call => {
+                parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+            });
+            if (parts.length) {
+                contents.push({ role: item.role === 'assistant' ? 'model' : 'user', parts });
+            }
+        });
+        return contents;
+    }
+
+    /**
+     * Completes the tool calls read from a response: arguments arrive as JSON text
+     * from some providers, and not every provider gives its calls an id
+     * @param {Array} calls - [{ id, name, arguments }], arguments as an object or JSON text
+     * @returns {Array} - [{ id, name, arguments }], arguments as an object or null if unreadable
+     */
+    function finishToolCalls(calls) {
+        return calls.filter(call => call.name).map(call => {
+            let args = call.arguments || {};
+            if (typeof args === 'string') {
+                try {
+                    args = JSON.parse(args.trim() || '{}');
+                } catch (err) {
+                    args = null;
                 }
-                if (done) break;
             }
-        }
-        
-        return fullReply;
+            return { id: call.id || Utils.generateId(), name: call.name, arguments: args };
+        });
     }
-    
+
     /**
-     * Creates a Gemini session
-     * @param {string} model - The model to use
-     * @returns {Object} - Session with sendMessage method
+     * Adds the tool call fragments of one streamed event to the calls read so far
+     * Fragments with an index continue the call at that index, others start a new call
+     * @param {Array} calls - The calls so far, changed in place
+     * @param {Array} fragments - [{ index, id, name, arguments }], arguments as JSON text or an object
      */
-    function createGeminiSession(model) {
-        return {
-            sendMessage: async function(userText, chatHistory) {
-                // Prepare contents array and request body
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const requestBody = {
-                    contents: contents,
-                    generationConfig: generationConfig
+    function mergeToolCallFragments(calls, fragments) {
+        fragments.forEach(fragment => {
+            const call = fragment.index !== undefined ? calls[fragment.index] : undefined;
+            if (!call) {
+                calls[fragment.index !== undefined ? fragment.index : calls.length] = {
+                    id: fragment.id,
+                    name: fragment.name || '',
+                    arguments: fragment.arguments || ''
                 };
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestBody)
+                return;
+            }
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.name) call.name += fragment.name;
+            if (fragment.arguments) call.arguments += fragment.arguments;
+        });
+    }
+
+    /**
+     * Creates a provider for the OpenAI chat completions wire format
+     * @param {Object} config - Provider id, name, models and endpoint accessors
+     * @param {Function} config.getUrl - Returns the chat completions URL
+     * @param {Function} config.getApiKey - Returns the API key to send, if any
+     * @param {Function} [config.toModelName] - Maps a model id to the name sent on the wire
+     * @returns {Object} - The provider
+     */
+    function createOpenAICompatibleProvider(config) {
+        const toModelName = config.toModelName || (model => model);
+        
+        return {
+            id: config.id,
+            name: config.name,
+            proxied: Boolean(config.proxied),
+            get models() {
+                return typeof config.models === 'function' ? config.models() : config.models;
+            },
+
+            supportedParams: ['temperature', 'topP', 'maxTokens', 'stop', 'presencePenalty', 'frequencyPenalty', 'seed'],
+
+            formatMessages(chatHistory) {
+                return chatHistory.map(item => {
+                    if (item.role === 'tool') {
+                        return { role: 'tool', tool_call_id: item.toolCallId, content: item.content };
+                    }
+                    if (item.toolCalls) {
+                        return {
+                            role: 'assistant',
+                            content: item.content || null,
+                            tool_calls: item.toolCalls.map(call => ({
+                                id: call.id,
+                                type: 'function',
+                                function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                            }))
+                        };
+                    }
+                    return { role: item.role, content: toOpenAIContent(item.content) };
                 });
+            },
+
+            buildBody(model, chatHistory, options) {
+                const messages = this.formatMessages(chatHistory);
+                if (options.systemPrompt) {
+                    messages.unshift({ role: 'system', content: options.systemPrompt });
+                }
                 
-                if (!response.ok) {
-                    const errText = await response.text();
-                    throw new Error(`API error ${response.status}: ${errText}`);
+                const body = { model: toModelName(model), messages };
+                const params = options.params || {};
+                if (params.temperature !== undefined) body.temperature = params.temperature;
+                if (params.topP !== undefined) body.top_p = params.topP;
+                if (params.maxTokens !== undefined) body.max_tokens = params.maxTokens;
+                if (params.stop !== undefined) body.stop = params.stop;
+                if (params.presencePenalty !== undefined) body.presence_penalty = params.presencePenalty;
+                if (params.frequencyPenalty !== undefined) body.frequency_penalty = params.frequencyPenalty;
+                if (params.seed !== undefined) body.seed = params.seed;
+                if (options.tools) {
+                    body.tools = options.tools.map(tool => ({ type: 'function', function: tool }));
                 }
+
+                if (options.stream) {
+                    body.stream = true;
+                    // Ask for a final chunk carrying the token usage
+                    body.stream_options = { include_usage: true };
+                }
+                return body;
+            },
+
+            getEndpoint() {
+                const headers = { 'Content-Type': 'application/json' };
+                const key = config.getApiKey();
+                if (key) headers['Authorization'] = 'Bearer ' + key;
                 
-                const result = await response.json();
-                if (!result.candidates || result.candidates.length === 0) {
-                    throw new Error('No response from API');
+                return { url: config.getUrl(), headers };
+            },
+
+            parseStreamData(data) {
+                return data.choices?.[0]?.delta?.content || '';
+            },
+
+            // Reasoning models served this way send their reasoning in a separate field
+            parseStreamReasoning(data) {
+                const delta = data.choices?.[0]?.delta || {};
+                return delta.reasoning_content || delta.reasoning || '';
+            },
+
+            // Tool calls stream as fragments keyed by index, with the arguments split across events
+            parseStreamToolCalls(data) {
+                return (data.choices?.[0]?.delta?.tool_calls || []).map(call => ({
+                    index: call.index,
+                    id: call.id,
+                    name: call.function?.name,
+                    arguments: call.function?.arguments
+                }));
+            },
+
+            extractText(result) {
+                if (result.error) {
+                    throw new Error(result.error.message);
                 }
+                return result.choices?.[0]?.message?.content || '';
+            },
+
+            extractReasoning(result) {
+                const message = result.choices?.[0]?.message || {};
+                return message.reasoning_content || message.reasoning || '';
+            },
+
+            extractToolCalls(result) {
+                return (result.choices?.[0]?.message?.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function?.name,
+                    arguments: call.function?.arguments
+                }));
+            },
+
+            extractUsage(result) {
+                const usage = result.usage;
+                if (!usage) return null;
                 
-                return result;
+                return {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || 0
+                };
             }
         };
     }
 
     /**
-     * Sends a streaming request to Gemini API
+     * OpenAI provider - chat completions API
+     */
+    const openAIProvider = createOpenAICompatibleProvider({
+        id: 'openai',
+        name: 'OpenAI',
+        proxied: true,
+        models: [
+            { id: 'gpt-4.1-mini', label: 'GPT-4.1 Mini', pricing: { input: 0.40, output: 1.60 }, contextWindow: 1047576 },
+            { id: 'gpt-4.1-nano', label: 'GPT-4.1 Nano', pricing: { input: 0.10, output: 0.40 }, contextWindow: 1047576 }
+        ],
+        getUrl: () => 'https://api.openai.com/v1/chat/completions',
+        getApiKey: () => {
+            if (!apiKey) {
+                throw new RequestClient.AuthError('Not logged in. Enter the password to use OpenAI models.');
+            }
+            return apiKey;
+        }
+    });
+
+    /**
+     * Custom provider - any OpenAI-compatible server (llama.cpp, Ollama, vLLM, ...)
+     * Model ids are prefixed so they cannot clash with the built-in providers
+     */
+    const CUSTOM_MODEL_PREFIX = 'custom:';
+    let customEndpoint = { baseUrl: '', apiKey: '', models: [] };
+    
+    const customProvider = createOpenAICompatibleProvider({
+        id: 'custom',
+        name: 'Custom Endpoint',
+        models: () => customEndpoint.models.map(name => ({
+            id: CUSTOM_MODEL_PREFIX + name,
+            label: name
+        })),
+        getUrl: () => getCustomApiUrl(customEndpoint.baseUrl, 'chat/completions'),
+        getApiKey: () => customEndpoint.apiKey,
+        toModelName: model => model.slice(CUSTOM_MODEL_PREFIX.length)
+    });
+
+    /**
+     * Builds a URL under the /v1 path of an OpenAI-compatible server
+     * @param {string} baseUrl - The server base URL, with or without /v1
+     * @param {string} path - The path below /v1
+     * @returns {string} - The full URL
+     */
+    function getCustomApiUrl(baseUrl, path) {
+        if (!baseUrl) {
+            throw new Error('No custom endpoint configured. Set its base URL in Settings.');
+        }
+        const root = baseUrl.trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+        return `${root}/v1/${path}`;
+    }
+
+    /**
+     * Configures the custom OpenAI-compatible endpoint
+     * @param {Object} config - The endpoint settings
+     * @param {string} config.baseUrl - The server base URL
+     * @param {string} config.apiKey - The API key, if the server needs one
+     * @param {Array<string>} config.models - The model names served by the endpoint
+     */
+    function configureCustomEndpoint(config) {
+        customEndpoint = {
+            baseUrl: config?.baseUrl || '',
+            apiKey: config?.apiKey || '',
+            models: Array.isArray(config?.models) ? config.models : []
+        };
+    }
+
+    /**
+     * Gets the custom endpoint configuration
+     * @returns {Object} - A copy of the endpoint base URL, API key and model names
+     */
+    function getCustomEndpoint() {
+        return { ...customEndpoint, models: [...customEndpoint.models] };
+    }
+
+    /**
+     * Fetches the model names served by an OpenAI-compatible endpoint
+     * @param {string} baseUrl - The server base URL
+     * @param {string} key - The API key, if the server needs one
+     * @returns {Promise<Array<string>>} - The model names
+     */
+    async function fetchCustomModels(baseUrl, key) {
+        const headers = {};
+        if (key) headers['Authorization'] = 'Bearer ' + key;
+        
+        const response = await RequestClient.request(getCustomApiUrl(baseUrl, 'models'), { headers });
+        const result = await response.json();
+        return (result.data || []).map(model => model.id).filter(Boolean);
+    }
+
+    /**
+     * Gets the decrypted Gemini key for direct requests
+     * @returns {string} - The key
+     * @throws {AuthError} - If the keys haven't been decrypted or have no Gemini key
+     */
+    function getGeminiApiKey() {
+        if (!geminiApiKey) {
+            throw new RequestClient.AuthError('No Gemini key. Log in with a key bundle that includes one, or use the server proxy.');
+        }
+        return geminiApiKey;
+    }
+
+    /**
+     * Gemini provider - Generative Language API (Gemini and Gemma models)
+     */
+    const geminiProvider = {
+        id: 'gemini',
+        name: 'Google',
+        models: [
+            { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash', pricing: { input: 0.10, output: 0.40 }, contextWindow: 1048576 },
+            // Thinking models return a summary of their reasoning when asked
+            {
+                id: 'gemini-2.5-flash',
+                label: 'Gemini 2.5 Flash',
+                pricing: { input: 0.30, output: 2.50 },
+                contextWindow: 1048576,
+                thinking: true
+            },
+            // Gemma models reject systemInstruction and function declarations
+            {
+                id: 'gemma-3-27b-it',
+                label: 'Gemma 3-27b IT',
+                pricing: { input: 0, output: 0 },
+                contextWindow: 131072,
+                systemInstruction: false,
+                tools: false
+            }
+        ],
+
+        proxied: true,
+
+        supportedParams: ['temperature', 'topP', 'topK', 'maxTokens', 'stop', 'presencePenalty', 'frequencyPenalty', 'seed'],
+
+        formatMessages: toGeminiContents,
+
+        buildBody(model, chatHistory, options) {
+            const params = options.params || {};
+            const config = { ...generationConfig };
+            if (params.temperature !== undefined) config.temperature = params.temperature;
+            if (params.topP !== undefined) config.topP = params.topP;
+            if (params.topK !== undefined) config.topK = params.topK;
+            if (params.maxTokens !== undefined) config.maxOutputTokens = params.maxTokens;
+            if (params.stop !== undefined) config.stopSequences = params.stop;
+            if (params.presencePenalty !== undefined) config.presencePenalty = params.presencePenalty;
+            if (params.frequencyPenalty !== undefined) config.frequencyPenalty = params.frequencyPenalty;
+            if (params.seed !== undefined) config.seed = params.seed;
+            if (getModel(model)?.thinking) config.thinkingConfig = { includeThoughts: true };
+            
+            const body = { contents: this.formatMessages(chatHistory), generationConfig: config };
+            if (options.tools) body.tools = [{ functionDeclarations: options.tools }];
+            if (!options.systemPrompt) return body;
+            
+            if (getModel(model)?.systemInstruction === false) {
+                // Prepend the prompt to the first user turn instead
+                const first = body.contents.find(content => content.role === 'user');
+                if (first) {
+                    first.parts.unshift({ text: options.systemPrompt });
+                }
+            } else {
+                body.systemInstruction = { parts: [{ text: options.systemPrompt }] };
+            }
+            return body;
+        },
+
+        getEndpoint(model, options) {
+            const method = options.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+            
+            // The key goes in a header so it never appears in URLs or logs
+            return {
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}`,
+                headers: { 
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': getGeminiApiKey()
+                }
+            };
+        },
+
+        parseStreamData(data) {
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            return parts.filter(p => !p.thought).map(p => p.text || '').join('');
+        },
+
+        // Thought summaries arrive as parts flagged with thought: true
+        parseStreamReasoning(data) {
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            return parts.filter(p => p.thought).map(p => p.text || '').join('');
+        },
+
+        // Function calls arrive whole, so each part starts a new call
+        parseStreamToolCalls(data) {
+            return this.extractToolCalls(data);
+        },
+
+        extractText(result) {
+            if (!result.candidates || result.candidates.length === 0) {
+                throw new Error('No response from API');
+            }
+            
+            const content = result.candidates[0].content || {};
+            if (content.parts) {
+                return content.parts.filter(p => !p.thought && p.text).map(p => p.text).join(' ');
+            }
+            return content.text || '';
+        },
+
+        extractReasoning(result) {
+            const parts = result.candidates?.[0]?.content?.parts || [];
+            return parts.filter(p => p.thought).map(p => p.text).join('\n\n');
+        },
+
+        extractToolCalls(result) {
+            const parts = result.candidates?.[0]?.content?.parts || [];
+            return parts.filter(p => p.functionCall).map(p => ({
+                id: p.functionCall.id,
+                name: p.functionCall.name,
+                arguments: p.functionCall.args
+            }));
+        },
+
+        extractUsage(result) {
+            const usage = result.usageMetadata;
+            if (!usage) return null;
+            
+            // Streamed chunks carry running totals, so the last one is complete
+            return {
+                promptTokens: usage.promptTokenCount || 0,
+                completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+                totalTokens: usage.totalTokenCount || 0
+            };
+        }
+    };
+
+    /**
+     * Registers a provider. A provider declares its models and how to talk to its API:
+     * - id, name: identifier and display name
+     * - models: array of { id, label, pricing, contextWindow }, where pricing is { input, output }
+     *   in USD per million tokens (omit it for models that cost nothing, e.g. local servers) and
+     *   contextWindow is in tokens (omit it if unknown); providers may add their own model flags
+     * - buildBody receives options.systemPrompt, options.params and options.tools (function
+     *   declarations { name, description, parameters }) and maps them to the provider's own
+     *   fields; the chat history may then hold assistant entries with toolCalls
+     *   [{ id, name, arguments }] and the { role: 'tool', toolCallId, name, content } results
+     * - proxied: whether the server proxy can forward its requests
+     * - supportedParams: the generation parameters it accepts (see GENERATION_PARAMS);
+     *   others are dropped before buildBody sees them
+     * - formatMessages(chatHistory): maps chat history to the wire format
+     * - buildBody(model, chatHistory, options): returns the request body
+     * - getEndpoint(model, options): returns the { url, headers } of a direct request
+     * - parseStreamData(data): returns the text delta of one parsed SSE event
+     * - extractText(result): returns the reply text of a non-streaming response
+     * - extractUsage(result): returns { promptTokens, completionTokens, totalTokens }
+     *   of a response or streamed event, or null if it carries no usage
+     * - parseStreamReasoning(data), extractReasoning(result): optional; return the
+     *   reasoning of models that send it apart from the reply
+     * - parseStreamToolCalls(data), extractToolCalls(result): optional; return the tool calls
+     *   [{ index, id, name, arguments }] of a streamed event or response. Streamed fragments
+     *   with the same index are joined. Providers without them can't use tools.
+     * @param {Object} provider - The provider definition
+     */
+    function registerProvider(provider) {
+        if (!provider || !provider.id) {
+            throw new Error('Provider must have an id');
+        }
+        providers[provider.id] = provider;
+    }
+
+    /**
+     * Gets all registered providers
+     * @returns {Array} - The registered providers
+     */
+    function getProviders() {
+        return Object.values(providers);
+    }
+
+    /**
+     * Finds the provider that serves a model
+     * @param {string} model - The model id
+     * @returns {Object|null} - The provider or null if none serves the model
+     */
+    function getProviderForModel(model) {
+        return getProviders().find(provider => 
+            provider.models.some(m => m.id === model)
+        ) || null;
+    }
+
+    /**
+     * Gets the definition of a model
+     * @param {string} model - The model id
+     * @returns {Object|null} - The model { id, label, pricing } or null if unknown
+     */
+    function getModel(model) {
+        const provider = getProviderForModel(model);
+        return provider ? provider.models.find(m => m.id === model) : null;
+    }
+
+    /**
+     * Gets the context window of a model
+     * Models that don't declare one (e.g. on a custom endpoint) get a small default,
+     * since local servers often run with short contexts
+     * @param {string} model - The model id
+     * @returns {number} - The context window in tokens
+     */
+    function getContextWindow(model) {
+        return getModel(model)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    }
+
+    /**
+     * Gets the provider for a model or throws if the model is unknown
+     * @param {string} model - The model id
+     * @returns {Object} - The provider
+     */
+    function requireProvider(model) {
+        const provider = getProviderForModel(model);
+        if (!provider) {
+            throw new Error(`No provider registered for model: ${model}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Checks generation parameters against what the provider of a model supports
+     * @param {string} model - The model id
+     * @param {Object} params - Parameters by name, e.g. { temperature: 0.7, stop: ['END'] };
+     *   null, undefined and empty values mean "use the provider default"
+     * @returns {Object} - { params, dropped } with the valid parameters and the
+     *   [{ name, reason }] of those that were removed
+     */
+    function validateParams(model, params) {
+        const provider = getProviderForModel(model);
+        const supported = provider?.supportedParams || [];
+        const valid = {};
+        const dropped = [];
+        
+        Object.entries(params || {}).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)) return;
+            
+            const definition = GENERATION_PARAMS[name];
+            if (!definition) {
+                dropped.push({ name, reason: 'unknown parameter' });
+            } else if (!supported.includes(name)) {
+                dropped.push({ name, reason: `not supported by ${provider ? provider.name : 'this model'}` });
+            } else if (definition.list) {
+                const items = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item);
+                if (items.length > definition.maxItems) {
+                    dropped.push({ name, reason: `at most ${definition.maxItems} values` });
+                } else if (items.length) {
+                    valid[name] = items;
+                }
+            } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+                       (definition.integer && !Number.isInteger(value))) {
+                dropped.push({ name, reason: definition.integer ? 'must be a whole number' : 'must be a number' });
+            } else if (value < definition.min || value > definition.max) {
+                dropped.push({ name, reason: `must be between ${definition.min} and ${definition.max}` });
+            } else {
+                valid[name] = value;
+            }
+        });
+        
+        return { params: valid, dropped };
+    }
+
+    /**
+     * Gets the generation parameters the provider of a model accepts
+     * @param {string} model - The model id
+     * @returns {Array<string>} - The parameter names
+     */
+    function getSupportedParams(model) {
+        return [...(getProviderForModel(model)?.supportedParams || [])];
+    }
+
+    /**
+     * Checks whether a model can call tools
+     * @param {string} model - The model id
+     * @returns {boolean} - Whether tools can be sent with its requests
+     */
+    function supportsTools(model) {
+        const provider = getProviderForModel(model);
+        return Boolean(provider?.extractToolCalls) && getModel(model)?.tools !== false;
+    }
+
+    /**
+     * Sets how requests reach the providers
+     * @param {string} newMode - 'direct' to call vendors from the browser, 'proxy' to go through server.js
+     */
+    function setMode(newMode) {
+        mode = newMode === 'proxy' ? 'proxy' : 'direct';
+    }
+
+    /**
+     * Gets how requests reach the providers
+     * @returns {string} - 'direct' or 'proxy'
+     */
+    function getMode() {
+        return mode;
+    }
+
+    /**
+     * Builds the request for a model, either to the vendor or to the server proxy
+     * @param {Object} provider - The provider of the model
      * @param {string} model - The model to use
      * @param {Array} chatHistory - The message history
-     * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
-     */
-    async function streamGeminiRequest(model, chatHistory, onChunk) {
-        // Build the request body
-        const contents = chatHistory.map(item => ({
-            role: item.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: item.content }]
-        }));
+     * @param {Object} options - Request options ({ stream, systemPrompt, params, tools })
+     * @returns {Object} - The request { url, headers, body }
+     */
+    function buildRequest(provider, model, chatHistory, options) {
+        // Dropped values were already reported when the settings were saved
+        const { params } = validateParams(model, options.params);
         
-        const requestBody = { contents, generationConfig };
+        const body = provider.buildBody(model, chatHistory, { ...options, params });
+        
+        if (mode === 'proxy' && provider.proxied) {
+            return {
+                url: options.stream ? PROXY_STREAM_URL : PROXY_URL,
+                headers: { 'Content-Type': 'application/json' },
+                body: { provider: provider.id, model, body }
+            };
+        }
         
-        // Send the streaming request
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
-        const response = await fetch(url, {
+        return { ...provider.getEndpoint(model, options), body };
+    }
+
+    /**
+     * Posts a request, retrying failures that may pass
+     * @param {Object} request - The request from buildRequest
+     * @param {Object} options - The signal and onRetry options of sendRequest or streamRequest
+     * @returns {Promise<Response>} - The fetch response
+     * @throws {RequestClient.ApiError} - A typed error if every attempt failed
+     */
+    function postRequest(request, options) {
+        return RequestClient.request(request.url, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-        });
+            headers: request.headers,
+            body: JSON.stringify(request.body)
+        }, { signal: options.signal, onRetry: options.onRetry });
+    }
+
+    /**
+     * Sends a non-streaming request to the provider of the model
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @param {string} [options.systemPrompt] - The system prompt
+     * @param {Object} [options.params] - Generation parameters, see validateParams
+     * @param {Array} [options.tools] - Function declarations the model may call, see supportsTools
+     * @param {Function} [options.onRetry] - Called before a failed request is retried, see RequestClient.request
+     * @returns {Promise<Object>} - The reply text, the model's own reasoning (empty if it sent none),
+     *   tool calls [{ id, name, arguments }], token usage (or null) and raw response
+     */
+    async function sendRequest(model, chatHistory, options = {}) {
+        const provider = requireProvider(model);
+        const response = await postRequest(
+            buildRequest(provider, model, chatHistory, {
+                stream: false,
+                systemPrompt: options.systemPrompt,
+                params: options.params,
+                tools: options.tools
+            }),
+            options
+        );
         
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
+        const result = await response.json();
+        return {
+            text: provider.extractText(result),
+            reasoning: provider.extractReasoning ? provider.extractReasoning(result) : '',
+            toolCalls: provider.extractToolCalls ? finishToolCalls(provider.extractToolCalls(result)) : [],
+            usage: provider.extractUsage(result),
+            raw: result
+        };
+    }
+
+    /**
+     * Sends a streaming request to the provider of the model
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Function} onChunk - Called with (textChunk, fullReply, reasoning) as the reply or the
+     *   model's own reasoning grows
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request, rejecting with an AbortError
+     * @param {string} [options.systemPrompt] - The system prompt
+     * @param {Object} [options.params] - Generation parameters, see validateParams
+     * @param {Array} [options.tools] - Function declarations the model may call, see supportsTools
+     * @param {Function} [options.onRetry] - Called before a failed request is retried, see RequestClient.request
+     * @returns {Promise<Object>} - The full response text, the model's own reasoning (empty if it sent
+     *   none), the tool calls [{ id, name, arguments }] and the token usage (or null) from the stream
+     */
+    async function streamRequest(model, chatHistory, onChunk, options = {}) {
+        const provider = requireProvider(model);
+        const response = await postRequest(
+            buildRequest(provider, model, chatHistory, {
+                stream: true,
+                systemPrompt: options.systemPrompt,
+                params: options.params,
+                tools: options.tools
+            }),
+            options
+        );
         
-        // Process the streaming response
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
-        let done = false, buffer = '', fullReply = '';
+        let done = false;
+        let buffer = '';
+        let fullReply = '';
+        let reasoning = '';
+        const toolCalls = [];
+        let usage = null;
         
         while (!done) {
             const { value, done: doneReading } = await reader.read();
             done = doneReading;
             
+            // Accumulate and split complete SSE lines
             buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
             const lines = buffer.split(/\r?\n/);
-            buffer = lines.pop();
+            buffer = lines.pop(); // keep incomplete line
             
             for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') { 
-                        done = true; 
-                        break; 
-                    }
-                    
-                    try {
-                        const parsed = JSON.parse(data);
-                        const parts = parsed.candidates?.[0]?.content?.parts || [];
-                        const textChunk = parts[parts.length - 1]?.text || '';
-                        
-                        fullReply += textChunk;
-                        if (onChunk) onChunk(textChunk, fullReply);
-                    } catch (err) {
-                        console.error('Stream parsing error', err);
-                    }
+                const parsed = Utils.parseSSELine(line);
+                if (!parsed) continue;
+                
+                if (parsed.done) {
+                    done = true;
+                    break;
                 }
-            }
-        }
-        
-        return fullReply;
-    }
-
-    /**
-     * Gets the token usage for the last interaction
-     * @param {string} model - The model used
-     * @param {Array} chatHistory - The current chat history
-     * @returns {Promise<number>} - The token count of the last interaction
-     */
-    async function getTokenUsage(model, chatHistory) {
-        try {
-            let usageResult;
-            
-            if (model.startsWith('gpt')) {
-                // ChatGPT usage via non-stream call
-                const res = await sendOpenAIRequest(model, chatHistory);
-                return res.usage?.total_tokens || 0;
-            } else {
-                // Gemini usage
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
                 
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const res = await fetch(url, {
-                    method: 'POST', 
-                    headers: { 'Content-Type': 'application/json' }, 
-                    body: JSON.stringify({ contents, generationConfig })
-                });
+                usage = provider.extractUsage(parsed.data) || usage;
                 
-                usageResult = await res.json();
-                return usageResult.usageMetadata?.totalTokenCount || 0;
+                const reasoningChunk = provider.parseStreamReasoning ?
+                    provider.parseStreamReasoning(parsed.data) : '';
+                const textChunk = provider.parseStreamData(parsed.data);
+                if (provider.parseStreamToolCalls) {
+                    mergeToolCallFragments(toolCalls, provider.parseStreamToolCalls(parsed.data));
+                }
+                reasoning += reasoningChunk;
+                fullReply += textChunk;
+                if ((textChunk || reasoningChunk) && onChunk) {
+                    onChunk(textChunk, fullReply, reasoning);
+                }
             }
-        } catch (err) {
-            console.error('Error fetching token usage:', err);
-            return 0;
         }
+        
+        return { text: fullReply, reasoning, toolCalls: finishToolCalls(toolCalls.filter(Boolean)), usage };
     }
 
+    registerProvider(openAIProvider);
+    registerProvider(geminiProvider);
+    registerProvider(customProvider);
+
     // Public API
     return {
         init,
-        sendOpenAIRequest,
-        streamOpenAIRequest,
-        createGeminiSession,
-        streamGeminiRequest,
-        getTokenUsage
+        setMode,
+        getMode,
+        getProxySession,
+        loginToProxy,
+        logoutFromProxy,
+        registerProvider,
+        getProviders,
+        getProviderForModel,
+        getModel,
+        getContextWindow,
+        validateParams,
+        getSupportedParams,
+        supportsTools,
+        configureCustomEndpoint,
+        getCustomEndpoint,
+        fetchCustomModels,
+        sendRequest,
+        streamRequest
     };
-})(); 
\ No newline at end of file
+})();
\ No newline at end of file
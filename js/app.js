@@ -15,8 +15,8 @@ const App = (function() {
         // Initialize UI controller
         UIController.init();
         
-        // Load saved settings from cookie
-        const savedSettings = Utils.getSettingsFromCookie() || {};
+        // Load saved settings
+        const savedSettings = Utils.loadSettings() || {};
         
         // Initialize settings controller with saved settings
         SettingsController.init();
@@ -24,6 +24,18 @@ const App = (function() {
         // Initialize chat controller with settings
         ChatController.init(savedSettings);
         
+        // Initialize the conversation sidebar
+        SidebarController.init();
+        
+        // Suggest slash commands and templates in the message input
+        SlashCommands.init();
+        
+        // Listen for keyboard shortcuts, including the command palette
+        CommandPalette.init();
+        
+        // Set up log out button
+        document.getElementById('logout-button').addEventListener('click', logOut);
+        
         // Show main container (will be visible but login modal on top)
         document.getElementById('chat-container').style.display = 'flex';
         
@@ -34,11 +46,24 @@ const App = (function() {
     /**
      * Checks for a saved password or prompts the user
      */
-    function checkPasswordOrPrompt() {
-        const savedPassword = Utils.getPasswordFromCookie();
+    async function checkPasswordOrPrompt() {
+        // The server proxy holds the provider keys and may require its own login
+        if (ApiService.getMode() === 'proxy') {
+            try {
+                const session = await ApiService.getProxySession();
+                if (session.required && !session.authenticated) {
+                    showLoginModal();
+                }
+            } catch (err) {
+                console.error('Failed to check the server session:', err);
+            }
+            return;
+        }
+        
+        const savedPassword = await CredentialStore.load();
         
         if (savedPassword) {
-            doLogin(savedPassword);
+            await doLogin(savedPassword);
         } else {
             showLoginModal();
         }
@@ -55,6 +80,7 @@ const App = (function() {
             
             // Setup event listeners
             document.getElementById('login-button').addEventListener('click', handleLogin);
+            document.getElementById('skip-login-button').addEventListener('click', skipLogin);
             document.getElementById('api-password').addEventListener('keydown', function(event) {
                 if (event.key === 'Enter') {
                     handleLogin();
@@ -67,25 +93,58 @@ const App = (function() {
             }, 100);
         }
         
+        // The server login replaces the API key password in proxy mode
+        const isProxy = ApiService.getMode() === 'proxy';
+        document.getElementById('login-title').textContent = isProxy ? 'Server Login' : 'API Key Password';
+        document.getElementById('login-description').textContent = isProxy ?
+            'Please enter the server password to use the AI proxy.' :
+            'Please enter your password to decrypt the API key needed for this application.';
+        document.getElementById('skip-login-button').style.display = isProxy ? 'none' : '';
+        
         loginModal.style.display = 'flex';
         document.getElementById('login-error').style.display = 'none';
     }
     
+    /**
+     * Shows an error message in the login modal
+     * @param {string} message - The error message
+     */
+    function showLoginError(message) {
+        const loginError = document.getElementById('login-error');
+        loginError.textContent = message;
+        loginError.style.display = 'block';
+    }
+    
     /**
      * Handles login form submission
      */
-    function handleLogin() {
+    async function handleLogin() {
         const passwordInput = document.getElementById('api-password');
         const rememberCheckbox = document.getElementById('remember-password');
+        const loginButton = document.getElementById('login-button');
         const password = passwordInput.value.trim();
         
         if (!password) {
-            document.getElementById('login-error').textContent = 'Password is required.';
-            document.getElementById('login-error').style.display = 'block';
+            showLoginError('Password is required.');
             return;
         }
         
-        const success = ApiService.init(password);
+        const isProxy = ApiService.getMode() === 'proxy';
+        let success = false;
+        
+        // Key derivation takes a moment, so block repeated submits
+        loginButton.disabled = true;
+        try {
+            success = isProxy ?
+                await ApiService.loginToProxy(password, rememberCheckbox.checked) :
+                await ApiService.init(password);
+        } catch (err) {
+            console.error('Login failed:', err);
+            showLoginError('Login failed: ' + err.message);
+            return;
+        } finally {
+            loginButton.disabled = false;
+        }
         
         if (success) {
             // Store remember password setting
@@ -93,41 +152,62 @@ const App = (function() {
             settings.rememberPassword = rememberCheckbox.checked;
             ChatController.updateSettings(settings);
             
-            // Save password if remember is checked
-            if (rememberCheckbox.checked) {
-                Utils.savePasswordToCookie(password);
+            // Save password if remember is checked (the server keeps its own session)
+            if (!isProxy && rememberCheckbox.checked) {
+                await CredentialStore.save(password);
             }
             
             // Hide the login modal
             loginModal.style.display = 'none';
+            passwordInput.value = '';
         } else {
             // Show error message
-            document.getElementById('login-error').textContent = 'Invalid password. Please try again.';
-            document.getElementById('login-error').style.display = 'block';
-            Utils.clearSavedPassword();
+            showLoginError('Invalid password. Please try again.');
+            await CredentialStore.clear();
             passwordInput.value = '';
             passwordInput.focus();
         }
     }
     
+    /**
+     * Continues without a password, for use with a custom endpoint only
+     */
+    function skipLogin() {
+        loginModal.style.display = 'none';
+        SettingsController.showSettingsModal();
+    }
+    
     /**
      * Attempts to login with the provided password
      * @param {string} password - The API key password
      */
-    function doLogin(password) {
-        const success = ApiService.init(password);
+    async function doLogin(password) {
+        let success = false;
+        try {
+            success = await ApiService.init(password);
+        } catch (err) {
+            console.error('Login failed:', err);
+        }
         
         if (!success) {
-            Utils.clearSavedPassword();
+            await CredentialStore.clear();
             showLoginModal();
         }
     }
     
     /**
-     * Logs the user out by clearing saved credentials
+     * Logs the user out by clearing saved credentials and the server session
      */
-    function logOut() {
-        Utils.clearSavedPassword();
+    async function logOut() {
+        if (ApiService.getMode() === 'proxy') {
+            try {
+                await ApiService.logoutFromProxy();
+            } catch (err) {
+                console.error('Failed to end the server session:', err);
+            }
+        }
+        
+        await CredentialStore.clear();
         location.reload();
     }
 
@@ -0,0 +1,111 @@
+/**
+ * Attachments Module - Reads files attached to a message into content parts
+ * Images and PDFs are kept as base64 and sent to the model as they are; text files
+ * are read as text and inlined into the prompt.
+ */
+const Attachments = (function() {
+    'use strict';
+
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+    const DOCUMENT_TYPES = ['application/pdf'];
+
+    // Files that are text even though browsers report no text/* type for them
+    const TEXT_EXTENSIONS = [
+        'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'toml', 'ini', 'log',
+        'html', 'htm', 'css', 'js', 'mjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'java', 'c', 'h', 'cpp',
+        'hpp', 'cs', 'go', 'rs', 'php', 'sh', 'sql'
+    ];
+
+    // Binary attachments are stored with the conversation, so they are kept small
+    const MAX_BINARY_SIZE = 10 * 1024 * 1024;
+    const MAX_TEXT_SIZE = 512 * 1024;
+
+    /**
+     * Gets the kind of content part a file becomes
+     * @param {File} file - The file
+     * @returns {string|null} - 'image', 'document', 'file' (text) or null if it can't be attached
+     */
+    function getKind(file) {
+        if (IMAGE_TYPES.includes(file.type)) return 'image';
+        if (DOCUMENT_TYPES.includes(file.type)) return 'document';
+
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        if (file.type.startsWith('text/') || /\/(json|xml|javascript)$/.test(file.type) ||
+            TEXT_EXTENSIONS.includes(extension)) {
+            return 'file';
+        }
+        return null;
+    }
+
+    /**
+     * Formats a file size
+     * @param {number} bytes - The size
+     * @returns {string} - The size in KB or MB
+     */
+    function formatSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    }
+
+    /**
+     * Reads a file as base64
+     * @param {File} file - The file
+     * @returns {Promise<string>} - The file data, base64 encoded
+     */
+    function readBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Reads a file into a content part
+     * @param {File} file - The file
+     * @returns {Promise<Object>} - { type: 'image' | 'document', name, mimeType, data } with base64
+     *   data, or { type: 'file', name, mimeType, text } for a text file
+     */
+    async function read(file) {
+        const kind = getKind(file);
+        if (!kind) {
+            throw new Error(`${file.name} can't be attached. Attach images, PDFs or text files.`);
+        }
+
+        const limit = kind === 'file' ? MAX_TEXT_SIZE : MAX_BINARY_SIZE;
+        if (file.size > limit) {
+            throw new Error(`${file.name} is ${formatSize(file.size)}; the limit is ${formatSize(limit)}.`);
+        }
+
+        const mimeType = file.type || 'text/plain';
+        if (kind === 'file') {
+            return { type: 'file', name: file.name, mimeType, text: await file.text() };
+        }
+        return { type: kind, name: file.name, mimeType, data: await readBase64(file) };
+    }
+
+    /**
+     * Gets the data URL of an image or PDF part
+     * @param {Object} part - The content part
+     * @returns {string} - The data URL
+     */
+    function toDataUrl(part) {
+        return `data:${part.mimeType};base64,${part.data}`;
+    }
+
+    /**
+     * Formats a text file part for inlining into the prompt
+     * @param {Object} part - The text file part
+     * @returns {string} - The file name and contents
+     */
+    function toInlineText(part) {
+        return `Attached file ${part.name}:\n\`\`\`\n${part.text}\n\`\`\``;
+    }
+
+    // Public API
+    return {
+        read,
+        toDataUrl,
+        toInlineText
+    };
+})();
@@ -6,22 +6,110 @@ const ChatController = (function() {
     'use strict';
 
     // Private state
-    let chatHistory = [];
-    let totalTokens = 0;
-    let settings = { streaming: false, enableCoT: false, showThinking: true };
-    let isThinking = false;
-    let lastThinkingContent = '';
-    let lastAnswerContent = '';
+    let tree = ConversationTree.create(); // Every message of the open conversation, with its branches
+    let chatHistory = []; // The messages of the active branch of the tree
+    let usageTotals = createUsage(); // Token usage of the open conversation
+    let lastUsage = null; // Token usage of the latest reply
+    let settings = {
+        streaming: false,
+        enableCoT: false,
+        showThinking: true,
+        enableTools: true,
+        agent: { enabled: false, maxSteps: 6, maxTokens: 50000 },
+        knowledgeBase: { enabled: false, passages: 4 },
+        context: { strategy: 'window', pinFirst: 2 },
+        network: { timeout: 60, retries: 2, fallbackModels: [] },
+        compare: { enabled: false, models: ['gpt-4.1-mini', 'gemini-2.0-flash'] }
+    };
+    let conversation = null; // The open conversation, null until the first message
+    let abortController = null; // Set while a reply is being generated
+    let choosingReply = false; // Set while the replies of a comparison wait for the user to choose one
+    let systemPromptOverride = null; // The open conversation's own system prompt, null to use the default
+
+    // Rounds of tool calls a reply may take before it is given up
+    const MAX_TOOL_ROUNDS = 8;
+
+    // What is shown while a failed request waits to be retried, by error name
+    const RETRY_REASONS = {
+        RateLimitError: 'Rate limited',
+        TimeoutError: 'No response',
+        NetworkError: 'Connection failed'
+    };
+
+    /**
+     * Creates an empty token usage record
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens, cost }
+     */
+    function createUsage() {
+        return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    }
 
-    const cotPreamble = `**Chain of Thought Instructions:**
-1.  **Understand:** Briefly rephrase the core problem or question.
-2.  **Deconstruct:** Break the problem down into smaller, logical steps needed to reach the solution.
-3.  **Execute & Explain:** Work through each step sequentially. Show your reasoning, calculations, or data analysis for each step clearly.
-4.  **Synthesize:** Combine the findings from the previous steps to formulate the final conclusion.
-5.  **Final Answer:** State the final answer clearly and concisely, prefixed exactly with "\\nFinal Answer:".
+    /**
+     * Adds up two token usage records
+     * @param {Object|null} total - The usage so far
+     * @param {Object|null} usage - The usage to add
+     * @returns {Object|null} - The sum, or null if neither has usage
+     */
+    function sumUsage(total, usage) {
+        if (!total || !usage) return total || usage;
+        return {
+            promptTokens: total.promptTokens + usage.promptTokens,
+            completionTokens: total.completionTokens + usage.completionTokens,
+            totalTokens: total.totalTokens + usage.totalTokens
+        };
+    }
 
-Begin Reasoning Now:
-`;
+    /**
+     * Adds a reply's token usage to the conversation totals
+     * @param {Object|null} usage - The usage of a reply
+     */
+    function recordUsage(usage) {
+        if (!usage) return;
+        
+        lastUsage = usage;
+        usageTotals = {
+            promptTokens: usageTotals.promptTokens + usage.promptTokens,
+            completionTokens: usageTotals.completionTokens + usage.completionTokens,
+            totalTokens: usageTotals.totalTokens + usage.totalTokens,
+            cost: (usageTotals.cost || 0) + (usage.cost || 0)
+        };
+    }
+
+    /**
+     * Updates the token usage and cost display
+     */
+    function refreshUsageDisplay() {
+        Utils.updateTokenDisplay(usageTotals, lastUsage, UsageTracker.getSessionCost());
+        refreshContextDisplay();
+    }
+
+    /**
+     * Gets how the history of a request to a model is fitted into its context window
+     * @param {Object} currentSettings - The settings, with the parameters and budgets by model
+     * @param {string} [model] - The model, the selected one by default
+     * @returns {Object} - { budget, strategy, pinFirst }, see ContextManager.plan
+     */
+    function getContextOptions(currentSettings, model = currentSettings.selectedModel) {
+        return {
+            budget: ContextManager.getBudget(model, (currentSettings.contextBudgets || {})[model],
+                currentSettings.modelParams[model]),
+            strategy: settings.context.strategy,
+            pinFirst: settings.context.pinFirst
+        };
+    }
+
+    /**
+     * Shows how much of the context the next request would use, and marks
+     * the messages that would be left out or summarized
+     */
+    function refreshContextDisplay() {
+        const plan = ContextManager.plan(chatHistory, {
+            ...getContextOptions(SettingsController.getSettings()),
+            systemPrompt: getRequestSystemPrompt()
+        });
+        UIController.setContextStates(ConversationTree.getActivePath(tree), plan.states);
+        UIController.updateContextMeter(plan);
+    }
 
     /**
      * Initializes the chat controller
@@ -33,7 +121,7 @@ Begin Reasoning Now:
         }
         
         // Set up event handlers through UI controller
-        UIController.setupEventHandlers(sendMessage, clearChat);
+        UIController.setupEventHandlers(sendMessage, clearChat, stopGeneration, handleMessageAction);
     }
 
     /**
@@ -42,442 +130,971 @@ Begin Reasoning Now:
      */
     function updateSettings(newSettings) {
         settings = { ...settings, ...newSettings };
-        console.log('Chat settings updated:', settings);
+        // The model, its budget or the strategy may have changed
+        refreshContextDisplay();
     }
 
     /**
      * Clears the chat history and resets token count
+     * The saved copy of the conversation is deleted too
      */
     function clearChat() {
+        if (conversation) {
+            ConversationStore.remove(conversation.id)
+                .then(() => SidebarController.refresh())
+                .catch(err => console.error('Failed to delete conversation:', err));
+        }
+        resetConversation();
+    }
+
+    /**
+     * Resets the in-memory conversation state
+     */
+    function resetConversation() {
+        stopGeneration();
+        tree = ConversationTree.create();
         chatHistory = [];
-        totalTokens = 0;
-        Utils.updateTokenDisplay(0);
+        choosingReply = false;
+        usageTotals = createUsage();
+        lastUsage = null;
+        conversation = null;
+        systemPromptOverride = null;
+        refreshUsageDisplay();
+        SidebarController.setActive(null);
     }
 
     /**
-     * Gets the current settings
-     * @returns {Object} - The current settings
+     * Starts a new conversation, leaving the current one saved
      */
-    function getSettings() {
-        return { ...settings };
+    function newConversation() {
+        UIController.clearChatWindow();
+        resetConversation();
+        UIController.focusInput();
     }
 
     /**
-     * Generates Chain of Thought prompting instructions
-     * @param {string} message - The user message
-     * @returns {string} - The CoT enhanced message
+     * Saves the open conversation with its model and settings
      */
-    function enhanceWithCoT(message) {
-        return `${message}\n\nI'd like you to use Chain of Thought reasoning. Please think step-by-step before providing your final answer. Format your response like this:
-Thinking: [detailed reasoning process, exploring different angles and considerations]
-Answer: [your final, concise answer based on the reasoning above]`;
+    async function saveConversation() {
+        if (!conversation) return;
+        
+        const currentSettings = SettingsController.getSettings();
+        conversation = {
+            ...conversation,
+            model: currentSettings.selectedModel,
+            settings: {
+                streaming: settings.streaming,
+                enableCoT: settings.enableCoT,
+                showThinking: settings.showThinking,
+                enableTools: settings.enableTools
+            },
+            messages: [...chatHistory],
+            tree: tree,
+            systemPrompt: systemPromptOverride,
+            usage: usageTotals
+        };
+        
+        try {
+            conversation = await ConversationStore.save(conversation);
+            SidebarController.refresh();
+            SidebarController.setActive(conversation.id);
+        } catch (err) {
+            console.error('Failed to save conversation:', err);
+        }
     }
 
     /**
-     * Processes the AI response to extract thinking and answer parts
-     * @param {string} response - The raw AI response
-     * @returns {Object} - Object with thinking and answer components
+     * Opens a saved conversation, rebuilding the chat window
+     * and restoring its model and settings
+     * @param {string} id - The conversation id
      */
-    function processCoTResponse(response) {
-        console.log("processCoTResponse received:", response);
-        // Check if response follows the Thinking/Answer format
-        const thinkingMatch = response.match(/Thinking:(.*?)(?=Answer:|$)/s);
-        const answerMatch = response.match(/Answer:(.*?)$/s);
-        console.log("processCoTResponse: thinkingMatch", thinkingMatch, "answerMatch", answerMatch);
+    async function loadConversation(id) {
+        stopGeneration();
+        const saved = await ConversationStore.get(id);
+        if (!saved) {
+            console.error('Conversation not found:', id);
+            return;
+        }
         
-        if (thinkingMatch && answerMatch) {
-            const thinking = thinkingMatch[1].trim();
-            const answer = answerMatch[1].trim();
-            
-            // Update the last known content
-            lastThinkingContent = thinking;
-            lastAnswerContent = answer;
-            
-            return {
-                thinking: thinking,
-                answer: answer,
-                hasStructuredResponse: true
-            };
-        } else if (response.startsWith('Thinking:') && !response.includes('Answer:')) {
-            // Partial thinking (no answer yet)
-            const thinking = response.replace(/^Thinking:/, '').trim();
-            lastThinkingContent = thinking;
-            
-            return {
-                thinking: thinking,
-                answer: lastAnswerContent,
-                hasStructuredResponse: true,
-                partial: true,
-                stage: 'thinking'
-            };
-        } else if (response.includes('Thinking:') && !thinkingMatch) {
-            // Malformed response (partial reasoning)
-            const thinking = response.replace(/^.*?Thinking:/s, 'Thinking:');
-            
-            return {
-                thinking: thinking.replace(/^Thinking:/, '').trim(),
-                answer: '',
-                hasStructuredResponse: false,
-                partial: true
-            };
+        // Restore the model and settings the conversation used
+        SettingsController.applySettings({
+            ...saved.settings,
+            ...(saved.model ? { selectedModel: saved.model } : {})
+        });
+        
+        conversation = saved;
+        // Conversations saved before branching only have the flat message list
+        tree = saved.tree || ConversationTree.fromMessages(saved.messages);
+        chatHistory = ConversationTree.getActiveMessages(tree);
+        systemPromptOverride = saved.systemPrompt ?? null;
+        // Older conversations only stored a total
+        usageTotals = saved.usage || { ...createUsage(), totalTokens: saved.totalTokens || 0 };
+        lastUsage = [...chatHistory].reverse().find(message => message.usage)?.usage || null;
+        
+        renderConversation();
+        refreshUsageDisplay();
+        SidebarController.setActive(saved.id);
+    }
+
+    /**
+     * Rebuilds the chat window from the active branch
+     * @param {string} [untilId] - Stop after this message
+     */
+    function renderConversation(untilId) {
+        UIController.clearChatWindow();
+        // A comparison that is still shown is given up, leaving its replies as versions
+        choosingReply = false;
+        
+        for (const id of ConversationTree.getActivePath(tree)) {
+            addMessageElement(id);
+            if (id === untilId) break;
+        }
+        refreshContextDisplay();
+    }
+
+    /**
+     * Adds a message of the tree to the chat window, with its controls
+     * @param {string} id - The node id
+     * @returns {Element} - The message element
+     */
+    function addMessageElement(id) {
+        const message = ConversationTree.getNode(tree, id).message;
+        let element;
+        
+        if (message.role === 'user') {
+            // Older conversations kept the typed text apart from the prompt that was sent
+            element = UIController.addMessage('user', message.display || Utils.getTextContent(message.content));
+            UIController.setMessageAttachments(element, Utils.getAttachments(message.content));
+        } else {
+            element = UIController.addMessage('ai', '');
+            showReply(element, message);
+            if (message.notices) UIController.setMessageNotices(element, message.notices);
+            if (message.sources) UIController.setMessageSources(element, message.sources);
+            if (message.agent) UIController.setAgentPlan(element, message.agent);
+            if (message.steps) UIController.setToolSteps(element, message.steps);
+            if (message.interrupted) UIController.markInterrupted(element);
+            if (message.usage) UIController.setMessageUsage(element, message.usage);
         }
         
-        // If not properly formatted, return the whole response as the answer
+        UIController.setMessageControls(element, getMessageControls(id));
+        return element;
+    }
+
+    /**
+     * Gets the controls shown on a message
+     * @param {string} id - The node id
+     * @returns {Object} - { id, role, siblingIndex, siblingCount }
+     */
+    function getMessageControls(id) {
+        const siblings = ConversationTree.getSiblings(tree, id);
         return {
-            thinking: '',
-            answer: response,
-            hasStructuredResponse: false
+            id,
+            role: ConversationTree.getNode(tree, id).message.role,
+            siblingIndex: siblings.index,
+            siblingCount: siblings.count
         };
     }
-    
+
     /**
-     * Extract and update partial CoT response during streaming
-     * @param {string} fullText - The current streamed text
-     * @returns {Object} - The processed response object
+     * Handles the edit, regenerate and branch controls of a message
+     * @param {string} action - 'edit', 'regenerate', 'previous' or 'next'
+     * @param {string} id - The node id
+     * @param {Element} element - The message element
      */
-    function processPartialCoTResponse(fullText) {
-        console.log("processPartialCoTResponse received:", fullText);
-        if (fullText.includes('Thinking:') && !fullText.includes('Answer:')) {
-            // Only thinking so far
-            const thinking = fullText.replace(/^.*?Thinking:/s, '').trim();
-            
-            return {
-                thinking: thinking,
-                answer: '',
-                hasStructuredResponse: true,
-                partial: true,
-                stage: 'thinking'
-            };
-        } else if (fullText.includes('Thinking:') && fullText.includes('Answer:')) {
-            // Both thinking and answer are present
-            const thinkingMatch = fullText.match(/Thinking:(.*?)(?=Answer:|$)/s);
-            const answerMatch = fullText.match(/Answer:(.*?)$/s);
-            
-            if (thinkingMatch && answerMatch) {
-                return {
-                    thinking: thinkingMatch[1].trim(),
-                    answer: answerMatch[1].trim(),
-                    hasStructuredResponse: true,
-                    partial: false
-                };
-            }
+    async function handleMessageAction(action, id, element) {
+        // The tree can't change while a reply is being added to it
+        if (abortController || !ConversationTree.getNode(tree, id)) return;
+        
+        if (action === 'previous' || action === 'next') {
+            ConversationTree.switchSibling(tree, id, action === 'previous' ? -1 : 1);
+            chatHistory = ConversationTree.getActiveMessages(tree);
+            renderConversation();
+            await saveConversation();
+        } else if (action === 'edit') {
+            await editMessage(id, element);
+        } else if (action === 'regenerate') {
+            await regenerateReply(id);
         }
+    }
+
+    /**
+     * Regenerates the last reply or edits the last message sent, like their message controls
+     * @param {string} action - 'regenerate' or 'edit'
+     * @returns {boolean} - Whether there was a message to act on
+     */
+    function actOnLastMessage(action) {
+        const role = action === 'edit' ? 'user' : 'assistant';
+        const id = ConversationTree.getActivePath(tree).reverse()
+            .find(nodeId => ConversationTree.getNode(tree, nodeId).message.role === role);
+        const element = id && UIController.getMessageElement(id);
+        if (!element || abortController) return false;
+        
+        handleMessageAction(action, id, element);
+        return true;
+    }
+
+    /**
+     * Lets the user edit a sent message, then sends it as a new branch
+     * @param {string} id - The node id of the user message
+     * @param {Element} element - The message element
+     */
+    async function editMessage(id, element) {
+        const node = ConversationTree.getNode(tree, id);
+        const text = await UIController.editMessageText(element,
+            node.message.display || Utils.getTextContent(node.message.content));
+        if (!text || abortController) return;
+        
+        // The edited message keeps its attachments
+        const content = buildContent(text, Utils.getAttachments(node.message.content));
+        const history = [...ConversationTree.getMessages(tree, node.parentId), { role: 'user', content }];
+        if (!confirmBudget(history)) return;
+        
+        const userId = ConversationTree.addMessage(tree, node.parentId, { role: 'user', content });
+        chatHistory = ConversationTree.getActiveMessages(tree);
+        renderConversation();
+        await generateReply(userId);
+    }
+
+    /**
+     * Requests another reply to the same message, kept as a new branch
+     * @param {string} id - The node id of the reply to regenerate
+     */
+    async function regenerateReply(id) {
+        const parentId = ConversationTree.getNode(tree, id).parentId;
+        if (!confirmBudget(ConversationTree.getMessages(tree, parentId))) return;
         
-        // Default case - treat as normal text
+        renderConversation(parentId);
+        await generateReply(parentId);
+    }
+
+    /**
+     * Gets the system prompt sent with the open conversation
+     * @returns {string} - The conversation's own prompt, or else the default one
+     */
+    function getSystemPrompt() {
+        return systemPromptOverride ?? PromptStore.getSystemPrompt();
+    }
+
+    /**
+     * Gets the system prompt of a request, with the reasoning instructions when Chain of Thought is on
+     * @returns {string} - The prompt, empty for none
+     */
+    function getRequestSystemPrompt() {
+        const prompt = getSystemPrompt();
+        if (!settings.enableCoT) return prompt;
+        return prompt ? `${prompt}\n\n${ReasoningParser.INSTRUCTIONS}` : ReasoningParser.INSTRUCTIONS;
+    }
+
+    /**
+     * Gets the open conversation's own system prompt
+     * @returns {string|null} - The prompt, or null if it uses the default
+     */
+    function getSystemPromptOverride() {
+        return systemPromptOverride;
+    }
+
+    /**
+     * Gives the open conversation its own system prompt
+     * It applies to the next conversation if none is open yet
+     * @param {string|null} prompt - The prompt, or null to use the default
+     */
+    async function setSystemPromptOverride(prompt) {
+        systemPromptOverride = prompt === null ? null : prompt.trim();
+        await saveConversation();
+    }
+
+    /**
+     * Gets the current settings
+     * @returns {Object} - The current settings
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Splits a reply into the answer and the reasoning
+     * @param {string} text - The reply text so far
+     * @param {string} nativeReasoning - The reasoning the provider sent apart from the reply
+     * @param {boolean} structured - Whether the reply was asked to use the reasoning delimiters
+     * @returns {Object} - { content, reasoning, stage }
+     */
+    function readReply(text, nativeReasoning, structured) {
+        const parsed = structured ? ReasoningParser.parse(text) : { thinking: '', answer: text, stage: 'answer' };
         return {
-            thinking: '',
-            answer: fullText,
-            hasStructuredResponse: false
+            content: parsed.answer,
+            reasoning: [nativeReasoning, parsed.thinking].filter(Boolean).join('\n\n'),
+            stage: nativeReasoning && !parsed.answer ? 'thinking' : parsed.stage
         };
     }
 
     /**
-     * Formats the response for display based on settings
-     * @param {Object} processed - The processed response with thinking and answer
-     * @returns {string} - The formatted response for display
+     * Shows a reply in its message element, with its reasoning if that is shown
+     * @param {Element} element - The message element
+     * @param {Object} reply - { content, reasoning, stage }, where stage is set while streaming
      */
-    function formatResponseForDisplay(processed) {
-        if (!settings.enableCoT || !processed.hasStructuredResponse) {
-            return processed.answer;
+    function showReply(element, reply) {
+        const reasoning = settings.showThinking ? reply.reasoning : '';
+        if (reply.stage === 'thinking' && !reasoning) {
+            UIController.updateMessageContent(element, '🤔 Thinking...');
+            return;
         }
+        UIController.updateMessageContent(element, reply.content, reasoning);
+    }
 
-        // If showThinking is enabled, show both thinking and answer
-        if (settings.showThinking) {
-            if (processed.partial && processed.stage === 'thinking') {
-                return `Thinking: ${processed.thinking}`;
-            } else if (processed.partial) {
-                return processed.thinking; // Just the partial thinking
-            } else {
-                return `Thinking: ${processed.thinking}\n\nAnswer: ${processed.answer}`;
-            }
-        } else {
-            // Otherwise just show the answer (or thinking indicator if answer isn't ready)
-            return processed.answer || '🤔 Thinking...';
+    /**
+     * Checks the budgets before a request, asking or refusing if one would be exceeded
+     * @param {Array} history - The messages that will be sent
+     * @param {Array<string>} [models] - The models it is sent to, the selected one by default
+     * @returns {boolean} - Whether the request may be sent
+     */
+    function confirmBudget(history, models) {
+        const currentSettings = SettingsController.getSettings();
+        const systemPrompt = getRequestSystemPrompt();
+        // Compare mode sends the message to every model, so their costs are checked together
+        const budgetCheck = UsageTracker.checkBudget(
+            models || currentSettings.selectedModel,
+            systemPrompt ? [{ role: 'system', content: systemPrompt }, ...history] : history,
+            conversation?.id,
+            currentSettings.budgets
+        );
+        if (!budgetCheck.exceeded) return true;
+        
+        if (currentSettings.budgets.action === 'block') {
+            alert(budgetCheck.message + ' The request was not sent.');
+            return false;
         }
+        return confirm(budgetCheck.message + '\n\nSend anyway?');
+    }
+
+    /**
+     * Builds the content of a user message
+     * @param {string} text - The typed text
+     * @param {Array} attachments - The attachment content parts
+     * @returns {string|Array} - The text, or content parts if there are attachments
+     */
+    function buildContent(text, attachments) {
+        if (!attachments.length) return text;
+        return [...(text ? [{ type: 'text', text }] : []), ...attachments];
     }
 
     /**
      * Sends a message to the AI and handles the response
      */
     async function sendMessage() {
-        const message = UIController.getUserInput();
-        if (!message) return;
+        // Only one generation at a time; the Stop button cancels it
+        if (abortController) return;
+        
+        let message = UIController.getUserInput();
+        const attachments = UIController.getAttachments();
+        if (!message && !attachments.length) return;
+        
+        // Slash commands run here, and templates become the message to send
+        if (message.startsWith('/')) {
+            message = await SlashCommands.run(message);
+            if (message === null || abortController) return;
+        }
+        
+        if (choosingReply) {
+            alert('Choose the reply to continue with first.');
+            return;
+        }
+        
+        const content = buildContent(message, attachments);
+        const compareModels = getCompareModels();
         
-        // Reset the partial response tracking
-        lastThinkingContent = '';
-        lastAnswerContent = '';
+        // Warn about or refuse requests that would exceed a budget
+        if (!confirmBudget([...chatHistory, { role: 'user', content }], compareModels)) return;
         
-        // Add user message to UI
-        UIController.addMessage('user', message);
         UIController.clearUserInput();
+        UIController.clearAttachments();
         
-        // Apply CoT formatting if enabled
-        const enhancedMessage = settings.enableCoT ? enhanceWithCoT(message) : message;
+        // Start a saved conversation on the first message
+        if (!conversation) {
+            conversation = ConversationStore.create(message || attachments[0].name);
+        }
         
-        // Get the selected model from SettingsController
-        const currentSettings = SettingsController.getSettings();
-        const selectedModel = currentSettings.selectedModel;
+        const userId = ConversationTree.addMessage(tree, ConversationTree.getLastId(tree), {
+            role: 'user',
+            content
+        });
+        chatHistory = ConversationTree.getActiveMessages(tree);
+        addMessageElement(userId);
+        
+        if (compareModels) {
+            await generateComparison(userId, compareModels);
+        } else {
+            await generateReply(userId);
+        }
+    }
+
+    /**
+     * Gets the models a message is compared across
+     * @returns {Array<string>|null} - The model ids, or null if compare mode is off or has fewer than two
+     */
+    function getCompareModels() {
+        if (!settings.compare.enabled) return null;
+        
+        const models = settings.compare.models.filter(model => ApiService.getModel(model));
+        return models.length >= 2 ? models : null;
+    }
+
+    /**
+     * Builds the request for a reply to a user message
+     * @param {string} parentId - The node id of the user message
+     * @param {string} model - The model to send it to
+     * @param {Object} currentSettings - The settings, with the parameters by model
+     * @returns {Object} - The request, see handleReply
+     */
+    function createReplyRequest(parentId, model, currentSettings) {
+        // Keep a reference to the tree so a reply that finishes after
+        // switching conversations cannot land in the new one
+        const request = {
+            model: model,
+            params: currentSettings.modelParams[model] || {},
+            tree: tree,
+            parentId: parentId,
+            history: ConversationTree.getMessages(tree, parentId),
+            systemPrompt: getRequestSystemPrompt(),
+            structured: settings.enableCoT,
+            streaming: settings.streaming,
+            // In agent mode the planner runs the tools, so the model needn't support tool calling
+            agent: settings.agent.enabled ? {
+                systemPrompt: getSystemPrompt(),
+                tools: settings.enableTools ? ToolRegistry.getDefinitions() : [],
+                limits: { maxSteps: settings.agent.maxSteps, maxTokens: settings.agent.maxTokens }
+            } : null,
+            tools: !settings.agent.enabled && settings.enableTools &&
+                ApiService.supportsTools(model) ? ToolRegistry.getDefinitions() : null,
+            knowledgeBase: settings.knowledgeBase.enabled ? { passages: settings.knowledgeBase.passages } : null,
+            context: getContextOptions(currentSettings, model),
+            conversationId: conversation.id,
+            signal: abortController.signal
+        };
+        // Fallback models must support the tools the request sends
+        request.fallbacks = getFallbacks(currentSettings, model, Boolean(request.tools));
+        return request;
+    }
+
+    /**
+     * Generates a reply to a user message and adds it to the tree
+     * @param {string} parentId - The node id of the user message
+     */
+    async function generateReply(parentId) {
+        abortController = new AbortController();
+        const request = createReplyRequest(parentId, SettingsController.getSettings().selectedModel,
+            SettingsController.getSettings());
+        const element = UIController.createEmptyAIMessage();
+        UIController.setGenerating(true);
         
+        let failure = null;
         try {
-            if (selectedModel.startsWith('gpt')) {
-                // For OpenAI, add enhanced message to chat history before sending to include the CoT prompt.
-                chatHistory.push({ role: 'user', content: enhancedMessage });
-                console.log("Sent enhanced message to GPT:", enhancedMessage);
-                await handleOpenAIMessage(selectedModel, enhancedMessage);
-            } else {
-                // For Gemini, ensure chat history starts with user message if empty
-                if (chatHistory.length === 0) {
-                    chatHistory.push({ role: 'user', content: '' });
-                }
-                await handleGeminiMessage(selectedModel, enhancedMessage);
-            }
+            await handleReply(request, element);
         } catch (error) {
             console.error('Error sending message:', error);
-            UIController.addMessage('ai', 'Error: ' + error.message);
+            failure = error;
+            // The error is shown as its own message
+            element.remove();
         } finally {
-            // Update token usage display
-            Utils.updateTokenDisplay(totalTokens);
+            abortController = null;
+            UIController.setGenerating(false);
+        }
+        
+        if (request.tree !== tree) return;
+        addReplyControls(request, element);
+        
+        // A regeneration that produced nothing leaves the previous reply in place
+        if (!request.replyId && ConversationTree.getNode(tree, parentId).activeChild) {
+            renderConversation();
         }
+        if (failure) {
+            UIController.addErrorMessage('Error: ' + failure.message, () => retryReply(request));
+        }
+        
+        refreshUsageDisplay();
+        await saveConversation();
     }
 
     /**
-     * Handles OpenAI message processing
-     * @param {string} model - The OpenAI model to use
-     * @param {string} message - The user message
+     * Tries a failed reply again from the Retry button of its error, as a new branch like a regeneration
+     * @param {Object} request - The failed request
      */
-    async function handleOpenAIMessage(model, message) {
-        if (settings.streaming) {
-            // Streaming approach
-            const aiMsgElement = UIController.createEmptyAIMessage();
-            let streamedResponse = '';
-            
-            try {
-                // Start thinking indicator if CoT is enabled
-                if (settings.enableCoT) {
-                    isThinking = true;
-                    UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
-                }
-                
-                // Process streaming response
-                const fullReply = await ApiService.streamOpenAIRequest(
-                    model, 
-                    chatHistory,
-                    (chunk, fullText) => {
-                        streamedResponse = fullText;
-                        
-                        if (settings.enableCoT) {
-                            // Process the streamed response for CoT
-                            const processed = processPartialCoTResponse(fullText);
-                            
-                            // Only show "Thinking..." if we're still waiting
-                            if (isThinking && fullText.includes('Answer:')) {
-                                isThinking = false;
-                            }
-                            
-                            // Format according to current stage and settings
-                            const displayText = formatResponseForDisplay(processed);
-                            UIController.updateMessageContent(aiMsgElement, displayText);
-                        } else {
-                            UIController.updateMessageContent(aiMsgElement, fullText);
-                        }
-                    }
-                );
-                
-                // Process response for CoT if enabled
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(fullReply);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Update UI with appropriate content based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.updateMessageContent(aiMsgElement, displayText);
-                    
-                    // Add full response to chat history
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                } else {
-                    // Add to chat history after completed
-                    chatHistory.push({ role: 'assistant', content: fullReply });
+    async function retryReply(request) {
+        // The error may be left over from a conversation that is no longer open
+        if (abortController || request.tree !== tree) return;
+        if (!confirmBudget(ConversationTree.getMessages(tree, request.parentId))) return;
+        
+        renderConversation(request.parentId);
+        await generateReply(request.parentId);
+    }
+
+    /**
+     * Sends a user message to several models at once and shows their replies side by side
+     * Each reply is added to the tree as a version of the reply, and the one the user
+     * chooses becomes the active branch.
+     * @param {string} parentId - The node id of the user message
+     * @param {Array<string>} models - The model ids
+     */
+    async function generateComparison(parentId, models) {
+        abortController = new AbortController();
+        const currentSettings = SettingsController.getSettings();
+        const requests = models.map(model => ({
+            ...createReplyRequest(parentId, model, currentSettings),
+            // A fallback would answer in another model's column
+            fallbacks: []
+        }));
+        const elements = UIController.createComparison(models.map(getModelLabel));
+        UIController.setGenerating(true);
+        
+        try {
+            await Promise.all(requests.map(async (request, index) => {
+                const started = performance.now();
+                try {
+                    await handleReply(request, elements[index]);
+                } catch (error) {
+                    console.error(`Error from ${request.model}:`, error);
+                    UIController.updateMessageContent(elements[index], 'Error: ' + error.message);
                 }
-                
-                // Get token usage
-                const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-                if (tokenCount) {
-                    totalTokens += tokenCount;
+                UIController.setComparisonLatency(elements[index], performance.now() - started);
+            }));
+        } finally {
+            abortController = null;
+            UIController.setGenerating(false);
+        }
+        
+        if (requests[0].tree !== tree) return;
+        
+        // The replies stay side by side until one is chosen; replies that failed can't be
+        requests.forEach((request, index) => {
+            if (request.replyId) {
+                UIController.addComparisonChoice(elements[index], () => chooseReply(request));
+            }
+        });
+        choosingReply = requests.some(request => request.replyId);
+        
+        refreshUsageDisplay();
+        await saveConversation();
+    }
+
+    /**
+     * Continues the conversation with a reply of a comparison
+     * @param {Object} request - The request of the chosen reply
+     */
+    async function chooseReply(request) {
+        if (abortController || request.tree !== tree || !choosingReply) return;
+        
+        ConversationTree.select(tree, request.replyId);
+        chatHistory = ConversationTree.getActiveMessages(tree);
+        renderConversation();
+        await saveConversation();
+    }
+
+    /**
+     * Gets the models a request falls back to, in order
+     * @param {Object} currentSettings - The settings, with the parameters by model
+     * @param {string} model - The model of the request
+     * @param {boolean} needsTools - Whether the request sends tools, which every fallback must support
+     * @returns {Array} - [{ model, params }]
+     */
+    function getFallbacks(currentSettings, model, needsTools) {
+        return settings.network.fallbackModels
+            .filter(fallback => fallback !== model && ApiService.getModel(fallback))
+            .filter(fallback => !needsTools || ApiService.supportsTools(fallback))
+            .map(fallback => ({ model: fallback, params: currentSettings.modelParams[fallback] || {} }));
+    }
+
+    /**
+     * Stops the reply being generated, keeping what has arrived so far
+     */
+    function stopGeneration() {
+        if (abortController) {
+            abortController.abort();
+        }
+    }
+
+    /**
+     * Checks whether a reply is being generated
+     * @returns {boolean} - Whether a generation is in flight
+     */
+    function isGenerating() {
+        return abortController !== null;
+    }
+
+    /**
+     * Adds a completed reply to the chat history
+     * Only the answer is sent back to the model on later turns; the reasoning is kept for display
+     * @param {Object} request - The request the reply answers
+     * @param {Object} reply - The reply { content, reasoning } from readReply
+     * @param {Object} [details] - Reply details
+     * @param {Object|null} [details.usage] - The token usage of the reply
+     * @param {boolean} [details.interrupted] - Whether the reply was stopped before it finished
+     * @param {Array} [details.steps] - The tool calls made for the reply
+     * @param {Object} [details.agent] - The agent mode trace of the reply
+     * @param {Array} [details.sources] - The knowledge base passages the reply was given
+     * @param {Array} [details.notices] - The fallbacks to other models the reply took
+     * @returns {Object} - The chat history entry
+     */
+    function completeReply(request, reply, details = {}) {
+        const entry = { role: 'assistant', content: reply.content };
+        if (reply.reasoning) entry.reasoning = reply.reasoning;
+        if (details.notices && details.notices.length) entry.notices = details.notices;
+        if (details.steps && details.steps.length) entry.steps = details.steps;
+        if (details.agent) entry.agent = details.agent;
+        if (details.sources && details.sources.length) entry.sources = details.sources;
+        if (details.usage) {
+            // Spending is recorded even if the user has moved to another conversation
+            const cost = UsageTracker.record(request.model, details.usage, request.conversationId);
+            entry.usage = { ...details.usage, cost };
+        }
+        if (details.interrupted) entry.interrupted = true;
+        request.replyId = ConversationTree.addMessage(request.tree, request.parentId, entry);
+        request.reply = entry;
+        
+        if (request.tree === tree) {
+            chatHistory = ConversationTree.getActiveMessages(tree);
+            recordUsage(entry.usage);
+        }
+        
+        return entry;
+    }
+
+    /**
+     * Generates the reply of the model into an AI message, running the tools it
+     * calls and sending their results back until it answers
+     * In agent mode the plan is carried out first, and the reply is written from its results;
+     * with the knowledge base on, the best matching passages are added to the system prompt.
+     * The history is fitted into the context budget before anything is sent. If the model
+     * fails, the fallback models take over and a notice above the reply says so.
+     * @param {Object} request - The model and its parameters, tree, parent message, chat history,
+     *   system prompt, reply options (structured, streaming, agent, tools, knowledgeBase, context,
+     *   fallbacks), conversation id and abort signal
+     * @param {Element} aiMsgElement - The empty AI message the reply is shown in
+     */
+    async function handleReply(request, aiMsgElement) {
+        // The tool calls and results are sent back within this reply only
+        let history = [...request.history];
+        const steps = [];
+        let systemPrompt = request.systemPrompt;
+        let agent = null;
+        let sources = [];
+        const notices = []; // Fallbacks to other models
+        let reasoning = ''; // Reasoning of the rounds that ended in tool calls
+        let usage = null;
+        let partialReply = { content: '', reasoning: '' };
+        
+        try {
+            if (request.knowledgeBase) {
+                sources = await retrieveSources(request);
+                if (sources.length) {
+                    systemPrompt = [systemPrompt, KnowledgeBase.buildContext(sources)].filter(Boolean).join('\n\n');
                 }
-            } catch (err) {
-                UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
-                throw err;
-            } finally {
-                isThinking = false;
             }
-        } else {
-            // Non-streaming approach
-            try {
-                const result = await ApiService.sendOpenAIRequest(model, chatHistory);
+            const context = await fitContext(request, systemPrompt);
+            history = [...context.messages];
+            systemPrompt = ContextManager.withSummary(systemPrompt, context.summary);
+            if (request.agent) {
+                agent = await runAgent(request, context, aiMsgElement, notices, roundUsage => {
+                    usage = sumUsage(usage, roundUsage);
+                });
+                systemPrompt = [systemPrompt, AgentPlanner.buildAnswerInstructions(agent)].filter(Boolean).join('\n\n');
+            }
+            if (request.structured) {
+                showReply(aiMsgElement, { content: '', reasoning: '', stage: 'thinking' });
+            }
+            
+            for (let round = 1; ; round++) {
+                const result = await callWithFallback(request, aiMsgElement, notices, onRetry =>
+                    requestRound(request, history, systemPrompt, (text, roundReasoning) => {
+                        partialReply = readReply(text, joinReasoning(reasoning, roundReasoning), request.structured);
+                        showReply(aiMsgElement, partialReply);
+                    }, onRetry)
+                );
+                usage = sumUsage(usage, result.usage);
+                const reply = readReply(result.text, joinReasoning(reasoning, result.reasoning), request.structured);
                 
-                if (result.error) {
-                    throw new Error(result.error.message);
+                if (!result.toolCalls.length) {
+                    // Usage arrives in the final chunks of a stream
+                    showReply(aiMsgElement, completeReply(request, reply, { usage, steps, agent, sources, notices }));
+                    UIController.setMessageSources(aiMsgElement, sources);
+                    break;
                 }
-                
-                // Update token usage
-                if (result.usage && result.usage.total_tokens) {
-                    totalTokens += result.usage.total_tokens;
+                if (round === MAX_TOOL_ROUNDS) {
+                    throw new Error(`The model was still calling tools after ${MAX_TOOL_ROUNDS} rounds`);
                 }
                 
-                // Process response
-                const reply = result.choices[0].message.content;
-                console.log("GPT non-streaming reply:", reply);
-                
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(reply);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Add the full response to chat history
-                    chatHistory.push({ role: 'assistant', content: reply });
-                    
-                    // Show appropriate content in the UI based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.addMessage('ai', displayText);
+                reasoning = reply.reasoning;
+                partialReply = { content: '', reasoning };
+                history.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+                await runTools(request, result.toolCalls, history, steps, aiMsgElement);
+            }
+            
+            UIController.setMessageUsage(aiMsgElement, request.reply.usage);
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                // Keep the partial reply, marked as interrupted; reasoning without
+                // an answer is shown but not added to the history
+                const reply = { ...partialReply, stage: 'answer' };
+                if (reply.content) {
+                    showReply(aiMsgElement,
+                        completeReply(request, reply, { interrupted: true, usage, steps, agent, sources, notices }));
+                    UIController.setMessageSources(aiMsgElement, sources);
+                    UIController.setMessageUsage(aiMsgElement, request.reply.usage);
                 } else {
-                    chatHistory.push({ role: 'assistant', content: reply });
-                    UIController.addMessage('ai', reply);
+                    showReply(aiMsgElement, reply);
+                    recordSpending(request, usage);
                 }
-            } catch (err) {
-                throw err;
+                UIController.markInterrupted(aiMsgElement);
+                return;
             }
+            recordSpending(request, usage);
+            throw err;
         }
     }
 
     /**
-     * Handles Gemini message processing
-     * @param {string} model - The Gemini model to use
-     * @param {string} message - The user message
+     * Finds the knowledge base passages that match the user's message
+     * @param {Object} request - The request, with its knowledgeBase options
+     * @returns {Promise<Array>} - The passages [{ id, documentId, documentName, index, text }], best first
      */
-    async function handleGeminiMessage(model, message) {
-        // Add current message to chat history
-        chatHistory.push({ role: 'user', content: message });
+    async function retrieveSources(request) {
+        const query = Utils.getTextContent(request.history[request.history.length - 1].content);
+        const passages = await KnowledgeBase.search(query, request.knowledgeBase.passages);
+        // The text is kept with the reply, so its citations still work if the document is removed
+        return passages.map(({ id, documentId, documentName, index, text }) =>
+            ({ id, documentId, documentName, index, text }));
+    }
+
+    /**
+     * Fits the history of a request into its context budget
+     * A summary of older turns is written with the request's model, and its cost is
+     * counted like the agent's planning calls
+     * @param {Object} request - The request, with its context options
+     * @param {string} systemPrompt - The system prompt that will be sent
+     * @returns {Promise<Object>} - { messages, summary, plan }, see ContextManager.fit
+     */
+    function fitContext(request, systemPrompt) {
+        return ContextManager.fit(request.history, {
+            ...request.context,
+            systemPrompt,
+            callModel: async (history, summaryPrompt) => {
+                const result = await ApiService.sendRequest(request.model, history, {
+                    signal: request.signal,
+                    systemPrompt: summaryPrompt,
+                    params: request.params
+                });
+                recordSpending(request, result.usage);
+                return result;
+            }
+        });
+    }
+
+    /**
+     * Joins the reasoning of earlier tool rounds with that of the current one
+     * @param {string} earlier - The reasoning so far
+     * @param {string} current - The reasoning of the current round
+     * @returns {string} - The joined reasoning
+     */
+    function joinReasoning(earlier, current) {
+        return [earlier, current].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Records the token usage of a reply that didn't make it into the history
+     * @param {Object} request - The request
+     * @param {Object|null} usage - The token usage of its finished rounds
+     */
+    function recordSpending(request, usage) {
+        if (!usage) return;
         
-        if (settings.streaming) {
-            // Streaming approach
-            const aiMsgElement = UIController.createEmptyAIMessage();
-            let streamedResponse = '';
-            
-            try {
-                // Start thinking indicator if CoT is enabled
-                if (settings.enableCoT) {
-                    isThinking = true;
-                    UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
-                }
-                
-                // Process streaming response
-                const fullReply = await ApiService.streamGeminiRequest(
-                    model,
-                    chatHistory,
-                    (chunk, fullText) => {
-                        streamedResponse = fullText;
-                        
-                        if (settings.enableCoT) {
-                            // Process the streamed response for CoT
-                            const processed = processPartialCoTResponse(fullText);
-                            
-                            // Only show "Thinking..." if we're still waiting
-                            if (isThinking && fullText.includes('Answer:')) {
-                                isThinking = false;
-                            }
-                            
-                            // Format according to current stage and settings
-                            const displayText = formatResponseForDisplay(processed);
-                            UIController.updateMessageContent(aiMsgElement, displayText);
-                        } else {
-                            UIController.updateMessageContent(aiMsgElement, fullText);
-                        }
-                    }
+        const cost = UsageTracker.record(request.model, usage, request.conversationId);
+        if (request.tree === tree) recordUsage({ ...usage, cost });
+    }
+
+    /**
+     * Plans and carries out the steps of an agent mode reply, showing them as a checklist
+     * @param {Object} request - The request
+     * @param {Object} context - The history fitted into the context budget { messages, summary }
+     * @param {Element} element - The reply's message element
+     * @param {Array} notices - The fallback notices of the reply, see callWithFallback
+     * @param {Function} onUsage - Called with the token usage of each model call
+     * @returns {Promise<Object>} - The agent trace
+     */
+    function runAgent(request, context, element, notices, onUsage) {
+        return AgentPlanner.run({
+            history: context.messages,
+            systemPrompt: ContextManager.withSummary(request.agent.systemPrompt, context.summary),
+            tools: request.agent.tools,
+            limits: request.agent.limits,
+            callModel: async (history, systemPrompt) => {
+                const result = await callWithFallback(request, element, notices, onRetry =>
+                    ApiService.sendRequest(request.model, history, {
+                        signal: request.signal,
+                        systemPrompt,
+                        params: request.params,
+                        onRetry
+                    })
                 );
-                
-                // Process response for CoT if enabled
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(fullReply);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Update UI with appropriate content based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.updateMessageContent(aiMsgElement, displayText);
-                    
-                    // Add full response to chat history
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                } else {
-                    // Add to chat history after completed
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                }
-                
-                // Get token usage
-                const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-                if (tokenCount) {
-                    totalTokens += tokenCount;
+                onUsage(result.usage);
+                return result;
+            },
+            runTool: async (name, args) => {
+                const result = await ToolRegistry.execute(name, args);
+                if (request.signal.aborted) {
+                    throw new DOMException('The reply was stopped', 'AbortError');
                 }
+                return result;
+            },
+            onUpdate: trace => UIController.setAgentPlan(element, trace)
+        });
+    }
+
+    /**
+     * Sends one round of a reply to the model
+     * @param {Object} request - The request
+     * @param {Array} history - The chat history, with the tool calls and results of earlier rounds
+     * @param {string} systemPrompt - The system prompt
+     * @param {Function} onProgress - Called with (text, reasoning) as a streamed reply grows
+     * @param {Function} onRetry - Called before a failed request is retried, see RequestClient.request
+     * @returns {Promise<Object>} - { text, reasoning, toolCalls, usage }
+     */
+    function requestRound(request, history, systemPrompt, onProgress, onRetry) {
+        const options = {
+            signal: request.signal,
+            systemPrompt,
+            params: request.params,
+            tools: request.tools || undefined,
+            onRetry
+        };
+        if (!request.streaming) {
+            return ApiService.sendRequest(request.model, history, options);
+        }
+        return ApiService.streamRequest(request.model, history,
+            (chunk, fullText, reasoning) => onProgress(fullText, reasoning), options);
+    }
+
+    /**
+     * Calls the request's model, moving on to its fallback models while the call fails
+     * The request keeps the model that answered, so the rest of the reply uses it too.
+     * Failures of the request itself, such as a prompt too long for the model, are thrown.
+     * @param {Object} request - The request, with its fallbacks
+     * @param {Element} element - The reply's message element, which shows the retries and fallbacks
+     * @param {Array} notices - The fallback notices of the reply, changed in place
+     * @param {Function} call - (onRetry) => Promise, calls request.model
+     * @returns {Promise<*>} - The result of the call
+     */
+    async function callWithFallback(request, element, notices, call) {
+        for (;;) {
+            try {
+                return await call(retry => {
+                    const reason = RETRY_REASONS[retry.error.name] || `Server error ${retry.error.status}`;
+                    UIController.setMessageNotices(element, [...notices, `${reason}, retrying in ` +
+                        `${Math.ceil(retry.delay / 1000)} s (${retry.attempt} of ${retry.retries})…`]);
+                });
             } catch (err) {
-                UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
-                throw err;
+                const canFallBack = err.retryable || err.name === 'RateLimitError' || err.name === 'AuthError';
+                if (!canFallBack || !request.fallbacks.length) throw err;
+                
+                const fallback = request.fallbacks.shift();
+                notices.push(`${getModelLabel(request.model)} failed (${err.message}), so ` +
+                    `${getModelLabel(fallback.model)} answered instead.`);
+                request.model = fallback.model;
+                request.params = fallback.params;
             } finally {
-                isThinking = false;
+                // The retry countdown is replaced by the notices that are kept
+                UIController.setMessageNotices(element, notices);
             }
-        } else {
-            // Non-streaming approach
+        }
+    }
+
+    /**
+     * Gets the name of a model shown to the user
+     * @param {string} model - The model id
+     * @returns {string} - Its label, or the id if it isn't registered
+     */
+    function getModelLabel(model) {
+        return ApiService.getModel(model)?.label || model;
+    }
+
+    /**
+     * Runs the tools the model called and adds their results to the history
+     * A failing tool doesn't end the reply; its error is sent to the model as the result
+     * @param {Object} request - The request
+     * @param {Array} toolCalls - The calls [{ id, name, arguments }]
+     * @param {Array} history - The chat history of the reply, changed in place
+     * @param {Array} steps - The tool calls shown with the reply, changed in place
+     * @param {Element} element - The reply's message element
+     */
+    async function runTools(request, toolCalls, history, steps, element) {
+        for (const call of toolCalls) {
+            const step = { name: call.name, arguments: call.arguments, result: '', pending: true };
+            steps.push(step);
+            UIController.setToolSteps(element, steps);
+            
             try {
-                const session = ApiService.createGeminiSession(model);
-                const result = await session.sendMessage(message, chatHistory);
-                
-                // Update token usage if available
-                if (result.usageMetadata && typeof result.usageMetadata.totalTokenCount === 'number') {
-                    totalTokens += result.usageMetadata.totalTokenCount;
-                }
-                
-                // Process response
-                const candidate = result.candidates[0];
-                let textResponse = '';
-                
-                if (candidate.content.parts) {
-                    textResponse = candidate.content.parts.map(p => p.text).join(' ');
-                } else if (candidate.content.text) {
-                    textResponse = candidate.content.text;
-                }
-                
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(textResponse);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Add the full response to chat history
-                    chatHistory.push({ role: 'assistant', content: textResponse });
-                    
-                    // Show appropriate content in the UI based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.addMessage('ai', displayText);
-                } else {
-                    chatHistory.push({ role: 'assistant', content: textResponse });
-                    UIController.addMessage('ai', textResponse);
-                }
+                step.result = await ToolRegistry.execute(call.name, call.arguments);
             } catch (err) {
-                throw err;
+                step.result = 'Error: ' + err.message;
+                step.error = true;
             }
+            delete step.pending;
+            UIController.setToolSteps(element, steps);
+            history.push({ role: 'tool', toolCallId: call.id, name: call.name, content: step.result });
+            
+            if (request.signal.aborted) {
+                throw new DOMException('The reply was stopped', 'AbortError');
+            }
+        }
+    }
+
+    /**
+     * Adds the regenerate and branch controls to a finished reply
+     * @param {Object} request - The request the reply answers
+     * @param {Element} element - The reply's message element
+     */
+    function addReplyControls(request, element) {
+        if (request.replyId && request.tree === tree) {
+            UIController.setMessageControls(element, getMessageControls(request.replyId));
         }
     }
 
+    /**
+     * Downloads the open conversation
+     * @param {string} format - 'markdown', 'json' or 'html'
+     * @returns {boolean} - Whether there was a conversation to export
+     */
+    function exportConversation(format) {
+        if (!conversation || !chatHistory.length) return false;
+        
+        // The saved copy may be behind the reply being generated, so the export is built from memory
+        const file = ConversationTransfer.exportConversation({
+            ...conversation,
+            model: SettingsController.getSettings().selectedModel,
+            messages: [...chatHistory],
+            tree: tree,
+            systemPrompt: systemPromptOverride,
+            usage: usageTotals
+        }, format);
+        Utils.downloadFile(file.fileName, file.content, file.mimeType);
+        return true;
+    }
+
+    /**
+     * Imports conversations from an exported file and opens the first one
+     * @param {string} text - The file contents, see ConversationTransfer.parse
+     * @returns {Promise<number>} - The number of conversations imported
+     */
+    async function importConversations(text) {
+        const conversations = ConversationTransfer.parse(text);
+        
+        const saved = [];
+        for (const item of conversations) {
+            saved.push(await ConversationStore.save(item));
+        }
+        
+        await loadConversation(saved[0].id);
+        SidebarController.refresh();
+        return saved.length;
+    }
+
     /**
      * Gets the current chat history
      * @returns {Array} - The chat history
@@ -491,7 +1108,15 @@ Answer: [your final, concise answer based on the reasoning above]`;
      * @returns {number} - The total tokens used
      */
     function getTotalTokens() {
-        return totalTokens;
+        return usageTotals.totalTokens;
+    }
+
+    /**
+     * Gets the token usage of the open conversation
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+     */
+    function getUsage() {
+        return { ...usageTotals };
     }
 
     // Public API
@@ -500,8 +1125,18 @@ Answer: [your final, concise answer based on the reasoning above]`;
         updateSettings,
         getSettings,
         sendMessage,
+        stopGeneration,
+        isGenerating,
+        newConversation,
+        loadConversation,
+        getSystemPromptOverride,
+        setSystemPromptOverride,
+        exportConversation,
+        importConversations,
         getChatHistory,
         getTotalTokens,
+        getUsage,
+        actOnLastMessage,
         clearChat
     };
 })(); 
\ No newline at end of file
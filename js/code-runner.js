@@ -0,0 +1,320 @@
+/**
+ * Code Runner Module - Runs JavaScript and HTML snippets in a sandboxed iframe
+ * The iframe gets scripts but not the app's origin, so a snippet cannot read the
+ * page, its cookies or its storage; console output is relayed back with postMessage.
+ * JavaScript runs in a worker inside the iframe, so an endless loop can be stopped
+ * without freezing the page. Code evaluated for the model also has no network access.
+ */
+const CodeRunner = (function() {
+    'use strict';
+
+    const RUNNABLE = {
+        javascript: ['js', 'javascript', 'mjs'],
+        html: ['html', 'htm']
+    };
+
+    // JavaScript workers are terminated after this long so timers and loops can't linger
+    const RUN_TIMEOUT = 5000;
+
+    // Evaluated code may only run inline scripts and its worker, so it can't send data anywhere.
+    // A worker made from a blob keeps the policy of the document that made it.
+    const EVALUATION_POLICY = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+    // Forwards console calls and errors from an HTML preview
+    const CONSOLE_BRIDGE = `
+        (function() {
+            function send(level, args) {
+                var text = Array.prototype.map.call(args, function(value) {
+                    if (value instanceof Error) return value.name + ': ' + value.message;
+                    if (typeof value === 'object' && value !== null) {
+                        try { return JSON.stringify(value, null, 2); } catch (err) { return String(value); }
+                    }
+                    return String(value);
+                }).join(' ');
+                parent.postMessage({ codeRunner: true, level: level, text: text }, '*');
+            }
+            ['log', 'info', 'warn', 'error', 'debug'].forEach(function(level) {
+                var original = console[level];
+                console[level] = function() {
+                    send(level, arguments);
+                    original.apply(console, arguments);
+                };
+            });
+            window.addEventListener('error', function(event) {
+                send('error', [event.message]);
+            });
+            window.addEventListener('unhandledrejection', function(event) {
+                send('error', ['Unhandled rejection: ' + (event.reason && event.reason.message || event.reason)]);
+            });
+        })();
+    `;
+
+    // Forwards console calls and errors from inside a sandbox worker
+    const WORKER_CONSOLE_BRIDGE = `
+        (function() {
+            function send(level, args) {
+                var text = Array.prototype.map.call(args, function(value) {
+                    if (value instanceof Error) return value.name + ': ' + value.message;
+                    if (typeof value === 'object' && value !== null) {
+                        try { return JSON.stringify(value, null, 2); } catch (err) { return String(value); }
+                    }
+                    return String(value);
+                }).join(' ');
+                postMessage({ codeRunner: true, level: level, text: text });
+            }
+            ['log', 'info', 'warn', 'error', 'debug'].forEach(function(level) {
+                console[level] = function() {
+                    send(level, arguments);
+                };
+            });
+            self.addEventListener('error', function(event) {
+                event.preventDefault();
+                send('error', [event.message]);
+            });
+            self.addEventListener('unhandledrejection', function(event) {
+                send('error', ['Unhandled rejection: ' + (event.reason && event.reason.message || event.reason)]);
+            });
+        })();
+    `;
+
+    /**
+     * Gets the kind of snippet a code block language can run as
+     * @param {string} language - The code block language
+     * @returns {string|null} - 'javascript', 'html' or null if it can't run
+     */
+    function getRunKind(language) {
+        const name = (language || '').toLowerCase();
+        return Object.keys(RUNNABLE).find(kind => RUNNABLE[kind].includes(name)) || null;
+    }
+
+    /**
+     * Checks whether a code block language can be run
+     * @param {string} language - The code block language
+     * @returns {boolean} - Whether the snippet can run
+     */
+    function canRun(language) {
+        return getRunKind(language) !== null;
+    }
+
+    /**
+     * Keeps a snippet from closing the script element it is embedded in
+     * @param {string} code - The code
+     * @returns {string} - The code, safe inside <script>
+     */
+    function escapeScript(code) {
+        return code.replace(/<\/script/gi, '<\\/script');
+    }
+
+    /**
+     * Builds the document loaded into the sandbox
+     * @param {string} code - The snippet
+     * @param {string} kind - 'javascript' or 'html'
+     * @returns {string} - The srcdoc HTML
+     */
+    function buildDocument(code, kind) {
+        if (kind === 'html') {
+            return `<script>${CONSOLE_BRIDGE}<\/script>` + code;
+        }
+        return buildWorkerDocument(buildRunWorker(code));
+    }
+
+    /**
+     * Appends a line of output
+     * @param {Element} outputElement - The output container
+     * @param {string} level - The console level
+     * @param {string} text - The text
+     */
+    function appendLine(outputElement, level, text) {
+        const line = document.createElement('div');
+        line.className = `code-block__output-line code-block__output-line--${level}`;
+        line.textContent = text;
+        outputElement.querySelector('.code-block__output-log').appendChild(line);
+    }
+
+    /**
+     * Runs a snippet and shows its output
+     * @param {string} code - The snippet
+     * @param {string} language - The code block language
+     * @param {Element} outputElement - Receives the console output and, for HTML, the page
+     * @returns {Function} - Stops the run
+     */
+    function run(code, language, outputElement) {
+        const kind = getRunKind(language);
+        if (!kind) throw new Error(`Can't run ${language || 'plain text'} code`);
+
+        outputElement.innerHTML = '<div class="code-block__output-log"></div>';
+
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts allow-modals');
+        iframe.className = kind === 'html' ? 'code-block__preview' : 'code-block__sandbox';
+        iframe.title = 'Code output';
+
+        let timer = null;
+        let stopped = false;
+
+        function onMessage(event) {
+            if (event.source !== iframe.contentWindow || !event.data || !event.data.codeRunner) return;
+
+            if (event.data.level === 'done') {
+                if (!outputElement.querySelector('.code-block__output-line')) {
+                    appendLine(outputElement, 'info', 'Finished with no output');
+                }
+                return;
+            }
+            if (event.data.level === 'timeout') {
+                stop();
+                return;
+            }
+            appendLine(outputElement, event.data.level === 'failed' ? 'error' : event.data.level, event.data.text);
+        }
+
+        function stop() {
+            if (stopped) return;
+            stopped = true;
+            clearTimeout(timer);
+            window.removeEventListener('message', onMessage);
+            if (kind === 'javascript') iframe.remove();
+        }
+
+        window.addEventListener('message', onMessage);
+        iframe.srcdoc = buildDocument(code, kind);
+        outputElement.appendChild(iframe);
+
+        // A JavaScript run has no page to show, so it ends after the timeout
+        if (kind === 'javascript') {
+            timer = setTimeout(stop, RUN_TIMEOUT);
+        }
+
+        return stop;
+    }
+
+    /**
+     * Builds the worker script that runs a snippet as it is
+     * 'done' is posted once the snippet's own code has run, even if it threw.
+     * @param {string} code - The snippet
+     * @returns {string} - The worker source
+     */
+    function buildRunWorker(code) {
+        return WORKER_CONSOLE_BRIDGE +
+            'setTimeout(function() { postMessage({ codeRunner: true, level: \'done\' }); }, 0);\n' + code;
+    }
+
+    /**
+     * Builds the worker script that evaluates a function body and reports its return value
+     * @param {string} code - The function body
+     * @returns {string} - The worker source
+     */
+    function buildEvaluationWorker(code) {
+        return WORKER_CONSOLE_BRIDGE + `
+            (async function() {
+                var AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+                var message = { codeRunner: true, level: 'result' };
+                try {
+                    var value = await new AsyncFunction(${JSON.stringify(code)})();
+                    message.text = value === undefined ? undefined :
+                        typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+                } catch (err) {
+                    message.error = (err && err.name ? err.name + ': ' + err.message : String(err));
+                }
+                postMessage(message);
+            })();
+        `;
+    }
+
+    /**
+     * Builds the sandbox document that starts a worker and relays its messages
+     * The worker is terminated at the timeout, which stops even an endless loop, or once
+     * it posts a result. A worker that can't start or load is reported as 'failed'.
+     * @param {string} source - The worker source
+     * @param {string} [policy] - The Content-Security-Policy of the document and its worker
+     * @returns {string} - The srcdoc HTML
+     */
+    function buildWorkerDocument(source, policy) {
+        const script = `
+            (function() {
+                function fail(text) {
+                    parent.postMessage({ codeRunner: true, level: 'failed', text: text }, '*');
+                }
+                var worker;
+                try {
+                    var blob = new Blob([${JSON.stringify(source)}], { type: 'text/javascript' });
+                    worker = new Worker(URL.createObjectURL(blob));
+                } catch (err) {
+                    fail('This browser cannot run code in a worker: ' + err.message);
+                    return;
+                }
+                var timer = setTimeout(function() {
+                    worker.terminate();
+                    parent.postMessage({ codeRunner: true, level: 'timeout' }, '*');
+                }, ${RUN_TIMEOUT});
+                worker.onmessage = function(event) {
+                    if (event.data.level === 'result') {
+                        clearTimeout(timer);
+                        worker.terminate();
+                    }
+                    parent.postMessage(event.data, '*');
+                };
+                worker.onerror = function(event) {
+                    clearTimeout(timer);
+                    worker.terminate();
+                    fail(event.message || 'The code could not be run');
+                };
+            })();
+        `;
+        const meta = policy ? `<meta http-equiv="Content-Security-Policy" content="${policy}">` : '';
+        return `<!DOCTYPE html><html><head>${meta}</head><body><script>${escapeScript(script)}<\/script></body></html>`;
+    }
+
+    /**
+     * Evaluates JavaScript in a hidden sandbox without network access, e.g. for a tool call
+     * The code runs as the body of an async function, so it reports a value with return
+     * @param {string} code - The function body
+     * @returns {Promise<Object>} - { logs, result, error } with the console lines, the
+     *   return value as text (undefined if none) and the error message if it failed
+     */
+    function evaluate(code) {
+        return new Promise(resolve => {
+            const iframe = document.createElement('iframe');
+            iframe.setAttribute('sandbox', 'allow-scripts');
+            iframe.className = 'code-block__sandbox';
+            iframe.hidden = true;
+            
+            const logs = [];
+            let timer = null;
+
+            function finish(outcome) {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                iframe.remove();
+                resolve({ logs, ...outcome });
+            }
+
+            function onMessage(event) {
+                if (event.source !== iframe.contentWindow || !event.data || !event.data.codeRunner) return;
+
+                if (event.data.level === 'result') {
+                    finish({ result: event.data.text, error: event.data.error });
+                } else if (event.data.level === 'failed') {
+                    finish({ error: event.data.text });
+                } else if (event.data.level === 'timeout') {
+                    finish({ error: `Timed out after ${RUN_TIMEOUT / 1000} seconds` });
+                } else {
+                    logs.push(event.data.level === 'log' ? event.data.text : `[${event.data.level}] ${event.data.text}`);
+                }
+            }
+
+            window.addEventListener('message', onMessage);
+            // The sandbox times its worker out itself; this only covers a sandbox that never reports
+            timer = setTimeout(() => finish({ error: `Timed out after ${RUN_TIMEOUT / 1000} seconds` }), RUN_TIMEOUT + 1000);
+            iframe.srcdoc = buildWorkerDocument(buildEvaluationWorker(code), EVALUATION_POLICY);
+            document.body.appendChild(iframe);
+        });
+    }
+
+    // Public API
+    return {
+        canRun,
+        run,
+        evaluate
+    };
+})();
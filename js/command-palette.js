@@ -0,0 +1,478 @@
+/**
+ * Command Palette Module - Keyboard shortcuts, the Ctrl/Cmd+K command palette and the shortcuts help
+ * Every action is listed in the palette, and any of them can have a shortcut. Shortcuts are
+ * written like "Mod+Shift+O", where Mod is Cmd on a Mac and Ctrl elsewhere; the user's changes
+ * are saved with the settings, see setBindings.
+ */
+const CommandPalette = (function() {
+    'use strict';
+
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    // How keys and modifiers are shown
+    const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    const MODIFIER_NAMES = IS_MAC ?
+        { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' } :
+        { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+
+    // Shortcuts of the message input, which can't be changed
+    const FIXED_SHORTCUTS = [
+        { binding: 'Enter', label: 'Send the message' },
+        { binding: 'Shift+Enter', label: 'Start a new line' },
+        { binding: '/', label: 'List commands and templates, typed at the start of the message' }
+    ];
+
+    // Every action, with its default shortcut (empty for none); when tells whether it can run now
+    const ACTIONS = [
+        { id: 'command-palette', label: 'Open the command palette', binding: 'Mod+K', run: () => (isOpen() ? close() : open()) },
+        { id: 'shortcuts-help', label: 'Show keyboard shortcuts', binding: 'Mod+/', run: () => showHelp() },
+        { id: 'new-chat', label: 'New chat', binding: 'Mod+Shift+O', run: () => ChatController.newConversation() },
+        { id: 'focus-input', label: 'Focus the message input', binding: 'Shift+Escape', run: () => UIController.focusInput() },
+        {
+            id: 'stop',
+            label: 'Stop generating',
+            binding: 'Escape',
+            run: () => ChatController.stopGeneration(),
+            when: () => ChatController.isGenerating()
+        },
+        { id: 'regenerate', label: 'Regenerate the last reply', binding: 'Alt+R', run: () => runOnLastMessage('regenerate') },
+        { id: 'edit-last', label: 'Edit the last message', binding: 'Alt+ArrowUp', run: () => runOnLastMessage('edit') },
+        { id: 'switch-model', label: 'Switch model…', binding: '', run: () => open('models') },
+        { id: 'toggle-streaming', label: 'Turn streaming on or off', binding: '', run: () => toggleSetting('streaming', 'Streaming') },
+        {
+            id: 'toggle-cot',
+            label: 'Turn step-by-step reasoning on or off',
+            binding: '',
+            run: () => toggleSetting('enableCoT', 'Step-by-step reasoning')
+        },
+        { id: 'toggle-compare', label: 'Turn compare mode on or off', binding: '', run: () => SettingsController.toggleCompareMode() },
+        {
+            id: 'dictate',
+            label: 'Start or stop dictation',
+            binding: '',
+            run: () => UIController.toggleDictation(),
+            when: () => Speech.isDictationSupported()
+        },
+        { id: 'open-settings', label: 'Open settings', binding: '', run: () => SettingsController.showSettingsModal() },
+        { id: 'search-history', label: 'Search conversations', binding: '', run: () => SidebarController.focusSearch() },
+        { id: 'toggle-sidebar', label: 'Show or hide the sidebar', binding: 'Mod+Shift+S', run: () => SidebarController.toggle() },
+        { id: 'export-markdown', label: 'Export as Markdown', binding: '', run: () => exportAs('markdown') },
+        { id: 'export-json', label: 'Export as JSON', binding: '', run: () => exportAs('json') },
+        { id: 'export-html', label: 'Export as HTML', binding: '', run: () => exportAs('html') },
+        { id: 'import', label: 'Import conversations…', binding: '', run: () => document.getElementById('import-button').click() },
+        { id: 'clear-chat', label: 'Clear chat', binding: '', run: () => document.getElementById('clear-chat-button').click() }
+    ];
+
+    // Private state
+    let bindings = getDefaultBindings(); // Shortcut by action id
+    let paletteElement = null;
+    let helpElement = null;
+    let paletteMode = 'actions'; // 'actions' or 'models'
+    let paletteItems = []; // The items shown: [{ label, detail, binding, current, run }]
+    let activeItem = 0;
+    let returnFocus = null; // Focused before the palette or help opened
+
+    /**
+     * Gets the default shortcuts
+     * @returns {Object} - The shortcut of each action by id, empty for none
+     */
+    function getDefaultBindings() {
+        return Object.fromEntries(ACTIONS.map(action => [action.id, action.binding]));
+    }
+
+    /**
+     * Sets the shortcuts, over the defaults
+     * @param {Object} overrides - The changed shortcuts by action id, empty for none
+     */
+    function setBindings(overrides) {
+        bindings = { ...getDefaultBindings() };
+        Object.entries(overrides || {}).forEach(([id, binding]) => {
+            if (id in bindings) bindings[id] = binding;
+        });
+    }
+
+    /**
+     * Gets the shortcuts in use
+     * @returns {Object} - The shortcut of each action by id, empty for none
+     */
+    function getBindings() {
+        return { ...bindings };
+    }
+
+    /**
+     * Gets the actions, for the shortcut settings
+     * @returns {Array} - [{ id, label, defaultBinding }]
+     */
+    function getActions() {
+        return ACTIONS.map(action => ({ id: action.id, label: action.label, defaultBinding: action.binding }));
+    }
+
+    /**
+     * Gets the shortcut a key press makes
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {string|null} - The shortcut, e.g. "Mod+Shift+O", or null for a modifier on its own
+     */
+    function getBinding(event) {
+        if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'].includes(event.key)) return null;
+        // The Windows key is left to the system
+        if (!IS_MAC && event.metaKey) return null;
+
+        // Letters and digits are read from the key's position, so Alt and Shift don't change them
+        let key = event.key;
+        if (/^Key[A-Z]$/.test(event.code)) {
+            key = event.code.slice(3);
+        } else if (/^Digit\d$/.test(event.code)) {
+            key = event.code.slice(5);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        const parts = [];
+        if (IS_MAC ? event.metaKey : event.ctrlKey) parts.push('Mod');
+        if (IS_MAC && event.ctrlKey) parts.push('Ctrl');
+        if (event.altKey) parts.push('Alt');
+        if (event.shiftKey) parts.push('Shift');
+        return [...parts, key].join('+');
+    }
+
+    /**
+     * Formats a shortcut for display
+     * @param {string} binding - The shortcut, e.g. "Mod+K"
+     * @returns {string} - e.g. "Ctrl+K", or "⌘K" on a Mac
+     */
+    function formatBinding(binding) {
+        // The key may itself be a plus
+        const parts = binding.split(/\+(?!$)/);
+        const key = parts.pop();
+        const names = [...parts.map(part => MODIFIER_NAMES[part] || part), KEY_NAMES[key] || key];
+        return names.join(IS_MAC ? '' : '+');
+    }
+
+    /**
+     * Checks whether a shortcut would type text in a text field
+     * Shortcuts without Ctrl, Cmd or Alt only work outside text fields, except Escape and the F keys.
+     * @param {string} binding - The shortcut
+     * @returns {boolean}
+     */
+    function typesText(binding) {
+        if (/(^|\+)(Mod|Ctrl|Alt)\+/.test(binding)) return false;
+        const key = binding.split(/\+(?!$)/).pop();
+        return key !== 'Escape' && !/^F\d{1,2}$/.test(key);
+    }
+
+    /**
+     * Checks whether an element takes typed text
+     * @param {Element} element - The element
+     * @returns {boolean}
+     */
+    function isTextField(element) {
+        return Boolean(element && (element.isContentEditable ||
+            element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' ||
+            (element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'range'].includes(element.type))));
+    }
+
+    /**
+     * Runs the action of a shortcut
+     * Keys already handled on the way up, e.g. Escape closing the suggestions, are skipped.
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleKeydown(event) {
+        if (event.defaultPrevented || event.isComposing) return;
+
+        const binding = getBinding(event);
+        if (!binding) return;
+        if (typesText(binding) && isTextField(event.target)) return;
+
+        const action = ACTIONS.find(item => bindings[item.id] === binding && (!item.when || item.when()));
+        if (!action) return;
+        event.preventDefault();
+        action.run();
+    }
+
+    /**
+     * Runs a message control on the last message of its kind
+     * @param {string} action - 'regenerate' or 'edit'
+     */
+    function runOnLastMessage(action) {
+        if (!ChatController.actOnLastMessage(action)) {
+            UIController.showNotice(action === 'edit' ? 'There is no message to edit.' : 'There is no reply to regenerate.', true);
+        }
+    }
+
+    /**
+     * Turns a boolean setting on or off
+     * @param {string} key - The settings key
+     * @param {string} name - The setting's name for the notice
+     */
+    function toggleSetting(key, name) {
+        const enabled = !SettingsController.getSettings()[key];
+        SettingsController.applySettings({ [key]: enabled });
+        UIController.showNotice(`${name} is ${enabled ? 'on' : 'off'}.`);
+    }
+
+    /**
+     * Downloads the open conversation
+     * @param {string} format - 'markdown', 'json' or 'html'
+     */
+    function exportAs(format) {
+        if (!ChatController.exportConversation(format)) {
+            UIController.showNotice('There is no conversation to export yet.', true);
+        }
+    }
+
+    /**
+     * Creates the palette from its template
+     */
+    function createPalette() {
+        paletteElement = Utils.createFromTemplate('command-palette-template');
+        document.body.appendChild(paletteElement);
+
+        const input = document.getElementById('command-palette-input');
+        input.addEventListener('input', renderPalette);
+        input.addEventListener('keydown', handlePaletteKey);
+
+        // Pressing on an item would blur the input first, so it is chosen on mousedown
+        document.getElementById('command-palette-list').addEventListener('mousedown', function(event) {
+            const item = event.target.closest('[data-index]');
+            if (!item) return;
+            event.preventDefault();
+            choose(Number(item.dataset.index));
+        });
+        paletteElement.addEventListener('mousedown', function(event) {
+            if (event.target === paletteElement) close();
+        });
+    }
+
+    /**
+     * Opens the command palette
+     * @param {string} [mode] - 'actions', or 'models' to pick a model
+     */
+    function open(mode = 'actions') {
+        if (!paletteElement) createPalette();
+        if (!isOpen()) returnFocus = document.activeElement;
+
+        paletteMode = mode;
+        const input = document.getElementById('command-palette-input');
+        input.value = '';
+        input.placeholder = mode === 'models' ? 'Switch to model…' : 'Type a command';
+        paletteElement.style.display = 'flex';
+        renderPalette();
+        input.focus();
+    }
+
+    /**
+     * Checks whether the command palette is open
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return Boolean(paletteElement) && paletteElement.style.display === 'flex';
+    }
+
+    /**
+     * Closes the command palette, returning the focus to where it was
+     */
+    function close() {
+        if (!isOpen()) return;
+        paletteElement.style.display = 'none';
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    /**
+     * Gets the items of the palette
+     * @returns {Array} - [{ label, detail, binding, current, run }]
+     */
+    function getPaletteItems() {
+        if (paletteMode === 'models') {
+            const selected = SettingsController.getSettings().selectedModel;
+            return ApiService.getProviders().flatMap(provider => provider.models.map(model => ({
+                label: model.label,
+                detail: provider.name,
+                current: model.id === selected,
+                run: () => {
+                    SettingsController.applySettings({ selectedModel: model.id });
+                    UIController.showNotice(`Switched to ${model.label}.`);
+                }
+            })));
+        }
+        return ACTIONS
+            .filter(action => action.id !== 'command-palette' && (!action.when || action.when()))
+            .map(action => ({ label: action.label, binding: bindings[action.id], run: action.run }));
+    }
+
+    /**
+     * Renders the palette items that match the query
+     * Every word of the query must appear in the item's name.
+     */
+    function renderPalette() {
+        const words = document.getElementById('command-palette-input').value.toLowerCase().split(/\s+/).filter(Boolean);
+        paletteItems = getPaletteItems().filter(item => {
+            const text = `${item.label} ${item.detail || ''}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+        activeItem = Math.max(0, paletteItems.findIndex(item => item.current));
+
+        const list = document.getElementById('command-palette-list');
+        list.innerHTML = '';
+        if (!paletteItems.length) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette__empty';
+            empty.textContent = 'No matching commands';
+            list.appendChild(empty);
+        }
+        paletteItems.forEach((item, index) => {
+            const element = document.createElement('li');
+            element.id = `command-palette-item-${index}`;
+            element.className = 'command-palette__item';
+            element.setAttribute('role', 'option');
+            element.dataset.index = index;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette__label';
+            label.textContent = item.current ? `${item.label} ✓` : item.label;
+            element.appendChild(label);
+
+            const hint = item.binding ? formatBinding(item.binding) : item.detail;
+            if (hint) {
+                const detail = document.createElement(item.binding ? 'kbd' : 'span');
+                detail.className = 'command-palette__detail';
+                detail.textContent = hint;
+                element.appendChild(detail);
+            }
+            list.appendChild(element);
+        });
+        highlightItem();
+    }
+
+    /**
+     * Marks the active palette item and scrolls it into view
+     */
+    function highlightItem() {
+        const input = document.getElementById('command-palette-input');
+        document.querySelectorAll('.command-palette__item').forEach(element => {
+            element.setAttribute('aria-selected', String(Number(element.dataset.index) === activeItem));
+        });
+        const active = document.getElementById(`command-palette-item-${activeItem}`);
+        if (active) {
+            input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Handles a key pressed in the palette
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handlePaletteKey(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (!paletteItems.length) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeItem = (activeItem + step + paletteItems.length) % paletteItems.length;
+            highlightItem();
+        } else if (event.key === 'Enter') {
+            choose(activeItem);
+        } else if (event.key === 'Escape') {
+            close();
+        } else if (event.key === 'Backspace' && paletteMode === 'models' && !this.value) {
+            // Back to the actions from the model list
+            open();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Runs a palette item
+     * @param {number} index - The index of the item
+     */
+    function choose(index) {
+        const item = paletteItems[index];
+        if (!item) return;
+        close();
+        item.run();
+    }
+
+    /**
+     * Shows the keyboard shortcuts
+     */
+    function showHelp() {
+        close();
+        if (!helpElement) {
+            helpElement = Utils.createFromTemplate('shortcuts-help-template');
+            document.body.appendChild(helpElement);
+            document.getElementById('close-shortcuts-help').addEventListener('click', hideHelp);
+            document.getElementById('edit-shortcuts').addEventListener('click', function() {
+                hideHelp();
+                SettingsController.showSettingsModal();
+                document.getElementById('shortcut-list').scrollIntoView({ block: 'center' });
+            });
+            helpElement.addEventListener('mousedown', function(event) {
+                if (event.target === helpElement) hideHelp();
+            });
+            helpElement.addEventListener('keydown', function(event) {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    hideHelp();
+                }
+            });
+        }
+
+        const list = document.getElementById('shortcuts-help-list');
+        list.innerHTML = '';
+        const rows = [
+            ...ACTIONS.filter(action => bindings[action.id]).map(action => ({ binding: bindings[action.id], label: action.label })),
+            ...FIXED_SHORTCUTS
+        ];
+        rows.forEach(row => {
+            const key = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = formatBinding(row.binding);
+            key.appendChild(kbd);
+            const label = document.createElement('dd');
+            label.textContent = row.label;
+            list.append(key, label);
+        });
+        document.getElementById('shortcuts-help-note').textContent =
+            `Every other action is in the command palette (${formatBinding(bindings['command-palette'] || 'Mod+K')}).`;
+
+        if (helpElement.style.display !== 'flex') returnFocus = document.activeElement;
+        helpElement.style.display = 'flex';
+        document.getElementById('close-shortcuts-help').focus();
+    }
+
+    /**
+     * Hides the keyboard shortcuts, returning the focus to where it was
+     */
+    function hideHelp() {
+        if (!helpElement) return;
+        helpElement.style.display = 'none';
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    /**
+     * Starts listening for shortcuts
+     */
+    function init() {
+        document.addEventListener('keydown', handleKeydown);
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        showHelp,
+        getActions,
+        getDefaultBindings,
+        setBindings,
+        getBindings,
+        getBinding,
+        formatBinding
+    };
+})();
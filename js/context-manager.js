@@ -0,0 +1,241 @@
+/**
+ * Context Manager Module - Keeps requests within the model's context window
+ * The history is measured with the token estimate, and when it doesn't fit the
+ * strategy decides what is left out: the oldest messages (sliding window), the
+ * messages after the first few (pinned), or older turns replaced by a summary
+ * that is written by a background model call.
+ */
+const ContextManager = (function() {
+    'use strict';
+
+    const STRATEGIES = ['window', 'pin', 'summarize'];
+
+    // Tokens kept free for the reply when its length isn't set
+    const DEFAULT_REPLY_TOKENS = 1024;
+
+    // Role markers and separators that each message adds to the prompt
+    const MESSAGE_OVERHEAD = 4;
+
+    // Room left for a summary that hasn't been written yet
+    const SUMMARY_TOKENS = 600;
+
+    const SUMMARY_INSTRUCTIONS = 'Summarize the conversation you are given so that it can be continued ' +
+        'without the full transcript. Keep facts, decisions, names, numbers, code identifiers and open ' +
+        'questions; leave out greetings and filler. If a summary so far is given, fold it into the new ' +
+        'summary. Write at most 300 words, as plain text.';
+
+    /**
+     * Estimates the tokens of a chat history entry
+     * @param {Object} message - The entry
+     * @returns {number} - The estimated tokens
+     */
+    function estimateMessage(message) {
+        return Utils.estimateTokens(message.content) + MESSAGE_OVERHEAD;
+    }
+
+    /**
+     * Gets the tokens a request may use for its prompt
+     * @param {string} model - The model id
+     * @param {number} [contextWindow] - The user's budget for the model, in place of its context window
+     * @param {Object} [params] - The generation parameters; maxTokens is kept free for the reply
+     * @returns {number} - The prompt budget in tokens
+     */
+    function getBudget(model, contextWindow, params) {
+        const size = contextWindow || ApiService.getContextWindow(model);
+        const reply = Math.min(params?.maxTokens || DEFAULT_REPLY_TOKENS, Math.floor(size / 2));
+        return size - reply;
+    }
+
+    /**
+     * Finds where the newest messages that fit in a number of tokens begin
+     * @param {Array<number>} tokens - The tokens of each message
+     * @param {number} from - The first index that may be included
+     * @param {number} last - The index of the newest message, which is always included
+     * @param {number} available - The tokens available for messages before the newest one
+     * @returns {number} - The index of the first included message
+     */
+    function findWindowStart(tokens, from, last, available) {
+        let start = last;
+        while (start > from && tokens[start - 1] <= available) {
+            start--;
+            available -= tokens[start];
+        }
+        return start;
+    }
+
+    /**
+     * Works out which messages of the history are sent
+     * Nothing is left out if everything fits. The newest message is always sent, and
+     * the messages that are sent after a gap start with a user message.
+     * @param {Array} history - The chat history, ending with the user's message
+     * @param {Object} options - How to fit it
+     * @param {number} options.budget - The prompt budget in tokens, see getBudget
+     * @param {string} options.systemPrompt - The system prompt, empty for none
+     * @param {string} options.strategy - 'window', 'pin' or 'summarize'
+     * @param {number} options.pinFirst - The messages kept at the start with the 'pin' strategy
+     * @returns {Object} - { states, used, budget, overflow, summaryAt, needsSummary, previousSummaryAt }:
+     *   states has 'kept', 'pinned', 'dropped' or 'summarized' for each message, used is the
+     *   estimated prompt size, overflow is set if the newest message alone doesn't fit, and
+     *   summaryAt is the index of the last summarized message (-1 for none)
+     */
+    function plan(history, options) {
+        const tokens = history.map(estimateMessage);
+        const systemTokens = Utils.estimateTokens(options.systemPrompt);
+        const total = tokens.reduce((sum, count) => sum + count, systemTokens);
+        const result = {
+            states: history.map(() => 'kept'),
+            used: total,
+            budget: options.budget,
+            overflow: false,
+            summaryAt: -1,
+            needsSummary: false,
+            previousSummaryAt: -1
+        };
+        if (total <= options.budget || history.length < 2) {
+            result.overflow = total > options.budget;
+            return result;
+        }
+
+        const last = history.length - 1;
+        let available = options.budget - systemTokens - tokens[last];
+        result.overflow = available < 0;
+
+        let pinned = 0;
+        if (options.strategy === 'pin') {
+            while (pinned < Math.min(options.pinFirst, last) && tokens[pinned] <= available) {
+                available -= tokens[pinned];
+                pinned++;
+            }
+        }
+
+        let start;
+        let covered = -1; // The last message with a summary
+        if (options.strategy === 'summarize') {
+            for (let index = last - 1; index >= 0; index--) {
+                if (history[index].summary) {
+                    covered = index;
+                    break;
+                }
+            }
+            // An earlier summary is reused while the messages after it fit
+            const summaryTokens = covered >= 0 ? Utils.estimateTokens(history[covered].summary) : SUMMARY_TOKENS;
+            start = findWindowStart(tokens, 0, last, available - summaryTokens);
+            if (covered >= 0 && start <= covered + 1) {
+                start = covered + 1;
+            } else {
+                // A new summary leaves half the room free, so it isn't rewritten on every turn
+                start = findWindowStart(tokens, 0, last, (available - SUMMARY_TOKENS) / 2);
+            }
+        } else {
+            start = findWindowStart(tokens, pinned, last, available);
+        }
+        while (start < last && history[start].role !== 'user') start++;
+
+        if (options.strategy === 'summarize' && start > 0) {
+            result.summaryAt = start - 1;
+            result.needsSummary = !history[start - 1].summary;
+            result.previousSummaryAt = result.needsSummary ? covered : -1;
+        }
+
+        result.used = systemTokens;
+        history.forEach((message, index) => {
+            if (index < pinned) {
+                result.states[index] = 'pinned';
+            } else if (index < start) {
+                result.states[index] = result.summaryAt >= index ? 'summarized' : 'dropped';
+                return;
+            }
+            result.used += tokens[index];
+        });
+        if (result.summaryAt >= 0) {
+            result.used += result.needsSummary ? SUMMARY_TOKENS : Utils.estimateTokens(history[result.summaryAt].summary);
+        }
+        return result;
+    }
+
+    /**
+     * Formats messages as a transcript for the summary call
+     * @param {Array} messages - The messages
+     * @returns {string} - One paragraph per message
+     */
+    function toTranscript(messages) {
+        return messages.map(message => {
+            const names = Utils.getAttachments(message.content).map(part => `[attachment: ${part.name}]`);
+            const text = [message.display || Utils.getTextContent(message.content), ...names].filter(Boolean).join(' ');
+            return `${message.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Adds the summary of earlier turns to a system prompt
+     * @param {string} systemPrompt - The system prompt, empty for none
+     * @param {string} summary - The summary, empty for none
+     * @returns {string} - The combined prompt
+     */
+    function withSummary(systemPrompt, summary) {
+        if (!summary) return systemPrompt;
+        const note = `Summary of the earlier part of this conversation, which is no longer included in full:\n${summary}`;
+        return systemPrompt ? `${systemPrompt}\n\n${note}` : note;
+    }
+
+    /**
+     * Fits the history into the prompt budget, writing a summary if the strategy needs one
+     * A new summary is stored on the last message it covers (as message.summary), so it is
+     * saved with the conversation and reused by later requests. If the summary call fails
+     * for any reason other than the user stopping, the older messages are just left out.
+     * @param {Array} history - The chat history, ending with the user's message
+     * @param {Object} options - The options of plan, and:
+     * @param {Function} options.callModel - (history, systemPrompt) => Promise<{ text, usage }>
+     * @returns {Promise<Object>} - { messages, summary, plan } with the messages to send
+     *   and the summary to add to the system prompt (empty for none)
+     */
+    async function fit(history, options) {
+        const result = plan(history, options);
+        if (result.overflow) {
+            const size = estimateMessage(history[history.length - 1]) + Utils.estimateTokens(options.systemPrompt);
+            throw new Error(`The message and system prompt are about ${size} tokens, more than the ` +
+                `context budget of ${result.budget} tokens allows. Shorten them or raise the budget in Settings.`);
+        }
+
+        let summary = '';
+        if (result.summaryAt >= 0) {
+            const last = history[result.summaryAt];
+            if (result.needsSummary) {
+                const previous = result.previousSummaryAt >= 0 ? history[result.previousSummaryAt].summary : '';
+                const transcript = toTranscript(history.slice(result.previousSummaryAt + 1, result.summaryAt + 1));
+                // The transcript is cut to the budget, keeping its end
+                const maxLength = Math.max(4000, (result.budget - SUMMARY_TOKENS) * 4);
+                const content = (previous ? `Summary so far:\n${previous}\n\n` : '') +
+                    `Conversation:\n${transcript.slice(-maxLength)}`;
+                try {
+                    const reply = await options.callModel([{ role: 'user', content }], SUMMARY_INSTRUCTIONS);
+                    if (reply.text.trim()) last.summary = reply.text.trim();
+                } catch (err) {
+                    if (err.name === 'AbortError') throw err;
+                    console.error('Failed to summarize the conversation:', err);
+                }
+            }
+            summary = last.summary || '';
+            if (!summary) {
+                result.states = result.states.map(state => state === 'summarized' ? 'dropped' : state);
+                result.summaryAt = -1;
+            }
+        }
+
+        return {
+            messages: history.filter((message, index) => result.states[index] === 'kept' || result.states[index] === 'pinned'),
+            summary,
+            plan: result
+        };
+    }
+
+    // Public API
+    return {
+        STRATEGIES,
+        estimateMessage,
+        getBudget,
+        plan,
+        fit,
+        withSummary
+    };
+})();
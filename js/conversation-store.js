@@ -0,0 +1,122 @@
+/**
+ * Conversation Store Module - Persists conversations in IndexedDB
+ * A conversation holds its messages together with the model and settings it used
+ */
+const ConversationStore = (function() {
+    'use strict';
+
+    const STORE = 'conversations';
+    const TITLE_LENGTH = 40;
+
+    /**
+     * Creates a title from the first user message
+     * @param {string} text - The message text
+     * @returns {string} - A short single-line title
+     */
+    function createTitle(text) {
+        const firstLine = (text || '').trim().split('\n')[0].trim();
+        if (!firstLine) return 'New chat';
+        return firstLine.length > TITLE_LENGTH ?
+            firstLine.slice(0, TITLE_LENGTH).trim() + '…' :
+            firstLine;
+    }
+
+    /**
+     * Creates a new, unsaved conversation
+     * @param {string} firstMessage - The first user message, used for the title
+     * @returns {Object} - The conversation
+     */
+    function create(firstMessage) {
+        const now = Date.now();
+        return {
+            id: Utils.generateId(),
+            title: createTitle(firstMessage),
+            createdAt: now,
+            updatedAt: now,
+            model: '',
+            settings: {},
+            messages: [],
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
+    /**
+     * Saves a conversation, updating its timestamp
+     * @param {Object} conversation - The conversation
+     * @returns {Promise<Object>} - The saved conversation
+     */
+    async function save(conversation) {
+        const saved = { ...conversation, updatedAt: Date.now() };
+        await Database.put(STORE, saved);
+        return saved;
+    }
+
+    /**
+     * Gets a conversation by id
+     * @param {string} id - The conversation id
+     * @returns {Promise<Object|null>} - The conversation or null if not found
+     */
+    async function get(id) {
+        return (await Database.get(STORE, id)) || null;
+    }
+
+    /**
+     * Lists conversations, most recently updated first
+     * @param {string} [query] - Only include conversations whose title or messages contain this text
+     * @returns {Promise<Array>} - The conversations
+     */
+    async function list(query) {
+        const conversations = await Database.getAll(STORE);
+        const needle = (query || '').trim().toLowerCase();
+
+        return conversations
+            .filter(conversation => !needle || matches(conversation, needle))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Checks whether a conversation contains the search text
+     * @param {Object} conversation - The conversation
+     * @param {string} needle - The lowercase search text
+     * @returns {boolean} - Whether it matches
+     */
+    function matches(conversation, needle) {
+        if (conversation.title.toLowerCase().includes(needle)) return true;
+        return conversation.messages.some(message =>
+            (message.display || Utils.getTextContent(message.content)).toLowerCase().includes(needle)
+        );
+    }
+
+    /**
+     * Renames a conversation
+     * @param {string} id - The conversation id
+     * @param {string} title - The new title
+     * @returns {Promise<Object|null>} - The renamed conversation or null if not found
+     */
+    async function rename(id, title) {
+        const conversation = await get(id);
+        if (!conversation) return null;
+
+        conversation.title = title.trim() || conversation.title;
+        await Database.put(STORE, conversation);
+        return conversation;
+    }
+
+    /**
+     * Deletes a conversation
+     * @param {string} id - The conversation id
+     */
+    function remove(id) {
+        return Database.remove(STORE, id);
+    }
+
+    // Public API
+    return {
+        create,
+        save,
+        get,
+        list,
+        rename,
+        remove
+    };
+})();
\ No newline at end of file
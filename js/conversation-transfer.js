@@ -0,0 +1,421 @@
+/**
+ * Conversation Transfer Module - Exports conversations as Markdown, JSON or HTML,
+ * and reads them back from this app's JSON or a ChatGPT data export
+ * Exports cover the active branch; the JSON export also keeps the whole tree so an
+ * import restores every branch.
+ */
+const ConversationTransfer = (function() {
+    'use strict';
+
+    const FORMAT = 'simple-ai-agent-conversation';
+    const VERSION = 1;
+
+    const FORMATS = {
+        markdown: { extension: 'md', mimeType: 'text/markdown' },
+        json: { extension: 'json', mimeType: 'application/json' },
+        html: { extension: 'html', mimeType: 'text/html' }
+    };
+
+    const ROLE_NAMES = { user: 'You', assistant: 'Assistant' };
+
+    // The settings a conversation keeps (see ChatController.saveConversation), all on/off;
+    // an imported file can't change any other setting, such as the endpoint or shortcuts
+    const CONVERSATION_SETTINGS = ['streaming', 'enableCoT', 'showThinking', 'enableTools'];
+
+    /**
+     * Formats a timestamp for an export
+     * @param {number} time - The time in milliseconds
+     * @returns {string} - The local date and time
+     */
+    function formatTime(time) {
+        return new Date(time).toLocaleString();
+    }
+
+    /**
+     * Gets the display name of a model
+     * @param {string} model - The model id
+     * @returns {string} - Its label, or the id for models that aren't registered
+     */
+    function getModelName(model) {
+        return ApiService.getModel(model)?.label || model || 'Unknown';
+    }
+
+    /**
+     * Gets the text of a message as the user or model wrote it
+     * @param {Object} message - The chat history entry
+     * @returns {string} - The text
+     */
+    function getMessageText(message) {
+        // Older conversations kept the typed text apart from the prompt that was sent
+        return message.display || Utils.getTextContent(message.content);
+    }
+
+    /**
+     * Gets the metadata lines of an export
+     * @param {Object} conversation - The conversation
+     * @returns {Array<Array<string>>} - [label, value] pairs
+     */
+    function getMetadata(conversation) {
+        const rows = [
+            ['Model', getModelName(conversation.model)],
+            ['Created', formatTime(conversation.createdAt)],
+            ['Updated', formatTime(conversation.updatedAt)]
+        ];
+        if (conversation.usage) rows.push(['Tokens', Utils.formatUsage(conversation.usage)]);
+        return rows;
+    }
+
+    /**
+     * Exports a conversation as Markdown
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The Markdown document
+     */
+    function toMarkdown(conversation) {
+        const lines = [`# ${conversation.title}`, ''];
+        getMetadata(conversation).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        if (conversation.systemPrompt) {
+            lines.push('', '**System prompt:**', '', ...conversation.systemPrompt.split('\n').map(line => `> ${line}`));
+        }
+
+        conversation.messages.forEach(message => {
+            lines.push('', '---', '', `### ${ROLE_NAMES[message.role]}`, '');
+            if (message.reasoning) {
+                lines.push('<details><summary>Thinking</summary>', '', message.reasoning, '', '</details>', '');
+            }
+            lines.push(getMessageText(message));
+
+            const attachments = Utils.getAttachments(message.content);
+            if (attachments.length) {
+                lines.push('', `*Attachments: ${attachments.map(part => part.name).join(', ')}*`);
+            }
+            if (message.sources) {
+                lines.push('', '**Sources:**', '');
+                message.sources.forEach((source, index) =>
+                    lines.push(`${index + 1}. ${source.documentName}, passage ${source.index + 1}`));
+            }
+            if (message.interrupted) lines.push('', '*(interrupted)*');
+            if (message.usage) lines.push('', `*${Utils.formatUsage(message.usage)}*`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Exports a conversation as JSON, with its tree, model, settings, usage and timestamps
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The JSON document
+     */
+    function toJson(conversation) {
+        const { title, createdAt, updatedAt, model, settings, systemPrompt, usage, messages, tree } = conversation;
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: Date.now(),
+            conversation: { title, createdAt, updatedAt, model, settings, systemPrompt, usage, messages, tree }
+        }, null, 2);
+    }
+
+    /**
+     * Renders the attachments of a message for the HTML export
+     * Images are embedded, so the file works on its own
+     * @param {string|Array} content - The message content
+     * @returns {string} - HTML
+     */
+    function renderAttachments(content) {
+        return Utils.getAttachments(content).map(part => {
+            const name = Utils.escapeHtml(part.name);
+            if (part.type === 'image') {
+                return `<img class="attachment" src="${Utils.escapeHtml(Attachments.toDataUrl(part))}" alt="${name}">`;
+            }
+            return `<p class="attachment">📄 ${name}</p>`;
+        }).join('');
+    }
+
+    /**
+     * Exports a conversation as a standalone HTML page
+     * Messages go through the Markdown renderer, so the page has the same sanitized output as the app
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The HTML document
+     */
+    function toHtml(conversation) {
+        const metadata = getMetadata(conversation).map(([label, value]) =>
+            `<dt>${label}</dt><dd>${Utils.escapeHtml(value)}</dd>`).join('');
+
+        const messages = conversation.messages.map(message => {
+            let html = `<h2>${ROLE_NAMES[message.role]}</h2>`;
+            if (message.reasoning) {
+                html += `<details><summary>Thinking</summary>${MarkdownRenderer.render(message.reasoning)}</details>`;
+            }
+            html += MarkdownRenderer.render(getMessageText(message)) + renderAttachments(message.content);
+            if (message.sources) {
+                html += '<h3>Sources</h3><ol>' + message.sources.map(source =>
+                    `<li><details><summary>${Utils.escapeHtml(source.documentName)}, passage ${source.index + 1}</summary>` +
+                    `<pre>${Utils.escapeHtml(source.text)}</pre></details></li>`).join('') + '</ol>';
+            }
+            if (message.interrupted) html += '<p class="note">Interrupted</p>';
+            if (message.usage) html += `<p class="note">${Utils.escapeHtml(Utils.formatUsage(message.usage))}</p>`;
+            return `<section class="message message--${message.role}">${html}</section>`;
+        }).join('\n');
+
+        const systemPrompt = conversation.systemPrompt ?
+            `<section class="message message--system"><h2>System prompt</h2><pre>${Utils.escapeHtml(conversation.systemPrompt)}</pre></section>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${Utils.escapeHtml(conversation.title)}</title>
+<style>
+body { max-width: 800px; margin: 0 auto; padding: 1rem; font-family: system-ui, sans-serif; line-height: 1.5; color: #222; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+.message { margin: 1rem 0; padding: 0.5rem 1rem; border-radius: 8px; background: #f5f5f5; }
+.message--user { background: #e8f1ff; }
+.message h2 { margin: 0.25rem 0; font-size: 1rem; }
+pre { overflow: auto; padding: 0.5rem; background: #fff; border-radius: 4px; white-space: pre-wrap; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #ccc; padding: 0.25rem 0.5rem; }
+.attachment { max-width: 100%; max-height: 300px; }
+.note { font-size: 0.8rem; color: #666; }
+</style>
+</head>
+<body>
+<h1>${Utils.escapeHtml(conversation.title)}</h1>
+<dl>${metadata}</dl>
+${systemPrompt}
+${messages}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Exports a conversation
+     * @param {Object} conversation - The conversation
+     * @param {string} format - 'markdown', 'json' or 'html'
+     * @returns {Object} - { fileName, content, mimeType }
+     */
+    function exportConversation(conversation, format) {
+        const type = FORMATS[format];
+        if (!type) throw new Error(`Unknown export format: ${format}`);
+
+        const content = format === 'markdown' ? toMarkdown(conversation) :
+            format === 'json' ? toJson(conversation) : toHtml(conversation);
+        const baseName = conversation.title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+
+        return { fileName: `${baseName || 'conversation'}.${type.extension}`, content, mimeType: type.mimeType };
+    }
+
+    /**
+     * Checks that a value is a chat history entry the app can show and send
+     * @param {*} message - The value
+     * @returns {boolean} - Whether it is a user or assistant message with content
+     */
+    function isValidMessage(message) {
+        return Boolean(message) && (message.role === 'user' || message.role === 'assistant') &&
+            (typeof message.content === 'string' || Array.isArray(message.content));
+    }
+
+    /**
+     * Checks that a tree from a file can be shown without breaking the app
+     * Every link must point to an existing node and match the link back, and every node
+     * must be reached from the root exactly once, so following the active children ends.
+     * @param {*} tree - The tree in the file
+     * @returns {boolean} - Whether it is a well-formed tree of usable messages
+     */
+    function isValidTree(tree) {
+        const nodes = tree?.nodes;
+        if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) return false;
+
+        const rootId = ConversationTree.ROOT_ID;
+        const getNode = id => typeof id === 'string' && Object.hasOwn(nodes, id) ? nodes[id] : null;
+        const root = getNode(rootId);
+        if (!root || root.parentId !== null) return false;
+        if (!Object.values(nodes).every(node => node && Array.isArray(node.children))) return false;
+
+        const linksAreValid = Object.entries(nodes).every(([id, node]) =>
+            node.id === id &&
+            (id === rootId || (isValidMessage(node.message) && Boolean(getNode(node.parentId)?.children.includes(id)))) &&
+            node.children.every(childId => getNode(childId)?.parentId === id) &&
+            (node.activeChild === null || node.children.includes(node.activeChild)));
+        if (!linksAreValid) return false;
+
+        const reached = new Set();
+        const pending = [rootId];
+        while (pending.length) {
+            const id = pending.pop();
+            if (reached.has(id)) return false;
+            reached.add(id);
+            pending.push(...nodes[id].children);
+        }
+        return reached.size === Object.keys(nodes).length;
+    }
+
+    /**
+     * Reads the per-conversation settings of an imported file
+     * @param {*} settings - The settings in the file
+     * @returns {Object} - The known settings that have the right type
+     */
+    function readSettings(settings) {
+        const result = {};
+        if (!settings || typeof settings !== 'object') return result;
+
+        CONVERSATION_SETTINGS.forEach(key => {
+            if (typeof settings[key] === 'boolean') result[key] = settings[key];
+        });
+        return result;
+    }
+
+    /**
+     * Reads a conversation exported as JSON by this app
+     * @param {Object} data - The parsed export
+     * @returns {Object} - The conversation, with a new id
+     */
+    function fromJson(data) {
+        const source = data.conversation || {};
+        const messages = Array.isArray(source.messages) ? source.messages : [];
+        if (!messages.length || !messages.every(isValidMessage)) {
+            throw new Error('The conversation in this file is incomplete.');
+        }
+
+        // The tree is only kept if it is well formed and every message in it is usable
+        const treeIsValid = isValidTree(source.tree);
+
+        const conversation = ConversationStore.create(getMessageText(messages[0]));
+        return {
+            ...conversation,
+            title: typeof source.title === 'string' && source.title ? source.title : conversation.title,
+            createdAt: source.createdAt || conversation.createdAt,
+            model: ApiService.getModel(source.model) ? source.model : '',
+            settings: readSettings(source.settings),
+            systemPrompt: typeof source.systemPrompt === 'string' ? source.systemPrompt : null,
+            usage: source.usage || conversation.usage,
+            tree: treeIsValid ? source.tree : ConversationTree.fromMessages(messages),
+            messages: treeIsValid ? ConversationTree.getActiveMessages(source.tree) : messages
+        };
+    }
+
+    /**
+     * Gets the text of a message in a ChatGPT export
+     * @param {Object} content - The message content { content_type, parts } or { text }
+     * @returns {string} - The text parts; images and other parts are left out
+     */
+    function getChatGptText(content) {
+        if (!content) return '';
+        if (Array.isArray(content.parts)) {
+            return content.parts.filter(part => typeof part === 'string').join('\n');
+        }
+        return typeof content.text === 'string' ? content.text : '';
+    }
+
+    /**
+     * Reads a conversation of a ChatGPT data export (conversations.json)
+     * Only the branch that was open in ChatGPT is imported; system, tool and hidden
+     * messages are left out.
+     * @param {Object} item - The conversation { title, create_time, mapping, current_node }
+     * @returns {Object|null} - The conversation, or null if it has no messages
+     */
+    function fromChatGpt(item) {
+        const mapping = item.mapping || {};
+        const getNode = id => typeof id === 'string' && Object.hasOwn(mapping, id) ? mapping[id] : null;
+
+        // A node met twice means the links loop, which a real export never has
+        const visit = (visited, id) => {
+            if (visited.has(id)) {
+                throw new Error(`The conversation "${item.title || 'Untitled'}" in this file is corrupted.`);
+            }
+            visited.add(id);
+        };
+
+        // Without a current node, follow the latest child from the root
+        let nodeId = item.current_node;
+        if (!getNode(nodeId)) {
+            const followed = new Set();
+            nodeId = Object.keys(mapping).find(id => mapping[id] && !mapping[id].parent);
+            while (getNode(nodeId)?.children?.length) {
+                visit(followed, nodeId);
+                nodeId = getNode(nodeId).children[getNode(nodeId).children.length - 1];
+            }
+        }
+
+        const path = [];
+        const visited = new Set();
+        while (getNode(nodeId)) {
+            visit(visited, nodeId);
+            path.unshift(getNode(nodeId));
+            nodeId = getNode(nodeId).parent;
+        }
+
+        const messages = [];
+        path.forEach(node => {
+            const message = node.message;
+            const role = message?.author?.role;
+            if (role !== 'user' && role !== 'assistant') return;
+            if (message.metadata?.is_visually_hidden_from_conversation) return;
+            if (message.recipient && message.recipient !== 'all') return;
+
+            const text = getChatGptText(message.content).trim();
+            if (!text) return;
+
+            // Replies split over several nodes (e.g. around tool use) become one message
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content += '\n\n' + text;
+            } else {
+                messages.push({ role, content: text });
+            }
+        });
+        if (!messages.length) return null;
+
+        const conversation = ConversationStore.create(messages[0].content);
+        return {
+            ...conversation,
+            title: item.title || conversation.title,
+            createdAt: item.create_time ? Math.round(item.create_time * 1000) : conversation.createdAt,
+            systemPrompt: null,
+            tree: ConversationTree.fromMessages(messages),
+            messages
+        };
+    }
+
+    /**
+     * Reads conversations from an exported file
+     * @param {string} text - The file contents: this app's JSON export, or ChatGPT's
+     *   conversations.json (a list of conversations) or a single conversation from it
+     * @returns {Array} - The conversations, with new ids, ready to be saved
+     */
+    function parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (data && data.format === FORMAT) {
+            if (data.version > VERSION) {
+                throw new Error('The file was exported by a newer version of the app.');
+            }
+            return [fromJson(data)];
+        }
+
+        const items = Array.isArray(data) ? data : [data];
+        if (!items.every(item => item && typeof item.mapping === 'object')) {
+            throw new Error('The file is not a conversation export of this app or ChatGPT.');
+        }
+
+        const conversations = items.map(fromChatGpt).filter(Boolean);
+        if (!conversations.length) {
+            throw new Error('The file has no messages to import.');
+        }
+        return conversations;
+    }
+
+    // Public API
+    return {
+        exportConversation,
+        parse
+    };
+})();
@@ -0,0 +1,165 @@
+/**
+ * Conversation Tree Module - Stores a conversation as a tree of messages
+ * Editing a message or regenerating a reply adds a sibling branch instead of
+ * overwriting it. Each node remembers its active child, and the path of active
+ * children from the root is the history that is shown and sent to the model.
+ * Trees are plain objects so they can be saved in IndexedDB as they are.
+ */
+const ConversationTree = (function() {
+    'use strict';
+
+    const ROOT_ID = 'root';
+
+    /**
+     * Creates an empty tree
+     * @returns {Object} - { nodes } where nodes maps ids to { id, parentId, message, children, activeChild }
+     */
+    function create() {
+        return {
+            nodes: {
+                [ROOT_ID]: { id: ROOT_ID, parentId: null, message: null, children: [], activeChild: null }
+            }
+        };
+    }
+
+    /**
+     * Creates a tree with a single branch, e.g. from a conversation saved as a flat list
+     * @param {Array} messages - The messages, oldest first
+     * @returns {Object} - The tree
+     */
+    function fromMessages(messages) {
+        const tree = create();
+        messages.reduce((parentId, message) => addMessage(tree, parentId, message), ROOT_ID);
+        return tree;
+    }
+
+    /**
+     * Gets a node by id
+     * @param {Object} tree - The tree
+     * @param {string} id - The node id
+     * @returns {Object|null} - The node or null if not found
+     */
+    function getNode(tree, id) {
+        return tree.nodes[id] || null;
+    }
+
+    /**
+     * Adds a message under a node and makes it the active branch
+     * @param {Object} tree - The tree
+     * @param {string} parentId - The parent node id, or the root id
+     * @param {Object} message - The chat history entry
+     * @returns {string} - The new node id
+     */
+    function addMessage(tree, parentId, message) {
+        const parent = getNode(tree, parentId);
+        if (!parent) throw new Error(`Unknown message: ${parentId}`);
+
+        const id = Utils.generateId();
+        tree.nodes[id] = { id, parentId, message, children: [], activeChild: null };
+        parent.children.push(id);
+        parent.activeChild = id;
+        return id;
+    }
+
+    /**
+     * Gets the node ids of the active branch, oldest first
+     * @param {Object} tree - The tree
+     * @returns {Array} - The node ids, without the root
+     */
+    function getActivePath(tree) {
+        const path = [];
+        let node = getNode(tree, ROOT_ID);
+        while (node.activeChild) {
+            path.push(node.activeChild);
+            node = getNode(tree, node.activeChild);
+        }
+        return path;
+    }
+
+    /**
+     * Gets the id of the last node of the active branch
+     * @param {Object} tree - The tree
+     * @returns {string} - The node id, or the root id if the tree is empty
+     */
+    function getLastId(tree) {
+        const path = getActivePath(tree);
+        return path.length ? path[path.length - 1] : ROOT_ID;
+    }
+
+    /**
+     * Gets the messages leading to a node, whichever branch is active
+     * @param {Object} tree - The tree
+     * @param {string} id - The node id
+     * @returns {Array} - The messages from the first one up to and including the node
+     */
+    function getMessages(tree, id) {
+        const messages = [];
+        let node = getNode(tree, id);
+        while (node && node.id !== ROOT_ID) {
+            messages.unshift(node.message);
+            node = getNode(tree, node.parentId);
+        }
+        return messages;
+    }
+
+    /**
+     * Gets the messages of the active branch
+     * @param {Object} tree - The tree
+     * @returns {Array} - The messages, oldest first
+     */
+    function getActiveMessages(tree) {
+        return getMessages(tree, getLastId(tree));
+    }
+
+    /**
+     * Gets the position of a node among its siblings
+     * @param {Object} tree - The tree
+     * @param {string} id - The node id
+     * @returns {Object} - { index, count }
+     */
+    function getSiblings(tree, id) {
+        const parent = getNode(tree, getNode(tree, id).parentId);
+        return { index: parent.children.indexOf(id), count: parent.children.length };
+    }
+
+    /**
+     * Switches the active branch to a sibling of a node
+     * @param {Object} tree - The tree
+     * @param {string} id - The node id
+     * @param {number} offset - -1 for the previous sibling, 1 for the next
+     * @returns {string} - The id of the now active sibling
+     */
+    function switchSibling(tree, id, offset) {
+        const parent = getNode(tree, getNode(tree, id).parentId);
+        const index = parent.children.indexOf(id) + offset;
+        if (index < 0 || index >= parent.children.length) return id;
+
+        parent.activeChild = parent.children[index];
+        return parent.activeChild;
+    }
+
+    /**
+     * Makes a node the active branch of its parent
+     * @param {Object} tree - The tree
+     * @param {string} id - The node id
+     */
+    function select(tree, id) {
+        getNode(tree, getNode(tree, id).parentId).activeChild = id;
+    }
+
+    // Public API
+    return {
+        ROOT_ID,
+        create,
+        fromMessages,
+        getNode,
+        addMessage,
+        getActivePath,
+        getLastId,
+        getMessages,
+        getActiveMessages,
+        getSiblings,
+        switchSibling,
+        select
+    };
+})();
@@ -0,0 +1,101 @@
+/**
+ * Credential Store Module - Remembers the login password between sessions
+ * The password is encrypted with a non-extractable device key kept in IndexedDB,
+ * and the saved credentials expire after a fixed number of days
+ */
+const CredentialStore = (function() {
+    'use strict';
+
+    const STORE = 'keystore';
+    const DEVICE_KEY_ID = 'device-key';
+    const CREDENTIALS_ID = 'credentials';
+    const DEFAULT_DAYS = 30;
+    const LEGACY_COOKIE = 'chat_pwd';
+
+    /**
+     * Gets the device key, creating it on first use
+     * @returns {Promise<CryptoKey>} - A non-extractable AES-GCM key
+     */
+    async function getDeviceKey() {
+        let key = await Database.get(STORE, DEVICE_KEY_ID);
+
+        if (!key) {
+            key = await crypto.subtle.generateKey(
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+            await Database.put(STORE, key, DEVICE_KEY_ID);
+        }
+
+        return key;
+    }
+
+    /**
+     * Saves the password until it expires
+     * @param {string} password - The password to remember
+     * @param {number} days - Days until the saved password expires
+     */
+    async function save(password, days = DEFAULT_DAYS) {
+        const key = await getDeviceKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(password)
+        );
+
+        await Database.put(STORE, {
+            iv,
+            data,
+            expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
+        }, CREDENTIALS_ID);
+    }
+
+    /**
+     * Loads the saved password if it has not expired
+     * @returns {Promise<string|null>} - The password or null if none is saved
+     */
+    async function load() {
+        // The XOR'd password cookie of older versions is no longer trusted
+        Utils.deleteCookie(LEGACY_COOKIE);
+
+        try {
+            const record = await Database.get(STORE, CREDENTIALS_ID);
+            if (!record) return null;
+
+            if (Date.now() > record.expiresAt) {
+                await clear();
+                return null;
+            }
+
+            const key = await getDeviceKey();
+            const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+            return new TextDecoder().decode(plain);
+        } catch (err) {
+            console.error('Error loading saved credentials:', err);
+            await clear();
+            return null;
+        }
+    }
+
+    /**
+     * Clears the saved password
+     */
+    async function clear() {
+        Utils.deleteCookie(LEGACY_COOKIE);
+
+        try {
+            await Database.remove(STORE, CREDENTIALS_ID);
+        } catch (err) {
+            console.error('Error clearing saved credentials:', err);
+        }
+    }
+
+    // Public API
+    return {
+        save,
+        load,
+        clear
+    };
+})();
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Database Module - Thin promise wrapper around the app's IndexedDB database
+ * Owns the schema so every module shares one database and one version number
+ */
+const Database = (function() {
+    'use strict';
+
+    const DB_NAME = 'simple-ai-agent';
+    const DB_VERSION = 3;
+
+    // Schema upgrades, keyed by the version they upgrade to
+    const migrations = {
+        1: db => {
+            db.createObjectStore('keystore');
+        },
+        2: db => {
+            const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+            conversations.createIndex('updatedAt', 'updatedAt');
+        },
+        3: db => {
+            // Knowledge base: documents, their passages and the inverted index of terms
+            db.createObjectStore('kbDocuments', { keyPath: 'id' });
+            db.createObjectStore('kbChunks', { keyPath: 'id' });
+            db.createObjectStore('kbTerms', { keyPath: 'term' });
+        }
+    };
+
+    // Private state
+    let dbPromise = null;
+
+    /**
+     * Opens the database, running any pending schema upgrades
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    migrations[version](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Runs a single request against an object store
+     * @param {string} storeName - The object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    async function run(storeName, mode, makeRequest) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Runs work that spans several object stores in one transaction, so it
+     * is either applied completely or not at all
+     * @param {Array<string>} storeNames - The object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the stores by name and queues requests on them;
+     *   its return value is resolved once the transaction completes
+     * @returns {Promise<*>} - The return value of work
+     */
+    async function transaction(storeNames, mode, work) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            const result = work(stores);
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Gets a record by key
+     * @param {string} storeName - The object store name
+     * @param {*} key - The record key
+     * @returns {Promise<*>} - The record or undefined
+     */
+    function get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Gets all records of a store
+     * @param {string} storeName - The object store name
+     * @returns {Promise<Array>} - The records
+     */
+    function getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Inserts or replaces a record
+     * @param {string} storeName - The object store name
+     * @param {*} value - The record
+     * @param {*} [key] - The key, for stores without a key path
+     * @returns {Promise<*>} - The record key
+     */
+    function put(storeName, value, key) {
+        return run(storeName, 'readwrite', store =>
+            key === undefined ? store.put(value) : store.put(value, key)
+        );
+    }
+
+    /**
+     * Deletes a record by key
+     * @param {string} storeName - The object store name
+     * @param {*} key - The record key
+     * @returns {Promise<void>}
+     */
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    // Public API
+    return {
+        open,
+        get,
+        getAll,
+        put,
+        remove,
+        transaction
+    };
+})();
\ No newline at end of file
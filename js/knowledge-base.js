@@ -0,0 +1,290 @@
+/**
+ * Knowledge Base Module - Local document retrieval
+ * Text documents are split into passages and indexed in IndexedDB with an inverted
+ * index of terms; searches rank the passages with BM25. Nothing leaves the browser
+ * except the passages added to a prompt.
+ */
+const KnowledgeBase = (function() {
+    'use strict';
+
+    const DOCUMENTS = 'kbDocuments';
+    const CHUNKS = 'kbChunks';
+    const TERMS = 'kbTerms';
+
+    // Passages are built from paragraphs up to this many characters
+    const CHUNK_SIZE = 1200;
+
+    // BM25 parameters: term frequency saturation and length normalization
+    const K1 = 1.2;
+    const B = 0.75;
+
+    const STOP_WORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from', 'has',
+        'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+        'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+        'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+    ]);
+
+    /**
+     * Splits text into lowercase index terms, without stop words
+     * @param {string} text - The text
+     * @returns {Array<string>} - The terms, in order
+     */
+    function tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+    }
+
+    /**
+     * Splits a long paragraph at sentence ends, or at spaces if a sentence is too long
+     * @param {string} paragraph - The paragraph
+     * @returns {Array<string>} - Pieces of at most CHUNK_SIZE characters
+     */
+    function splitParagraph(paragraph) {
+        const pieces = [];
+        let rest = paragraph;
+        while (rest.length > CHUNK_SIZE) {
+            const window = rest.slice(0, CHUNK_SIZE);
+            let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! ')) + 1;
+            if (cut < CHUNK_SIZE / 2) cut = window.lastIndexOf(' ');
+            if (cut < CHUNK_SIZE / 2) cut = CHUNK_SIZE;
+            pieces.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+        if (rest) pieces.push(rest);
+        return pieces;
+    }
+
+    /**
+     * Splits a document into passages of whole paragraphs where possible
+     * @param {string} text - The document text
+     * @returns {Array<string>} - The passages
+     */
+    function chunk(text) {
+        const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .flatMap(splitParagraph);
+
+        const chunks = [];
+        let current = '';
+        paragraphs.forEach(paragraph => {
+            if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        });
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Counts how often each term occurs
+     * @param {Array<string>} terms - The terms
+     * @returns {Object} - Occurrences by term, without a prototype so that terms such
+     *   as "constructor" aren't read from Object.prototype
+     */
+    function countTerms(terms) {
+        const counts = Object.create(null);
+        terms.forEach(term => {
+            counts[term] = (counts[term] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Gets the id of a passage
+     * @param {string} documentId - The document id
+     * @param {number} index - The passage's position in the document
+     * @returns {string} - The passage id
+     */
+    function chunkId(documentId, index) {
+        return `${documentId}:${index}`;
+    }
+
+    /**
+     * Adds a text document to the knowledge base
+     * @param {string} name - The document name, e.g. the file name
+     * @param {string} text - The document text
+     * @returns {Promise<Object>} - The document { id, name, size, addedAt, chunkCount, chunkLengths }
+     */
+    async function addDocument(name, text) {
+        const passages = chunk(text);
+        if (!passages.length) {
+            throw new Error(`${name} has no text to add.`);
+        }
+
+        const doc = {
+            id: Utils.generateId(),
+            name,
+            size: text.length,
+            addedAt: Date.now(),
+            chunkCount: passages.length,
+            chunkLengths: []
+        };
+
+        // Postings of every passage by term, merged into the stored index below
+        const postings = Object.create(null);
+        const chunks = passages.map((passage, index) => {
+            const terms = tokenize(passage);
+            const counts = countTerms(terms);
+            const id = chunkId(doc.id, index);
+            doc.chunkLengths.push(terms.length);
+            Object.keys(counts).forEach(term => {
+                postings[term] = postings[term] || Object.create(null);
+                postings[term][id] = counts[term];
+            });
+            return { id, documentId: doc.id, index, text: passage, terms: Object.keys(counts) };
+        });
+
+        await Database.transaction([DOCUMENTS, CHUNKS, TERMS], 'readwrite', stores => {
+            stores[DOCUMENTS].put(doc);
+            chunks.forEach(record => stores[CHUNKS].put(record));
+            Object.keys(postings).forEach(term => {
+                const request = stores[TERMS].get(term);
+                request.onsuccess = () => {
+                    const entry = request.result || { term, postings: Object.create(null) };
+                    Object.assign(entry.postings, postings[term]);
+                    stores[TERMS].put(entry);
+                };
+            });
+        });
+        return doc;
+    }
+
+    /**
+     * Lists the documents, most recently added first
+     * @returns {Promise<Array>} - The documents
+     */
+    async function listDocuments() {
+        const documents = await Database.getAll(DOCUMENTS);
+        return documents.sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * Removes a document, its passages and their index entries
+     * @param {string} id - The document id
+     */
+    async function removeDocument(id) {
+        const doc = await Database.get(DOCUMENTS, id);
+        if (!doc) return;
+
+        const ids = Array.from({ length: doc.chunkCount }, (_, index) => chunkId(id, index));
+        const requests = await Database.transaction([CHUNKS], 'readonly', stores =>
+            ids.map(key => stores[CHUNKS].get(key))
+        );
+
+        // Each term is updated once, since passages of a document share most of their terms
+        const terms = new Set();
+        requests.forEach(request => (request.result?.terms || []).forEach(term => terms.add(term)));
+
+        await Database.transaction([DOCUMENTS, CHUNKS, TERMS], 'readwrite', stores => {
+            terms.forEach(term => {
+                const request = stores[TERMS].get(term);
+                request.onsuccess = () => {
+                    const entry = request.result;
+                    if (!entry) return;
+                    ids.forEach(key => delete entry.postings[key]);
+                    if (Object.keys(entry.postings).length) {
+                        stores[TERMS].put(entry);
+                    } else {
+                        stores[TERMS].delete(term);
+                    }
+                };
+            });
+            ids.forEach(key => stores[CHUNKS].delete(key));
+            stores[DOCUMENTS].delete(id);
+        });
+    }
+
+    /**
+     * Finds the passages that best match a query, ranked with BM25
+     * @param {string} query - The query, e.g. the user's message
+     * @param {number} limit - The most passages to return
+     * @returns {Promise<Array>} - The passages { id, documentId, documentName, index, text, score },
+     *   best first; empty if nothing matches
+     */
+    async function search(query, limit) {
+        const terms = [...new Set(tokenize(query))];
+        const documents = await Database.getAll(DOCUMENTS);
+        if (!terms.length || !documents.length) return [];
+
+        // Corpus statistics come from the documents, so searching reads no passage it won't return
+        const lengths = {};
+        const names = {};
+        let totalLength = 0;
+        documents.forEach(doc => {
+            names[doc.id] = doc.name;
+            doc.chunkLengths.forEach((length, index) => {
+                lengths[chunkId(doc.id, index)] = length;
+                totalLength += length;
+            });
+        });
+        const count = Object.keys(lengths).length;
+        const averageLength = totalLength / count || 1;
+
+        const entries = await Database.transaction([TERMS], 'readonly', stores =>
+            terms.map(term => stores[TERMS].get(term))
+        );
+
+        const scores = {};
+        entries.forEach(request => {
+            const postings = request.result?.postings;
+            if (!postings) return;
+
+            const ids = Object.keys(postings);
+            const idf = Math.log(1 + (count - ids.length + 0.5) / (ids.length + 0.5));
+            ids.forEach(id => {
+                const frequency = postings[id];
+                const norm = 1 - B + B * (lengths[id] || 0) / averageLength;
+                scores[id] = (scores[id] || 0) + idf * frequency * (K1 + 1) / (frequency + K1 * norm);
+            });
+        });
+
+        const ranked = Object.keys(scores)
+            .sort((a, b) => scores[b] - scores[a])
+            .slice(0, limit);
+        if (!ranked.length) return [];
+
+        const chunks = await Database.transaction([CHUNKS], 'readonly', stores =>
+            ranked.map(id => stores[CHUNKS].get(id))
+        );
+        return chunks
+            .map(request => request.result)
+            .filter(Boolean)
+            .map(record => ({
+                id: record.id,
+                documentId: record.documentId,
+                documentName: names[record.documentId],
+                index: record.index,
+                text: record.text,
+                score: scores[record.id]
+            }));
+    }
+
+    /**
+     * Builds the instructions that give the model retrieved passages to cite
+     * @param {Array} passages - The passages, numbered from 1 in this order
+     * @returns {string} - The instructions
+     */
+    function buildContext(passages) {
+        const sources = passages.map((passage, index) =>
+            `[${index + 1}] ${passage.documentName}, passage ${passage.index + 1}:\n${passage.text}`
+        ).join('\n\n');
+
+        return 'These passages from the user\'s knowledge base may help with their latest message. ' +
+            'Use them where they are relevant and cite each one you use by its number in square ' +
+            'brackets, e.g. [1]. If they don\'t answer the message, say so before answering from ' +
+            `general knowledge.\n\n${sources}`;
+    }
+
+    // Public API
+    return {
+        addDocument,
+        listDocuments,
+        removeDocument,
+        search,
+        buildContext
+    };
+})();
@@ -0,0 +1,410 @@
+/**
+ * Markdown Renderer Module - Renders message Markdown to sanitized HTML
+ * Escapes all source text before adding markup, then runs the result through an
+ * allowlist sanitizer. Unfinished constructs render as far as they go, so a reply
+ * can be re-rendered safely on every streamed chunk.
+ */
+const MarkdownRenderer = (function() {
+    'use strict';
+
+    // Block patterns
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+    const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}> ?/;
+    const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+    const TASK = /^\[([ xX])\]\s+/;
+
+    // Link target: a URL that may contain balanced parentheses, then an optional "title"
+    const LINK_TARGET = String.raw`\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)`;
+    const IMAGE = new RegExp(String.raw`!\[([^\]]*)\]` + LINK_TARGET, 'g');
+    const LINK = new RegExp(String.raw`\[([^\]]+)\]` + LINK_TARGET, 'g');
+
+    // Sanitizer allowlist: tag name -> allowed attributes
+    const ALLOWED_TAGS = {
+        p: [], br: [], hr: [], strong: [], em: [], del: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        blockquote: [], ul: [], ol: ['start'], li: ['class'],
+        pre: [], code: ['class'], span: ['class'], div: ['class'],
+        table: [], thead: [], tbody: [], tr: [], th: ['class'], td: ['class'],
+        a: ['href', 'title', 'target', 'rel'],
+        input: ['type', 'checked', 'disabled']
+    };
+
+    // Elements removed together with their content rather than unwrapped
+    const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+    const SAFE_CLASS = /^(?:language-[\w+#.-]*|hl-\w+|md-[\w-]+)$/;
+
+    /**
+     * Renders Markdown as sanitized HTML
+     * @param {string} text - The Markdown text
+     * @returns {string} - The HTML
+     */
+    function render(text) {
+        // NUL marks inline placeholders, so it may not appear in the source
+        const source = String(text || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '');
+        return sanitize(renderBlocks(source.split('\n')).map(block => block.html).join(''));
+    }
+
+    /**
+     * Checks whether a line starts a block other than a paragraph
+     * @param {Array} lines - All lines
+     * @param {number} i - The index of the line
+     * @returns {boolean} - Whether the line interrupts a paragraph
+     */
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || isTableStart(lines, i);
+    }
+
+    /**
+     * Checks whether a table header and divider start at a line
+     * @param {Array} lines - All lines
+     * @param {number} i - The index of the line
+     * @returns {boolean} - Whether a table starts here
+     */
+    function isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length &&
+            lines[i + 1].includes('-') && TABLE_DIVIDER.test(lines[i + 1]);
+    }
+
+    /**
+     * Renders lines as a list of blocks
+     * @param {Array} lines - The lines
+     * @returns {Array} - [{ type, html }]
+     */
+    function renderBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                i++;
+            } else if ((match = line.match(FENCE))) {
+                // An unclosed fence runs to the end, as it does while a reply streams in
+                const fence = match[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !isClosingFence(lines[i], fence)) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                blocks.push({ type: 'code', html: renderCode(code.join('\n'), match[2]) });
+            } else if ((match = line.match(HEADING))) {
+                const level = match[1].length;
+                blocks.push({ type: 'heading', html: `<h${level}>${renderInline(match[2] || '')}</h${level}>` });
+                i++;
+            } else if (RULE.test(line)) {
+                blocks.push({ type: 'rule', html: '<hr>' });
+                i++;
+            } else if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines, i))) {
+                    quoted.push(lines[i].replace(QUOTE, ''));
+                    i++;
+                }
+                const inner = renderBlocks(quoted).map(block => block.html).join('');
+                blocks.push({ type: 'quote', html: `<blockquote>${inner}</blockquote>` });
+            } else if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, i);
+                blocks.push({ type: 'list', html: list.html });
+                i = list.end;
+            } else if (isTableStart(lines, i)) {
+                const table = renderTable(lines, i);
+                blocks.push({ type: 'table', html: table.html });
+                i = table.end;
+            } else {
+                const paragraph = [line];
+                i++;
+                while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+                    paragraph.push(lines[i]);
+                    i++;
+                }
+                blocks.push({ type: 'paragraph', html: `<p>${renderInline(paragraph.join('\n'))}</p>` });
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Checks whether a line closes a code fence
+     * @param {string} line - The line
+     * @param {string} fence - The opening fence, e.g. '```'
+     * @returns {boolean} - Whether the line closes the fence
+     */
+    function isClosingFence(line, fence) {
+        const trimmed = line.trim();
+        return trimmed.length >= fence.length &&
+            trimmed === fence[0].repeat(trimmed.length) &&
+            line.search(/\S/) <= 3;
+    }
+
+    /**
+     * Renders a fenced code block
+     * @param {string} code - The code
+     * @param {string} language - The fence language name
+     * @returns {string} - The HTML
+     */
+    function renderCode(code, language) {
+        const lang = language.replace(/[^\w+#.-]/g, '');
+        return `<pre><code class="language-${lang}">${SyntaxHighlighter.highlight(code, lang)}</code></pre>`;
+    }
+
+    /**
+     * Renders a list and its nested blocks
+     * @param {Array} lines - All lines
+     * @param {number} start - The index of the first item
+     * @returns {Object} - { html, end } where end is the index after the list
+     */
+    function renderList(lines, start) {
+        const first = lines[start].match(LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const match = lines[i].match(LIST_ITEM);
+            if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+            // Continuation lines are those indented past the marker, or lazy paragraph lines
+            const contentIndent = indent + match[2].length + 1;
+            const itemLines = [match[3]];
+            i++;
+
+            while (i < lines.length) {
+                const next = lines[i];
+                const nextIndent = next.search(/\S/);
+
+                if (!next.trim()) {
+                    const following = lines.slice(i + 1).find(candidate => candidate.trim());
+                    if (following === undefined || following.search(/\S/) < contentIndent) break;
+                    itemLines.push('');
+                } else if (nextIndent >= contentIndent || (nextIndent > indent && LIST_ITEM.test(next))) {
+                    itemLines.push(next.slice(Math.min(nextIndent, contentIndent)));
+                } else if (!startsBlock(lines, i) && itemLines[itemLines.length - 1].trim()) {
+                    itemLines.push(next.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            items.push(renderListItem(itemLines));
+
+            // A blank line between items of the same list does not end it
+            if (i < lines.length && !lines[i].trim()) {
+                const nextItem = lines.slice(i).findIndex(candidate => candidate.trim());
+                if (nextItem === -1) break;
+                const candidate = lines[i + nextItem].match(LIST_ITEM);
+                if (!candidate || candidate[1].length !== indent) break;
+                i += nextItem;
+            }
+        }
+
+        const number = parseInt(first[2], 10);
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttribute = ordered && number !== 1 ? ` start="${number}"` : '';
+        return { html: `<${tag}${startAttribute}>${items.join('')}</${tag}>`, end: i };
+    }
+
+    /**
+     * Renders the content of a list item
+     * @param {Array} itemLines - The item's lines, with the marker and indentation removed
+     * @returns {string} - The <li> HTML
+     */
+    function renderListItem(itemLines) {
+        let checkbox = '';
+        let itemClass = '';
+        const task = itemLines[0].match(TASK);
+        if (task) {
+            itemLines[0] = itemLines[0].slice(task[0].length);
+            checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+            itemClass = ' class="md-task"';
+        }
+
+        // Keep tight items inline instead of wrapping their text in a paragraph
+        const blocks = renderBlocks(itemLines);
+        const html = blocks.map((block, index) =>
+            index === 0 && block.type === 'paragraph' ? block.html.slice(3, -4) : block.html
+        ).join('');
+
+        return `<li${itemClass}>${checkbox}${html}</li>`;
+    }
+
+    /**
+     * Splits a table row into trimmed cells
+     * @param {string} line - The row
+     * @returns {Array} - The cell texts
+     */
+    function splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * Renders a table
+     * @param {Array} lines - All lines
+     * @param {number} start - The index of the header row
+     * @returns {Object} - { html, end } where end is the index after the table
+     */
+    function renderTable(lines, start) {
+        const header = splitRow(lines[start]);
+        const alignments = splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            return cell.startsWith(':') ? 'left' : '';
+        });
+
+        const cell = (tag, text, column) => {
+            const align = alignments[column] ? ` class="md-align-${alignments[column]}"` : '';
+            return `<${tag}${align}>${renderInline(text || '')}</${tag}>`;
+        };
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = splitRow(lines[i]);
+            rows.push(`<tr>${header.map((_, column) => cell('td', cells[column], column)).join('')}</tr>`);
+            i++;
+        }
+
+        const head = `<thead><tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr></thead>`;
+        const body = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+        return { html: `<div class="md-table"><table>${head}${body}</table></div>`, end: i };
+    }
+
+    /**
+     * Renders inline Markdown: code spans, links, emphasis and line breaks
+     * @param {string} text - The text
+     * @returns {string} - The HTML
+     */
+    function renderInline(text) {
+        const placeholders = [];
+        const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+        let result = text
+            // Code spans first, so nothing inside them is treated as Markdown
+            .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+                hold(`<code>${Utils.escapeHtml(code.trim() || code)}</code>`))
+            // Images are shown as links so a reply cannot load remote content by itself
+            .replace(IMAGE, (_, alt, url, title) =>
+                hold(renderLink(url, Utils.escapeHtml(alt || url), title)))
+            .replace(LINK, (_, label, url, title) =>
+                hold(renderLink(url, renderInline(label), title)))
+            .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (_, url) =>
+                hold(renderLink(url, Utils.escapeHtml(url))))
+            .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;!?"')\]*_]/g, url =>
+                hold(renderLink(url, Utils.escapeHtml(url))))
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (_, character) => hold(Utils.escapeHtml(character)));
+
+        result = Utils.escapeHtml(result)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1(?![*_])/g, '<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\n/g, '<br>');
+
+        // Restore nested placeholders from the inside out
+        while (result.includes('\u0000')) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+        }
+        return result;
+    }
+
+    /**
+     * Renders a link, dropping the link if its URL is unsafe
+     * @param {string} url - The link target
+     * @param {string} labelHtml - The rendered label
+     * @param {string} [title] - The link title
+     * @returns {string} - The HTML
+     */
+    function renderLink(url, labelHtml, title) {
+        if (!isSafeUrl(url)) return labelHtml;
+        const titleAttribute = title ? ` title="${Utils.escapeHtml(title)}"` : '';
+        return `<a href="${Utils.escapeHtml(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+
+    /**
+     * Checks whether a URL may be used as a link target
+     * @param {string} url - The URL
+     * @returns {boolean} - Whether it is http(s), mailto or relative
+     */
+    function isSafeUrl(url) {
+        // Browsers ignore control characters and whitespace inside a scheme
+        const normalized = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1]);
+    }
+
+    /**
+     * Removes every element and attribute outside the allowlist
+     * @param {string} html - The HTML
+     * @returns {string} - The sanitized HTML
+     */
+    function sanitize(html) {
+        // Template content is inert: scripts don't run and images don't load while parsing
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        sanitizeChildren(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Sanitizes the children of a node in place
+     * @param {Node} parent - The node
+     */
+    function sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (DROPPED_TAGS.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            sanitizeChildren(node);
+
+            if (!ALLOWED_TAGS[tag]) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value;
+                const allowed = ALLOWED_TAGS[tag].includes(name) &&
+                    (name !== 'href' || isSafeUrl(value)) &&
+                    (name !== 'class' || value.split(/\s+/).every(item => SAFE_CLASS.test(item))) &&
+                    (name !== 'type' || value === 'checkbox');
+                if (!allowed) node.removeAttribute(attribute.name);
+            });
+
+            if (tag === 'input') {
+                node.setAttribute('disabled', '');
+            }
+        });
+    }
+
+    // Public API
+    return {
+        render,
+        sanitize
+    };
+})();
@@ -0,0 +1,207 @@
+/**
+ * Prompt Store Module - Keeps the default system prompt, the persona presets and the prompt templates
+ * Prompts can be long, so they live in localStorage rather than the settings cookie
+ */
+const PromptStore = (function() {
+    'use strict';
+
+    const PROMPT_KEY = 'chat_system_prompt';
+    const PERSONAS_KEY = 'chat_personas';
+    const TEMPLATES_KEY = 'chat_templates';
+
+    // Template names are typed after a slash, so they are single words
+    const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+    // {{variable}} placeholders of a template
+    const VARIABLE_PATTERN = /\{\{\s*([\w][\w -]*?)\s*\}\}/g;
+
+    // Presets shipped with the app; saved personas with the same name replace them
+    const BUILT_IN_PERSONAS = [
+        {
+            name: 'Code reviewer',
+            prompt: 'You are a senior software engineer reviewing code. Point out bugs, security issues, ' +
+                'unclear naming and missing edge cases, most important first. Quote the lines you refer to ' +
+                'and suggest concrete fixes. Be direct and skip praise.'
+        },
+        {
+            name: 'SQL helper',
+            prompt: 'You are a database expert. Write correct, readable SQL, and state which dialect you ' +
+                'assume when it matters. Explain what a query does, prefer set-based solutions, and mention ' +
+                'indexes or performance concerns when they are relevant.'
+        },
+        {
+            name: 'Concise assistant',
+            prompt: 'Answer as briefly as possible while staying accurate. Use short sentences or bullet ' +
+                'points, and only add detail when asked.'
+        }
+    ];
+
+    // Templates shipped with the app; saved templates with the same name replace them
+    const BUILT_IN_TEMPLATES = [
+        {
+            name: 'summarize',
+            text: 'Summarize the following in {{points}} bullet points, most important first:\n\n{{text}}'
+        },
+        {
+            name: 'translate',
+            text: 'Translate the following into {{language}}. Keep the formatting and don\'t add notes.\n\n{{text}}'
+        },
+        {
+            name: 'explain-code',
+            text: 'Explain what this {{language}} code does, step by step, and point out anything ' +
+                'surprising or risky:\n\n```{{language}}\n{{code}}\n```'
+        }
+    ];
+
+    /**
+     * Reads a JSON value from localStorage
+     * @param {string} key - The storage key
+     * @param {*} fallback - Returned when nothing valid is stored
+     * @returns {*} - The stored value
+     */
+    function read(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (err) {
+            console.error(`Error reading ${key}:`, err);
+            return fallback;
+        }
+    }
+
+    /**
+     * Writes a JSON value to localStorage
+     * @param {string} key - The storage key
+     * @param {*} value - The value
+     */
+    function write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error(`Error saving ${key}:`, err);
+        }
+    }
+
+    /**
+     * Gets the default system prompt
+     * @returns {string} - The prompt, empty for none
+     */
+    function getSystemPrompt() {
+        return read(PROMPT_KEY, '');
+    }
+
+    /**
+     * Sets the default system prompt
+     * @param {string} prompt - The prompt, empty for none
+     */
+    function setSystemPrompt(prompt) {
+        write(PROMPT_KEY, prompt.trim());
+    }
+
+    /**
+     * Gets the persona presets
+     * @returns {Array} - [{ name, prompt, builtIn }], built-in presets first
+     */
+    function getPersonas() {
+        const saved = read(PERSONAS_KEY, []);
+        const builtIn = BUILT_IN_PERSONAS
+            .filter(persona => !saved.some(item => item.name === persona.name))
+            .map(persona => ({ ...persona, builtIn: true }));
+        return [...builtIn, ...saved.map(persona => ({ ...persona, builtIn: false }))];
+    }
+
+    /**
+     * Saves a persona, replacing one with the same name
+     * @param {string} name - The persona name
+     * @param {string} prompt - The system prompt
+     */
+    function savePersona(name, prompt) {
+        const saved = read(PERSONAS_KEY, []).filter(persona => persona.name !== name);
+        saved.push({ name, prompt: prompt.trim() });
+        write(PERSONAS_KEY, saved);
+    }
+
+    /**
+     * Deletes a saved persona; built-in presets can't be deleted
+     * @param {string} name - The persona name
+     */
+    function deletePersona(name) {
+        write(PERSONAS_KEY, read(PERSONAS_KEY, []).filter(persona => persona.name !== name));
+    }
+
+    /**
+     * Gets the prompt templates
+     * @returns {Array} - [{ name, text, builtIn }], sorted by name
+     */
+    function getTemplates() {
+        const saved = read(TEMPLATES_KEY, []);
+        const builtIn = BUILT_IN_TEMPLATES
+            .filter(template => !saved.some(item => item.name === template.name))
+            .map(template => ({ ...template, builtIn: true }));
+        return [...builtIn, ...saved.map(template => ({ ...template, builtIn: false }))]
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Saves a prompt template, replacing one with the same name
+     * @param {string} name - The template name: letters, digits, - and _, as typed after a slash
+     * @param {string} text - The prompt, with {{variable}} placeholders
+     * @returns {string} - The saved name, in lowercase
+     */
+    function saveTemplate(name, text) {
+        const key = name.trim().toLowerCase();
+        if (!TEMPLATE_NAME_PATTERN.test(key)) {
+            throw new Error('Template names can only have letters, digits, - and _, e.g. "daily-report".');
+        }
+        if (!text.trim()) {
+            throw new Error('The template has no text.');
+        }
+
+        const saved = read(TEMPLATES_KEY, []).filter(template => template.name !== key);
+        saved.push({ name: key, text: text.trim() });
+        write(TEMPLATES_KEY, saved);
+        return key;
+    }
+
+    /**
+     * Deletes a saved prompt template; built-in templates can't be deleted
+     * @param {string} name - The template name
+     */
+    function deleteTemplate(name) {
+        write(TEMPLATES_KEY, read(TEMPLATES_KEY, []).filter(template => template.name !== name));
+    }
+
+    /**
+     * Gets the variables of a template
+     * @param {string} text - The template text
+     * @returns {Array<string>} - The variable names, in order of first use
+     */
+    function getTemplateVariables(text) {
+        const names = [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Fills in the variables of a template
+     * @param {string} text - The template text
+     * @param {Object} values - The value of each variable by name; missing ones become empty
+     * @returns {string} - The prompt
+     */
+    function fillTemplate(text, values) {
+        return text.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? '');
+    }
+
+    // Public API
+    return {
+        getSystemPrompt,
+        setSystemPrompt,
+        getPersonas,
+        savePersona,
+        deletePersona,
+        getTemplates,
+        saveTemplate,
+        deleteTemplate,
+        getTemplateVariables,
+        fillTemplate
+    };
+})();
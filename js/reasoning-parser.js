@@ -0,0 +1,104 @@
+/**
+ * Reasoning Parser Module - Structured Chain of Thought
+ * Holds the system instructions that ask the model to reason inside explicit
+ * delimiters, and splits a reply into its reasoning and answer. Parsing works
+ * on partial replies, so the same parser serves streaming and finished replies.
+ */
+const ReasoningParser = (function() {
+    'use strict';
+
+    const THINKING_OPEN = '<thinking>';
+    const THINKING_CLOSE = '</thinking>';
+    const ANSWER_OPEN = '<answer>';
+    const ANSWER_CLOSE = '</answer>';
+    const TAGS = [THINKING_OPEN, THINKING_CLOSE, ANSWER_OPEN, ANSWER_CLOSE];
+
+    // Sent as part of the system prompt when Chain of Thought is enabled
+    const INSTRUCTIONS = `Use Chain of Thought reasoning for every reply:
+1. Understand: briefly restate the core problem or question.
+2. Deconstruct: break it down into the smaller, logical steps needed to solve it.
+3. Execute and explain: work through each step in order, showing your reasoning, calculations or analysis.
+4. Synthesize: combine the results of the steps into a conclusion.
+
+Write all of this reasoning inside ${THINKING_OPEN}${THINKING_CLOSE} tags. Then write the final answer inside \
+${ANSWER_OPEN}${ANSWER_CLOSE} tags. The answer must stand on its own, because the user may only see the answer.`;
+
+    /**
+     * Removes a trailing, partly streamed delimiter such as "</thin"
+     * @param {string} text - The text
+     * @returns {string} - The text without the partial delimiter
+     */
+    function stripPartialTag(text) {
+        const start = text.lastIndexOf('<');
+        if (start === -1) return text;
+
+        const tail = text.slice(start);
+        return TAGS.some(tag => tag.startsWith(tail) && tag !== tail) ? text.slice(0, start) : text;
+    }
+
+    /**
+     * Gets the content of a delimited section
+     * @param {string} text - The text following the opening delimiter
+     * @param {string} close - The closing delimiter
+     * @returns {Object} - { content, closed, rest } where rest follows the closing delimiter
+     */
+    function readSection(text, close) {
+        const end = text.indexOf(close);
+        if (end === -1) {
+            return { content: stripPartialTag(text), closed: false, rest: '' };
+        }
+        return { content: text.slice(0, end), closed: true, rest: text.slice(end + close.length) };
+    }
+
+    /**
+     * Splits a complete or partial reply into reasoning and answer
+     * @param {string} text - The reply text so far
+     * @returns {Object} - { thinking, answer, stage } where stage is 'thinking' while the
+     *   model is still reasoning and 'answer' after that. A reply that doesn't use the
+     *   delimiters is all answer.
+     */
+    function parse(text) {
+        const thinkingStart = text.indexOf(THINKING_OPEN);
+        const answerStart = text.indexOf(ANSWER_OPEN);
+
+        if (thinkingStart === -1 && answerStart === -1) {
+            // The reply may be about to open a delimiter
+            const start = text.trimStart();
+            if (start && TAGS.some(tag => tag.startsWith(start))) {
+                return { thinking: '', answer: '', stage: 'thinking' };
+            }
+            return { thinking: '', answer: text.trim(), stage: 'answer' };
+        }
+
+        let thinking = '';
+        let rest = text;
+
+        if (thinkingStart !== -1 && (answerStart === -1 || thinkingStart < answerStart)) {
+            const body = text.slice(thinkingStart + THINKING_OPEN.length);
+            // Some models open the answer without closing the reasoning
+            const section = answerStart === -1 ?
+                readSection(body, THINKING_CLOSE) :
+                { content: body.slice(0, body.indexOf(ANSWER_OPEN)).replace(THINKING_CLOSE, ''), closed: true,
+                    rest: body.slice(body.indexOf(ANSWER_OPEN)) };
+
+            thinking = section.content.trim();
+            if (!section.closed) {
+                return { thinking, answer: '', stage: 'thinking' };
+            }
+            rest = section.rest;
+        }
+
+        const answerIndex = rest.indexOf(ANSWER_OPEN);
+        const answer = answerIndex === -1 ?
+            stripPartialTag(rest) :
+            readSection(rest.slice(answerIndex + ANSWER_OPEN.length), ANSWER_CLOSE).content;
+
+        return { thinking, answer: answer.trim(), stage: 'answer' };
+    }
+
+    // Public API
+    return {
+        INSTRUCTIONS,
+        parse
+    };
+})();
@@ -0,0 +1,294 @@
+/**
+ * Request Client Module - The HTTP layer shared by every API request
+ * Each attempt has a timeout, and failures that may pass on their own (rate limits,
+ * overloaded servers, dropped connections) are retried with exponential backoff,
+ * waiting as long as the server's Retry-After header asks. Failures are thrown as
+ * typed errors, so callers can tell a rate limit from a bad key or a prompt that
+ * doesn't fit the model.
+ */
+const RequestClient = (function() {
+    'use strict';
+
+    // Statuses worth retrying: request timeout, rate limit and server errors
+    const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+    // Backoff before the first retry, doubled for each one after it
+    const BASE_DELAY = 1000;
+    const MAX_DELAY = 30000;
+
+    // A server asking to wait longer than this fails at once instead
+    const MAX_RETRY_AFTER = 60000;
+
+    // Provider messages for prompts longer than the model's context window
+    const CONTEXT_OVERFLOW_PATTERN = /context[_ ]length|context window|maximum context|too many tokens|input token count|prompt is too long/i;
+
+    let defaults = { timeout: 60000, retries: 2 };
+
+    /**
+     * An API request that failed; the subclasses tell why
+     * status is the HTTP status (0 if there was no response), retryable tells whether
+     * the same request may succeed later, and retryAfter is the wait the server asked
+     * for in milliseconds (null if it didn't say)
+     */
+    class ApiError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = details.status || 0;
+            this.retryable = Boolean(details.retryable);
+            this.retryAfter = details.retryAfter ?? null;
+        }
+    }
+
+    class RateLimitError extends ApiError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'RateLimitError';
+        }
+    }
+
+    class AuthError extends ApiError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'AuthError';
+        }
+    }
+
+    class ContextOverflowError extends ApiError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'ContextOverflowError';
+        }
+    }
+
+    class NetworkError extends ApiError {
+        constructor(message, details) {
+            super(message, { retryable: true, ...details });
+            this.name = 'NetworkError';
+        }
+    }
+
+    class TimeoutError extends NetworkError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'TimeoutError';
+        }
+    }
+
+    /**
+     * Sets the timeout and retries of requests that don't set their own
+     * @param {Object} options - { timeout, retries }, the timeout in milliseconds (0 for none)
+     */
+    function configure(options) {
+        defaults = {
+            timeout: Math.max(0, Number(options?.timeout) || 0),
+            retries: Math.max(0, Math.floor(Number(options?.retries) || 0))
+        };
+    }
+
+    /**
+     * Gets the host a URL points to, for error messages
+     * @param {string} url - The URL, absolute or relative to the page
+     * @returns {string} - The host
+     */
+    function getHost(url) {
+        try {
+            return new URL(url, window.location.href).host;
+        } catch (err) {
+            return url;
+        }
+    }
+
+    /**
+     * Reads the wait a failed response asks for
+     * Retry-After holds seconds or an HTTP date; Gemini puts a retryDelay in the error body instead.
+     * @param {string|null} header - The Retry-After header
+     * @param {string} body - The response body
+     * @returns {number|null} - The wait in milliseconds, or null if none was given
+     */
+    function parseRetryAfter(header, body) {
+        if (header) {
+            const seconds = Number(header);
+            if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(header);
+            if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+        }
+        const delay = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(body || '');
+        return delay ? Number(delay[1]) * 1000 : null;
+    }
+
+    /**
+     * Gets the message of an error response body
+     * @param {string} body - The body, usually JSON with error.message
+     * @returns {string} - The message, or the start of the body
+     */
+    function getErrorDetail(body) {
+        try {
+            const data = JSON.parse(body);
+            const detail = data.error?.message || data.message || data.error;
+            if (typeof detail === 'string' && detail) return detail;
+        } catch (err) {
+            // Not JSON; the text is shown as is
+        }
+        return (body || '').trim().slice(0, 300) || 'No details';
+    }
+
+    /**
+     * Turns a failed response into a typed error
+     * @param {Response} response - The response
+     * @returns {Promise<ApiError>} - The error
+     */
+    async function toError(response) {
+        const body = await response.text().catch(() => '');
+        const status = response.status;
+        const detail = getErrorDetail(body);
+        const details = {
+            status,
+            retryable: RETRY_STATUSES.has(status),
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After'), body)
+        };
+
+        if (status === 429) {
+            // An exhausted quota or billing limit won't pass by waiting
+            details.retryable = !/quota|billing/i.test(body) || details.retryAfter !== null;
+            return new RateLimitError(`Rate limited (429): ${detail}`, details);
+        }
+        if (status === 401 || status === 403) {
+            return new AuthError(`Not authorized (${status}): ${detail}`, details);
+        }
+        if ((status === 400 || status === 413) && CONTEXT_OVERFLOW_PATTERN.test(detail)) {
+            return new ContextOverflowError(`The conversation is too long for the model (${status}): ${detail}. ` +
+                'Lower its context budget in Settings or start a new conversation.', details);
+        }
+        return new ApiError(`API error ${status}: ${detail}`, details);
+    }
+
+    /**
+     * Waits, unless the request is cancelled first
+     * @param {number} delay - The wait in milliseconds
+     * @param {AbortSignal} [signal] - Cancels the wait, rejecting with an AbortError
+     * @returns {Promise<void>}
+     */
+    function sleep(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The request was stopped', 'AbortError'));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was stopped', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Gets the wait before retrying a failed attempt
+     * @param {ApiError} error - The failure
+     * @param {number} attempt - The attempts made so far
+     * @returns {number|null} - The wait in milliseconds, or null if the server asked for too long
+     */
+    function getRetryDelay(error, attempt) {
+        if (error.retryAfter !== null) {
+            return error.retryAfter <= MAX_RETRY_AFTER ? error.retryAfter : null;
+        }
+        // Jitter keeps clients that failed together from retrying together
+        const backoff = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Makes one attempt at a request
+     * The timeout covers the wait for the response to start; a stream may take longer.
+     * @param {string} url - The URL
+     * @param {Object} init - The fetch options, without a signal
+     * @param {number} timeout - The timeout in milliseconds, 0 for none
+     * @param {AbortSignal} [signal] - Cancels the request, also while its body is read
+     * @returns {Promise<Response>} - The successful response
+     */
+    async function attempt(url, init, timeout, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        // A failed attempt removes its listener, so retries don't pile them up on the signal;
+        // a successful one keeps it to cancel the body
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (err) {
+            signal?.removeEventListener('abort', onAbort);
+            if (timedOut) {
+                throw new TimeoutError(`No response from ${getHost(url)} within ${timeout / 1000} s`);
+            }
+            if (err.name === 'AbortError') throw err;
+            throw new NetworkError(`Could not reach ${getHost(url)}: ${err.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const error = await toError(response);
+            signal?.removeEventListener('abort', onAbort);
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Makes a request, retrying failures that may pass
+     * @param {string} url - The URL
+     * @param {Object} [init] - The fetch options, without a signal
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request and any wait between attempts
+     * @param {number} [options.timeout] - The timeout of each attempt in milliseconds, see configure
+     * @param {number} [options.retries] - The retries after the first attempt, see configure
+     * @param {Function} [options.onRetry] - Called with { attempt, retries, delay, error } before each retry
+     * @returns {Promise<Response>} - The successful response
+     * @throws {ApiError} - The last failure, typed by its cause; AbortError if cancelled
+     */
+    async function request(url, init = {}, options = {}) {
+        const timeout = options.timeout ?? defaults.timeout;
+        const retries = options.retries ?? defaults.retries;
+
+        for (let count = 1; ; count++) {
+            try {
+                return await attempt(url, init, timeout, options.signal);
+            } catch (err) {
+                if (!err.retryable || count > retries) throw err;
+
+                const delay = getRetryDelay(err, count);
+                if (delay === null) throw err;
+                if (options.onRetry) {
+                    options.onRetry({ attempt: count, retries, delay, error: err });
+                }
+                await sleep(delay, options.signal);
+            }
+        }
+    }
+
+    // Public API
+    return {
+        ApiError,
+        RateLimitError,
+        AuthError,
+        ContextOverflowError,
+        NetworkError,
+        TimeoutError,
+        configure,
+        request
+    };
+})();
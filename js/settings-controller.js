@@ -5,15 +5,40 @@
 const SettingsController = (function() {
     'use strict';
 
-    // Private state
-    let settingsModal = null;
-    let settings = {
+    // Default settings
+    const defaultSettings = {
         streaming: true,
         enableCoT: false,
         showThinking: true,
-        selectedModel: 'gpt-4.1-mini' // Default model
+        enableTools: true,
+        agent: { enabled: false, maxSteps: 6, maxTokens: 50000 },
+        knowledgeBase: { enabled: false, passages: 4 },
+        context: { strategy: 'window', pinFirst: 2 },
+        contextBudgets: {}, // Context budget in tokens by model id, in place of the model's context window
+        network: { timeout: 60, retries: 2, fallbackModels: [] }, // Timeout in seconds; fallbacks by model id, in order
+        compare: { enabled: false, models: ['gpt-4.1-mini', 'gemini-2.0-flash'] }, // Models of compare mode, in column order
+        speech: { autoSpeak: false, voice: '', rate: 1 }, // Voice by name, empty for the browser's default
+        shortcuts: {}, // Shortcuts changed from the defaults, by action id; empty for none
+        selectedModel: 'gpt-4.1-mini', // Default model
+        apiMode: 'direct',
+        customEndpoint: { baseUrl: '', apiKey: '', models: [] },
+        budgets: { daily: 0, conversation: 0, action: 'warn' },
+        modelParams: {} // Generation parameters by model id
     };
 
+    // Models a message can be compared across at once
+    const MAX_COMPARE_MODELS = 4;
+
+    const SHORTCUTS_HINT = 'Click a shortcut and press the new keys. Backspace removes it, Escape keeps it.';
+
+    // Private state
+    let settingsModal = null;
+    let settings = { ...defaultSettings };
+    let paramsDraft = {}; // Parameters edited in the open modal, by model id
+    let budgetsDraft = {}; // Context budgets edited in the open modal, by model id
+    let paramsModel = null; // The model whose parameters the modal shows
+    let shortcutsDraft = {}; // Shortcuts edited in the open modal, by action id
+
     /**
      * Creates and attaches the settings modal
      */
@@ -24,14 +49,63 @@ const SettingsController = (function() {
         settingsModal = Utils.createFromTemplate('settings-modal-template');
         document.body.appendChild(settingsModal);
         
+        // Fill the model list from the registered providers
+        populateModelSelect();
+        
         // Set initial values based on current settings
         document.getElementById('streaming-toggle').checked = settings.streaming;
         document.getElementById('cot-toggle').checked = settings.enableCoT;
         document.getElementById('show-thinking-toggle').checked = settings.showThinking;
+        document.getElementById('tools-toggle').checked = settings.enableTools;
         document.getElementById('model-select').value = settings.selectedModel;
+        document.getElementById('api-mode-select').value = settings.apiMode;
+        fillCustomEndpointFields();
+        fillBudgetFields();
+        fillAgentFields();
+        fillKnowledgeBaseFields();
+        fillContextFields();
+        fillNetworkFields();
+        fillSpeechFields();
+        fillShortcutFields();
+        fillSystemPromptFields();
+        populateTemplateSelect();
         
         // Add event listeners
+        document.getElementById('model-select').addEventListener('change', function() {
+            paramsDraft[paramsModel] = readParamFields();
+            budgetsDraft[paramsModel] = readContextBudgetField();
+            fillParamFields(this.value);
+        });
         document.getElementById('save-settings').addEventListener('click', saveSettings);
+        document.getElementById('load-custom-models').addEventListener('click', loadCustomModels);
+        document.getElementById('persona-select').addEventListener('change', applyPersona);
+        document.getElementById('save-persona').addEventListener('click', savePersona);
+        document.getElementById('delete-persona').addEventListener('click', deletePersona);
+        document.getElementById('template-select').addEventListener('change', showTemplate);
+        document.getElementById('save-template').addEventListener('click', saveTemplate);
+        document.getElementById('delete-template').addEventListener('click', deleteTemplate);
+        document.getElementById('shortcut-list').addEventListener('click', function(event) {
+            const button = event.target.closest('[data-shortcut]');
+            if (button) recordShortcut(button);
+        });
+        document.getElementById('reset-shortcuts').addEventListener('click', function() {
+            shortcutsDraft = CommandPalette.getDefaultBindings();
+            renderShortcutList();
+        });
+        // Browsers load their voices after the page, so the list is filled again when they arrive
+        Speech.onVoicesChanged(() => populateVoiceSelect(document.getElementById('speech-voice').value));
+        document.getElementById('kb-add').addEventListener('click', () => document.getElementById('kb-file-input').click());
+        document.getElementById('kb-file-input').addEventListener('change', function() {
+            addKnowledgeDocuments([...this.files]);
+            this.value = '';
+        });
+        document.getElementById('kb-documents').addEventListener('click', function(event) {
+            const button = event.target.closest('[data-document-id]');
+            if (button) removeKnowledgeDocument(button.dataset.documentId, button.dataset.name);
+        });
+        document.getElementById('conversation-prompt-toggle').addEventListener('change', function() {
+            document.getElementById('conversation-prompt').disabled = !this.checked;
+        });
         document.getElementById('close-settings').addEventListener('click', hideSettingsModal);
         
         // Close when clicking outside the modal content
@@ -42,6 +116,753 @@ const SettingsController = (function() {
         });
     }
 
+    /**
+     * Populates the model select with the models of every registered provider
+     */
+    function populateModelSelect() {
+        const modelSelect = document.getElementById('model-select');
+        modelSelect.innerHTML = '';
+        appendModelOptions(modelSelect);
+    }
+
+    /**
+     * Adds the models of every registered provider to a select, grouped by provider
+     * @param {HTMLSelectElement} select - The select
+     */
+    function appendModelOptions(select) {
+        ApiService.getProviders().forEach(provider => {
+            if (provider.models.length === 0) return;
+            
+            const group = document.createElement('optgroup');
+            group.label = provider.name;
+            
+            provider.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.label;
+                group.appendChild(option);
+            });
+            
+            select.appendChild(group);
+        });
+    }
+
+    /**
+     * Fills the custom endpoint fields from the current settings
+     */
+    function fillCustomEndpointFields() {
+        const endpoint = settings.customEndpoint;
+        document.getElementById('custom-base-url').value = endpoint.baseUrl;
+        document.getElementById('custom-api-key').value = endpoint.apiKey;
+        document.getElementById('custom-models-status').textContent = endpoint.models.length ?
+            `${endpoint.models.length} model(s) loaded` : '';
+    }
+
+    /**
+     * Reads the custom endpoint fields from the modal
+     * @returns {Object} - The endpoint base URL and API key
+     */
+    function readCustomEndpointFields() {
+        return {
+            baseUrl: document.getElementById('custom-base-url').value.trim(),
+            apiKey: document.getElementById('custom-api-key').value.trim()
+        };
+    }
+
+    /**
+     * Shows the generation parameters of a model, disabling those its provider doesn't support
+     * @param {string} model - The model id
+     */
+    function fillParamFields(model) {
+        paramsModel = model;
+        const params = paramsDraft[model] || {};
+        const supported = ApiService.getSupportedParams(model);
+        const provider = ApiService.getProviderForModel(model);
+        
+        document.getElementById('params-model-name').textContent = ApiService.getModel(model)?.label || model;
+        document.querySelectorAll('#settings-modal [data-param]').forEach(field => {
+            const name = field.dataset.param;
+            const value = params[name];
+            field.value = value === undefined ? '' : (Array.isArray(value) ? value.join('\n') : value);
+            field.disabled = !supported.includes(name);
+            field.title = field.disabled ? `Not supported by ${provider ? provider.name : 'this model'}` : '';
+        });
+        
+        const budgetField = document.getElementById('context-budget');
+        budgetField.value = budgetsDraft[model] || '';
+        budgetField.placeholder = `${ApiService.getContextWindow(model)} (model default)`;
+    }
+
+    /**
+     * Reads the context budget field
+     * @returns {number|undefined} - The budget in tokens, or undefined to use the model's context window
+     */
+    function readContextBudgetField() {
+        const budget = parseInt(document.getElementById('context-budget').value, 10);
+        return budget > 0 ? Math.max(1024, budget) : undefined;
+    }
+
+    /**
+     * Gets the edited context budgets, without the models that use their context window
+     * @returns {Object} - The budgets by model id
+     */
+    function readContextBudgets() {
+        budgetsDraft[paramsModel] = readContextBudgetField();
+        const budgets = {};
+        Object.entries(budgetsDraft).forEach(([model, budget]) => {
+            if (budget) budgets[model] = budget;
+        });
+        return budgets;
+    }
+
+    /**
+     * Reads the generation parameter fields, skipping empty ones
+     * @returns {Object} - The parameters by name
+     */
+    function readParamFields() {
+        const params = {};
+        document.querySelectorAll('#settings-modal [data-param]').forEach(field => {
+            const value = field.value.trim();
+            if (!value || field.disabled) return;
+            
+            params[field.dataset.param] = field.dataset.param === 'stop' ?
+                value.split('\n').filter(Boolean) :
+                Number(value);
+        });
+        return params;
+    }
+
+    /**
+     * Validates the edited parameters of every model, dropping invalid ones
+     * @returns {Object} - { modelParams, dropped } with the valid parameters by model id
+     *   and a description of each dropped value
+     */
+    function validateParamsDraft() {
+        paramsDraft[paramsModel] = readParamFields();
+        const modelParams = {};
+        const dropped = [];
+        
+        Object.entries(paramsDraft).forEach(([model, params]) => {
+            const result = ApiService.validateParams(model, params);
+            if (Object.keys(result.params).length) modelParams[model] = result.params;
+            result.dropped.forEach(item => {
+                dropped.push(`${ApiService.getModel(model)?.label || model}: ${item.name} ${item.reason}`);
+            });
+        });
+        
+        return { modelParams, dropped };
+    }
+
+    /**
+     * Fills the persona list
+     * @param {string} [selectedName] - The persona to select
+     */
+    function populatePersonaSelect(selectedName) {
+        const personaSelect = document.getElementById('persona-select');
+        personaSelect.innerHTML = '<option value="">Choose a persona…</option>';
+        
+        PromptStore.getPersonas().forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.name;
+            option.textContent = persona.builtIn ? persona.name : `${persona.name} (saved)`;
+            personaSelect.appendChild(option);
+        });
+        
+        personaSelect.value = selectedName || '';
+    }
+
+    /**
+     * Fills the system prompt fields from the stored prompts
+     */
+    function fillSystemPromptFields() {
+        const override = ChatController.getSystemPromptOverride();
+        
+        populatePersonaSelect();
+        document.getElementById('system-prompt').value = PromptStore.getSystemPrompt();
+        document.getElementById('conversation-prompt-toggle').checked = override !== null;
+        document.getElementById('conversation-prompt').value = override || '';
+        document.getElementById('conversation-prompt').disabled = override === null;
+    }
+
+    /**
+     * Copies the chosen persona's prompt into the prompt being edited
+     */
+    function applyPersona() {
+        const persona = PromptStore.getPersonas().find(item => item.name === this.value);
+        if (!persona) return;
+        
+        // Fill the conversation's prompt when it has its own, otherwise the default
+        const target = document.getElementById('conversation-prompt-toggle').checked ?
+            'conversation-prompt' : 'system-prompt';
+        document.getElementById(target).value = persona.prompt;
+    }
+
+    /**
+     * Saves the default system prompt as a named persona
+     */
+    function savePersona() {
+        const prompt = document.getElementById('system-prompt').value.trim();
+        if (!prompt) {
+            alert('Write a system prompt first.');
+            return;
+        }
+        
+        const name = window.prompt('Persona name:', document.getElementById('persona-select').value);
+        if (!name || !name.trim()) return;
+        
+        PromptStore.savePersona(name.trim(), prompt);
+        populatePersonaSelect(name.trim());
+    }
+
+    /**
+     * Deletes the selected saved persona
+     */
+    function deletePersona() {
+        const name = document.getElementById('persona-select').value;
+        const persona = PromptStore.getPersonas().find(item => item.name === name);
+        if (!persona) return;
+        
+        if (persona.builtIn) {
+            alert('Built-in personas can\'t be deleted.');
+            return;
+        }
+        if (confirm(`Delete the persona "${name}"?`)) {
+            PromptStore.deletePersona(name);
+            populatePersonaSelect();
+        }
+    }
+
+    /**
+     * Fills the template list and the template being edited
+     * @param {string} [selectedName] - The template to select, none for a new one
+     */
+    function populateTemplateSelect(selectedName) {
+        const templateSelect = document.getElementById('template-select');
+        templateSelect.innerHTML = '<option value="">New template…</option>';
+        
+        PromptStore.getTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.builtIn ? `/${template.name}` : `/${template.name} (saved)`;
+            templateSelect.appendChild(option);
+        });
+        
+        templateSelect.value = selectedName || '';
+        showTemplate();
+    }
+
+    /**
+     * Copies the chosen template into the template fields, or clears them for a new one
+     */
+    function showTemplate() {
+        const name = document.getElementById('template-select').value;
+        const template = PromptStore.getTemplates().find(item => item.name === name);
+        document.getElementById('template-name').value = template ? template.name : '';
+        document.getElementById('template-text').value = template ? template.text : '';
+    }
+
+    /**
+     * Saves the template being edited
+     */
+    function saveTemplate() {
+        const name = document.getElementById('template-name').value.trim().toLowerCase();
+        const text = document.getElementById('template-text').value;
+        
+        // Commands run before templates, so a template with a command's name could never be used
+        if (SlashCommands.COMMAND_NAMES.includes(name)) {
+            alert(`/${name} is a built-in command. Choose another name.`);
+            return;
+        }
+        try {
+            populateTemplateSelect(PromptStore.saveTemplate(name, text));
+        } catch (err) {
+            alert(err.message);
+        }
+    }
+
+    /**
+     * Deletes the selected saved template
+     */
+    function deleteTemplate() {
+        const name = document.getElementById('template-select').value;
+        const template = PromptStore.getTemplates().find(item => item.name === name);
+        if (!template) return;
+        
+        if (template.builtIn) {
+            alert('Built-in templates can\'t be deleted.');
+            return;
+        }
+        if (confirm(`Delete the template "/${name}"?`)) {
+            PromptStore.deleteTemplate(name);
+            populateTemplateSelect();
+        }
+    }
+
+    /**
+     * Fills the budget fields from the current settings
+     */
+    function fillBudgetFields() {
+        document.getElementById('budget-daily').value = settings.budgets.daily;
+        document.getElementById('budget-conversation').value = settings.budgets.conversation;
+        document.getElementById('budget-action').value = settings.budgets.action;
+    }
+
+    /**
+     * Reads the budget fields from the modal
+     * @returns {Object} - The daily and conversation budgets and the action when exceeded
+     */
+    function readBudgetFields() {
+        const readAmount = id => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+        return {
+            daily: readAmount('budget-daily'),
+            conversation: readAmount('budget-conversation'),
+            action: document.getElementById('budget-action').value
+        };
+    }
+
+    /**
+     * Fills the agent mode fields of the modal
+     */
+    function fillAgentFields() {
+        document.getElementById('agent-toggle').checked = settings.agent.enabled;
+        document.getElementById('agent-max-steps').value = settings.agent.maxSteps;
+        document.getElementById('agent-max-tokens').value = settings.agent.maxTokens;
+    }
+
+    /**
+     * Reads the agent mode fields from the modal
+     * @returns {Object} - Whether agent mode is on and its step and token limits
+     */
+    function readAgentFields() {
+        const maxSteps = parseInt(document.getElementById('agent-max-steps').value, 10);
+        return {
+            enabled: document.getElementById('agent-toggle').checked,
+            maxSteps: Math.min(20, Math.max(1, maxSteps || defaultSettings.agent.maxSteps)),
+            maxTokens: Math.max(0, parseInt(document.getElementById('agent-max-tokens').value, 10) || 0)
+        };
+    }
+
+    /**
+     * Fills the knowledge base fields of the modal
+     */
+    function fillKnowledgeBaseFields() {
+        document.getElementById('kb-toggle').checked = settings.knowledgeBase.enabled;
+        document.getElementById('kb-passages').value = settings.knowledgeBase.passages;
+    }
+
+    /**
+     * Reads the knowledge base fields from the modal
+     * @returns {Object} - Whether the knowledge base is used and how many passages are sent
+     */
+    function readKnowledgeBaseFields() {
+        const passages = parseInt(document.getElementById('kb-passages').value, 10);
+        return {
+            enabled: document.getElementById('kb-toggle').checked,
+            passages: Math.min(10, Math.max(1, passages || defaultSettings.knowledgeBase.passages))
+        };
+    }
+
+    /**
+     * Fills the long conversation fields of the modal
+     */
+    function fillContextFields() {
+        document.getElementById('context-strategy').value = settings.context.strategy;
+        document.getElementById('context-pin-first').value = settings.context.pinFirst;
+    }
+
+    /**
+     * Reads the long conversation fields from the modal
+     * @returns {Object} - The strategy and how many messages it pins
+     */
+    function readContextFields() {
+        const strategy = document.getElementById('context-strategy').value;
+        const pinFirst = parseInt(document.getElementById('context-pin-first').value, 10);
+        return {
+            strategy: ContextManager.STRATEGIES.includes(strategy) ? strategy : defaultSettings.context.strategy,
+            pinFirst: Math.min(10, Math.max(1, pinFirst || defaultSettings.context.pinFirst))
+        };
+    }
+
+    /**
+     * Fills the network fields of the modal
+     */
+    function fillNetworkFields() {
+        document.getElementById('network-timeout').value = settings.network.timeout;
+        document.getElementById('network-retries').value = settings.network.retries;
+        document.querySelectorAll('.fallback-model-select').forEach((select, index) => {
+            select.innerHTML = '<option value="">None</option>';
+            appendModelOptions(select);
+            // A fallback model of a custom endpoint that is no longer listed falls back to none
+            select.value = settings.network.fallbackModels[index] || '';
+        });
+    }
+
+    /**
+     * Reads the network fields from the modal
+     * @returns {Object} - The timeout in seconds, the retries and the fallback models in order
+     */
+    function readNetworkFields() {
+        const timeout = parseInt(document.getElementById('network-timeout').value, 10);
+        const retries = parseInt(document.getElementById('network-retries').value, 10);
+        const fallbackModels = [...document.querySelectorAll('.fallback-model-select')]
+            .map(select => select.value)
+            .filter((model, index, models) => model && models.indexOf(model) === index);
+        return {
+            timeout: Math.min(600, Math.max(0, Number.isNaN(timeout) ? defaultSettings.network.timeout : timeout)),
+            retries: Math.min(5, Math.max(0, Number.isNaN(retries) ? defaultSettings.network.retries : retries)),
+            fallbackModels
+        };
+    }
+
+    /**
+     * Applies the timeout and retries to every API request
+     */
+    function configureRequests() {
+        RequestClient.configure({
+            timeout: settings.network.timeout * 1000,
+            retries: settings.network.retries
+        });
+    }
+
+    /**
+     * Fills the voice fields from the current settings
+     */
+    function fillSpeechFields() {
+        const supported = Speech.isSpeechSupported();
+        document.getElementById('speech-support').textContent = [
+            Speech.isDictationSupported() ? 'Click 🎤 next to Send to dictate a message.' : 'This browser doesn\'t support dictation.',
+            supported ? 'Replies have a Read aloud control.' : 'This browser can\'t read replies aloud.'
+        ].join(' ');
+        document.getElementById('auto-speak-toggle').checked = settings.speech.autoSpeak;
+        document.getElementById('auto-speak-toggle').disabled = !supported;
+        document.getElementById('speech-rate').value = settings.speech.rate;
+        populateVoiceSelect(settings.speech.voice);
+    }
+
+    /**
+     * Fills the voice list
+     * @param {string} selectedName - The voice to select, empty for the default
+     */
+    function populateVoiceSelect(selectedName) {
+        const voiceSelect = document.getElementById('speech-voice');
+        voiceSelect.innerHTML = '<option value="">Browser default</option>';
+        Speech.getVoices().forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.name;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            voiceSelect.appendChild(option);
+        });
+        
+        // A voice that isn't installed in this browser keeps its name until another is chosen
+        if (selectedName && ![...voiceSelect.options].some(option => option.value === selectedName)) {
+            const option = document.createElement('option');
+            option.value = selectedName;
+            option.textContent = `${selectedName} (not available)`;
+            voiceSelect.appendChild(option);
+        }
+        voiceSelect.value = selectedName;
+        voiceSelect.disabled = !Speech.isSpeechSupported();
+    }
+
+    /**
+     * Reads the voice fields from the modal
+     * @returns {Object} - Whether replies are read as they arrive, the voice and the speed
+     */
+    function readSpeechFields() {
+        const rate = parseFloat(document.getElementById('speech-rate').value);
+        return {
+            autoSpeak: document.getElementById('auto-speak-toggle').checked,
+            voice: document.getElementById('speech-voice').value,
+            rate: Math.min(2, Math.max(0.5, Number.isNaN(rate) ? defaultSettings.speech.rate : rate))
+        };
+    }
+
+    /**
+     * Applies the voice settings to spoken replies
+     */
+    function configureSpeech() {
+        Speech.configure({ voice: settings.speech.voice, rate: settings.speech.rate });
+        UIController.setAutoSpeak(settings.speech.autoSpeak);
+    }
+
+    /**
+     * Fills the shortcut fields from the shortcuts in use
+     */
+    function fillShortcutFields() {
+        shortcutsDraft = CommandPalette.getBindings();
+        document.getElementById('shortcuts-hint').textContent = SHORTCUTS_HINT;
+        renderShortcutList();
+    }
+
+    /**
+     * Renders each action with its shortcut
+     */
+    function renderShortcutList() {
+        const list = document.getElementById('shortcut-list');
+        list.innerHTML = '';
+        CommandPalette.getActions().forEach(action => {
+            const item = document.createElement('div');
+            item.className = 'settings-modal__item';
+            
+            const label = document.createElement('span');
+            label.className = 'settings-modal__label';
+            label.textContent = action.label;
+            const button = document.createElement('button');
+            button.className = 'settings-modal__shortcut';
+            button.dataset.shortcut = action.id;
+            button.textContent = shortcutsDraft[action.id] ? CommandPalette.formatBinding(shortcutsDraft[action.id]) : 'None';
+            button.setAttribute('aria-label', `Shortcut for ${action.label}: ${button.textContent}`);
+            
+            item.append(label, button);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Waits for the keys of a new shortcut
+     * A shortcut already used by another action is taken from it.
+     * @param {Element} button - The shortcut button of the action
+     */
+    function recordShortcut(button) {
+        const id = button.dataset.shortcut;
+        const hint = document.getElementById('shortcuts-hint');
+        button.textContent = 'Press keys…';
+        button.classList.add('settings-modal__shortcut--recording');
+        
+        const finish = () => {
+            button.removeEventListener('keydown', onKeydown);
+            button.removeEventListener('blur', finish);
+            renderShortcutList();
+        };
+        const onKeydown = event => {
+            // The keys must not reach the shortcuts in use
+            event.preventDefault();
+            event.stopPropagation();
+            
+            const binding = CommandPalette.getBinding(event);
+            if (!binding) return; // A modifier on its own
+            if (binding === 'Escape') {
+                finish();
+                return;
+            }
+            if (binding === 'Backspace' || binding === 'Delete') {
+                shortcutsDraft[id] = '';
+                finish();
+                return;
+            }
+            
+            const previous = CommandPalette.getActions().find(action => action.id !== id && shortcutsDraft[action.id] === binding);
+            if (previous) {
+                shortcutsDraft[previous.id] = '';
+                hint.textContent = `${CommandPalette.formatBinding(binding)} was taken from "${previous.label}".`;
+            }
+            shortcutsDraft[id] = binding;
+            finish();
+        };
+        button.addEventListener('keydown', onKeydown);
+        button.addEventListener('blur', finish);
+        button.focus();
+    }
+
+    /**
+     * Reads the shortcuts edited in the modal
+     * @returns {Object} - The shortcuts changed from the defaults, by action id
+     */
+    function readShortcutFields() {
+        const defaults = CommandPalette.getDefaultBindings();
+        return Object.fromEntries(Object.entries(shortcutsDraft).filter(([id, binding]) => binding !== defaults[id]));
+    }
+
+    /**
+     * Applies the saved shortcuts
+     */
+    function configureShortcuts() {
+        CommandPalette.setBindings(settings.shortcuts);
+    }
+
+    /**
+     * Turns compare mode on or off
+     */
+    function toggleCompareMode() {
+        applySettings({ compare: { ...settings.compare, enabled: !settings.compare.enabled } });
+        renderCompareBar();
+    }
+
+    /**
+     * Shows the compare bar in compare mode, with a checkbox for each model
+     */
+    function renderCompareBar() {
+        const enabled = settings.compare.enabled;
+        const button = document.getElementById('compare-button');
+        button.classList.toggle('chat-app__settings-button--active', enabled);
+        button.setAttribute('aria-pressed', String(enabled));
+        document.getElementById('compare-bar').hidden = !enabled;
+        if (!enabled) return;
+        
+        // Models of a custom endpoint that is no longer listed don't count
+        const selected = settings.compare.models.filter(id => ApiService.getModel(id));
+        const list = document.getElementById('compare-models');
+        list.innerHTML = '';
+        ApiService.getProviders().forEach(provider => {
+            provider.models.forEach(model => {
+                const label = document.createElement('label');
+                label.className = 'chat-app__compare-model';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = model.id;
+                checkbox.checked = selected.includes(model.id);
+                checkbox.disabled = !checkbox.checked && selected.length >= MAX_COMPARE_MODELS;
+                label.append(checkbox, ` ${model.label}`);
+                list.appendChild(label);
+            });
+        });
+        
+        document.getElementById('compare-hint').textContent = selected.length < 2 ?
+            'Compare: choose at least two models' : `Compare ${selected.length} models:`;
+    }
+
+    /**
+     * Adds or removes a model of compare mode
+     * @param {string} model - The model id
+     * @param {boolean} checked - Whether the model is compared
+     */
+    function toggleCompareModel(model, checked) {
+        const models = settings.compare.models.filter(id => id !== model && ApiService.getModel(id));
+        if (checked) models.push(model);
+        applySettings({ compare: { ...settings.compare, models: models.slice(0, MAX_COMPARE_MODELS) } });
+        renderCompareBar();
+    }
+
+    /**
+     * Renders the documents of the knowledge base
+     */
+    async function renderKnowledgeBase() {
+        const list = document.getElementById('kb-documents');
+        const status = document.getElementById('kb-status');
+        
+        try {
+            const documents = await KnowledgeBase.listDocuments();
+            list.innerHTML = '';
+            documents.forEach(doc => {
+                const item = document.createElement('li');
+                item.className = 'kb-documents__item';
+                
+                const name = document.createElement('span');
+                name.className = 'kb-documents__name';
+                name.textContent = doc.name;
+                name.title = `${doc.chunkCount} passage(s), added ${new Date(doc.addedAt).toLocaleString()}`;
+                
+                const button = document.createElement('button');
+                button.className = 'settings-modal__button';
+                button.textContent = 'Remove';
+                button.dataset.documentId = doc.id;
+                button.dataset.name = doc.name;
+                
+                item.append(name, button);
+                list.appendChild(item);
+            });
+            status.textContent = documents.length ? `${documents.length} document(s)` : 'No documents yet';
+        } catch (err) {
+            console.error('Failed to load the knowledge base:', err);
+            status.textContent = 'Error: ' + err.message;
+        }
+    }
+
+    /**
+     * Reads and indexes text files into the knowledge base
+     * @param {Array<File>} files - The files
+     */
+    async function addKnowledgeDocuments(files) {
+        const status = document.getElementById('kb-status');
+        const errors = [];
+        
+        for (const file of files) {
+            status.textContent = `Indexing ${file.name}...`;
+            try {
+                const part = await Attachments.read(file);
+                if (part.type !== 'file') {
+                    throw new Error(`${file.name} isn't a text file.`);
+                }
+                await KnowledgeBase.addDocument(part.name, part.text);
+            } catch (err) {
+                errors.push(err.message);
+            }
+        }
+        
+        await renderKnowledgeBase();
+        if (errors.length) {
+            alert('These files were not added:\n' + errors.join('\n'));
+        }
+    }
+
+    /**
+     * Removes a document from the knowledge base
+     * @param {string} id - The document id
+     * @param {string} name - The document name, for the confirmation
+     */
+    async function removeKnowledgeDocument(id, name) {
+        if (!confirm(`Remove "${name}" from the knowledge base?`)) return;
+        
+        try {
+            await KnowledgeBase.removeDocument(id);
+        } catch (err) {
+            console.error('Failed to remove the document:', err);
+            alert('The document could not be removed: ' + err.message);
+        }
+        await renderKnowledgeBase();
+    }
+
+    /**
+     * Renders the spending of the last two weeks
+     */
+    function renderUsageHistory() {
+        const summary = UsageTracker.getDailySummary(14);
+        const tbody = document.querySelector('#usage-history tbody');
+        tbody.innerHTML = '';
+        
+        summary.forEach(day => {
+            const row = document.createElement('tr');
+            [
+                day.date.toLocaleDateString(),
+                day.requests,
+                day.totalTokens,
+                Utils.formatCost(day.cost)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        
+        document.getElementById('usage-summary').textContent =
+            `Today: ${Utils.formatCost(summary[0].cost)} · This session: ${Utils.formatCost(UsageTracker.getSessionCost())}`;
+    }
+
+    /**
+     * Loads the model list from the custom endpoint's /v1/models
+     */
+    async function loadCustomModels() {
+        const status = document.getElementById('custom-models-status');
+        const { baseUrl, apiKey } = readCustomEndpointFields();
+        const modelSelect = document.getElementById('model-select');
+        const currentModel = modelSelect.value;
+        
+        status.textContent = 'Loading models...';
+        
+        try {
+            const models = await ApiService.fetchCustomModels(baseUrl, apiKey);
+            ApiService.configureCustomEndpoint({ baseUrl, apiKey, models });
+            
+            populateModelSelect();
+            modelSelect.value = currentModel;
+            status.textContent = `${models.length} model(s) loaded`;
+        } catch (err) {
+            console.error('Failed to load custom models:', err);
+            status.textContent = 'Error: ' + err.message;
+        }
+    }
+
     /**
      * Shows the settings modal
      */
@@ -55,7 +876,25 @@ const SettingsController = (function() {
         document.getElementById('streaming-toggle').checked = settings.streaming;
         document.getElementById('cot-toggle').checked = settings.enableCoT;
         document.getElementById('show-thinking-toggle').checked = settings.showThinking;
+        document.getElementById('tools-toggle').checked = settings.enableTools;
+        populateModelSelect();
         document.getElementById('model-select').value = settings.selectedModel;
+        document.getElementById('api-mode-select').value = settings.apiMode;
+        fillCustomEndpointFields();
+        fillBudgetFields();
+        fillAgentFields();
+        fillKnowledgeBaseFields();
+        fillContextFields();
+        fillNetworkFields();
+        fillSpeechFields();
+        fillShortcutFields();
+        fillSystemPromptFields();
+        populateTemplateSelect();
+        paramsDraft = JSON.parse(JSON.stringify(settings.modelParams));
+        budgetsDraft = { ...settings.contextBudgets };
+        fillParamFields(settings.selectedModel);
+        renderUsageHistory();
+        renderKnowledgeBase();
     }
 
     /**
@@ -74,55 +913,106 @@ const SettingsController = (function() {
         const streamingEnabled = document.getElementById('streaming-toggle').checked;
         const cotEnabled = document.getElementById('cot-toggle').checked;
         const showThinkingEnabled = document.getElementById('show-thinking-toggle').checked;
+        const toolsEnabled = document.getElementById('tools-toggle').checked;
         const selectedModelValue = document.getElementById('model-select').value;
+        const apiModeValue = document.getElementById('api-mode-select').value;
+        
+        // Keep the loaded model list while the endpoint is unchanged
+        const endpointFields = readCustomEndpointFields();
+        const currentEndpoint = ApiService.getCustomEndpoint();
+        const customEndpoint = {
+            ...endpointFields,
+            models: endpointFields.baseUrl === currentEndpoint.baseUrl ? currentEndpoint.models : []
+        };
+        ApiService.configureCustomEndpoint(customEndpoint);
+        ApiService.setMode(apiModeValue);
+        
+        const { modelParams, dropped } = validateParamsDraft();
+        if (dropped.length) {
+            alert('These parameters were not saved:\n' + dropped.join('\n'));
+        }
+        
+        // Prompts are stored outside the settings cookie
+        PromptStore.setSystemPrompt(document.getElementById('system-prompt').value);
+        ChatController.setSystemPromptOverride(document.getElementById('conversation-prompt-toggle').checked ?
+            document.getElementById('conversation-prompt').value : null);
         
         settings = {
             ...settings,
             streaming: streamingEnabled,
             enableCoT: cotEnabled,
             showThinking: showThinkingEnabled,
-            selectedModel: selectedModelValue
+            enableTools: toolsEnabled,
+            selectedModel: selectedModelValue,
+            apiMode: apiModeValue,
+            customEndpoint: customEndpoint,
+            budgets: readBudgetFields(),
+            agent: readAgentFields(),
+            knowledgeBase: readKnowledgeBaseFields(),
+            context: readContextFields(),
+            contextBudgets: readContextBudgets(),
+            network: readNetworkFields(),
+            speech: readSpeechFields(),
+            shortcuts: readShortcutFields(),
+            modelParams: modelParams
         };
+        configureRequests();
+        configureSpeech();
+        configureShortcuts();
         
         // Update the chat controller settings
         ChatController.updateSettings(settings);
+        renderCompareBar();
         
-        // Save settings to cookie
-        Utils.saveSettingsToCookie(settings);
+        // Save settings
+        Utils.saveSettings(settings);
         
         // Hide modal
         hideSettingsModal();
     }
 
     /**
-     * Initializes settings from cookies or defaults
+     * Applies and saves settings changed outside the settings modal
+     * @param {Object} newSettings - The settings to change
+     */
+    function applySettings(newSettings) {
+        settings = { ...settings, ...newSettings };
+        
+        ChatController.updateSettings(settings);
+        Utils.saveSettings(settings);
+    }
+
+    /**
+     * Initializes settings from the saved settings or defaults
      */
     function initSettings() {
-        const savedSettings = Utils.getSettingsFromCookie();
-        if (savedSettings) {
-            // Ensure all expected keys are present, merging saved settings over defaults
-            settings = { 
-                streaming: true, // Default
-                enableCoT: false, // Default
-                showThinking: true, // Default
-                selectedModel: 'gpt-4.1-mini', // Default
-                ...savedSettings // Overwrite with saved values if they exist
-            };
-        } else {
-             // If no cookie, ensure defaults are set (redundant but safe)
-             settings = {
-                streaming: true,
-                enableCoT: false,
-                showThinking: true,
-                selectedModel: 'gpt-4.1-mini'
-             };
-        }
+        const savedSettings = Utils.loadSettings();
+        
+        // Ensure all expected keys are present, merging saved settings over defaults
+        settings = { 
+            ...defaultSettings,
+            ...(savedSettings || {}) // Overwrite with saved values if they exist
+        };
+        
+        // Register the saved custom endpoint so its models can be selected
+        ApiService.configureCustomEndpoint(settings.customEndpoint);
+        ApiService.setMode(settings.apiMode);
+        configureRequests();
+        configureSpeech();
+        configureShortcuts();
         
         // Apply settings to chat controller
         ChatController.updateSettings(settings);
         
         // Set up settings button
         document.getElementById('settings-button').addEventListener('click', showSettingsModal);
+        
+        // Compare mode is switched from the header, and its models are chosen above the input
+        document.getElementById('compare-button').addEventListener('click', toggleCompareMode);
+        document.getElementById('compare-models').addEventListener('change', function(event) {
+            toggleCompareModel(event.target.value, event.target.checked);
+        });
+        renderCompareBar();
     }
 
     /**
@@ -138,6 +1028,8 @@ const SettingsController = (function() {
         init: initSettings,
         showSettingsModal,
         hideSettingsModal,
+        applySettings,
+        toggleCompareMode,
         getSettings
     };
 })(); 
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Sidebar Controller Module - Lists saved conversations
+ * Handles opening, renaming, searching, deleting, exporting and importing conversations
+ */
+const SidebarController = (function() {
+    'use strict';
+
+    // Private state
+    let activeConversationId = null;
+    let searchQuery = '';
+    let searchTimer = null;
+
+    /**
+     * Initializes the sidebar
+     */
+    function init() {
+        document.getElementById('new-chat-button').addEventListener('click', function() {
+            ChatController.newConversation();
+        });
+
+        document.getElementById('sidebar-toggle').addEventListener('click', toggle);
+
+        // Debounce search so typing doesn't reload the list on every key
+        document.getElementById('conversation-search').addEventListener('input', function() {
+            clearTimeout(searchTimer);
+            searchQuery = this.value;
+            searchTimer = setTimeout(refresh, 200);
+        });
+
+        // Event delegation for conversation items and their actions
+        document.getElementById('conversation-list').addEventListener('click', handleListClick);
+
+        document.getElementById('export-select').addEventListener('change', function() {
+            if (this.value && !ChatController.exportConversation(this.value)) {
+                alert('There is no conversation to export yet.');
+            }
+            this.value = '';
+        });
+
+        document.getElementById('import-button').addEventListener('click', function() {
+            document.getElementById('import-input').click();
+        });
+        document.getElementById('import-input').addEventListener('change', function() {
+            const file = this.files[0];
+            this.value = '';
+            if (file) importFile(file);
+        });
+
+        // Start collapsed on small screens
+        if (window.matchMedia('(max-width: 768px)').matches) {
+            document.getElementById('chat-container').classList.add('sidebar-hidden');
+        }
+
+        refresh();
+    }
+
+    /**
+     * Shows or hides the sidebar
+     */
+    function toggle() {
+        document.getElementById('chat-container').classList.toggle('sidebar-hidden');
+    }
+
+    /**
+     * Shows the sidebar and moves the keyboard focus to its search field
+     */
+    function focusSearch() {
+        document.getElementById('chat-container').classList.remove('sidebar-hidden');
+        const search = document.getElementById('conversation-search');
+        search.focus();
+        search.select();
+    }
+
+    /**
+     * Handles clicks on conversation items
+     * @param {Event} event - The click event
+     */
+    async function handleListClick(event) {
+        const item = event.target.closest('.sidebar__item');
+        if (!item) return;
+
+        const id = item.dataset.id;
+        const action = event.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'rename') {
+            const currentTitle = item.querySelector('.sidebar__item-title').textContent;
+            const title = prompt('Rename conversation:', currentTitle);
+            if (title && title.trim()) {
+                await ConversationStore.rename(id, title);
+                refresh();
+            }
+        } else if (action === 'delete') {
+            if (confirm('Delete this conversation?')) {
+                await ConversationStore.remove(id);
+                if (id === activeConversationId) {
+                    ChatController.newConversation();
+                }
+                refresh();
+            }
+        } else {
+            ChatController.loadConversation(id);
+            if (window.matchMedia('(max-width: 768px)').matches) {
+                document.getElementById('chat-container').classList.add('sidebar-hidden');
+            }
+        }
+    }
+
+    /**
+     * Imports the conversations of an exported file
+     * @param {File} file - The file
+     */
+    async function importFile(file) {
+        try {
+            const count = await ChatController.importConversations(await file.text());
+            if (count > 1) alert(`Imported ${count} conversations.`);
+        } catch (err) {
+            console.error('Failed to import conversations:', err);
+            alert(`${file.name} could not be imported. ${err.message}`);
+        }
+    }
+
+    /**
+     * Reloads the conversation list
+     */
+    async function refresh() {
+        const list = document.getElementById('conversation-list');
+        let conversations = [];
+
+        try {
+            conversations = await ConversationStore.list(searchQuery);
+        } catch (err) {
+            console.error('Failed to load conversations:', err);
+        }
+
+        list.innerHTML = '';
+        conversations.forEach(conversation => {
+            const item = Utils.createFromTemplate('conversation-item-template');
+            item.dataset.id = conversation.id;
+            item.querySelector('.sidebar__item-title').textContent = conversation.title;
+            item.querySelector('.sidebar__item-title').title = conversation.title;
+            item.classList.toggle('sidebar__item--active', conversation.id === activeConversationId);
+            list.appendChild(item);
+        });
+
+        if (conversations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'sidebar__empty';
+            empty.textContent = searchQuery ? 'No matching chats' : 'No saved chats yet';
+            list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Marks the open conversation in the list
+     * @param {string|null} id - The open conversation id
+     */
+    function setActive(id) {
+        activeConversationId = id;
+        document.querySelectorAll('#conversation-list .sidebar__item').forEach(item => {
+            item.classList.toggle('sidebar__item--active', item.dataset.id === id);
+        });
+    }
+
+    // Public API
+    return {
+        init,
+        refresh,
+        setActive,
+        toggle,
+        focusSearch
+    };
+})();
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Slash Commands Module - Runs the commands and prompt templates typed as /name in the message input
+ * Built-in commands map to chat and settings actions; any other name is looked up in the
+ * template library, and a template with {{variables}} asks for their values before it is sent.
+ */
+const SlashCommands = (function() {
+    'use strict';
+
+    // The formats of the Export menu
+    const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+
+    // Built-in commands, checked before the templates
+    const COMMANDS = {
+        clear: {
+            usage: '/clear',
+            description: 'Delete this conversation and start a new one',
+            run: clearConversation
+        },
+        model: {
+            usage: '/model <model>',
+            description: 'Switch the model, e.g. /model gpt-4.1-nano',
+            run: switchModel,
+            getOptions: getModelOptions
+        },
+        cot: {
+            usage: '/cot on|off',
+            description: 'Turn step-by-step reasoning on or off',
+            run: setChainOfThought,
+            getOptions: () => [
+                { value: 'on', description: 'Reason step by step before answering' },
+                { value: 'off', description: 'Answer directly' }
+            ]
+        },
+        export: {
+            usage: '/export [markdown|json|html]',
+            description: 'Download this conversation, as Markdown by default',
+            run: exportConversation,
+            getOptions: () => EXPORT_FORMATS.map(format => ({ value: format, description: `Download as ${format}` }))
+        }
+    };
+
+    const COMMAND_NAMES = Object.keys(COMMANDS);
+
+    // Suggestions shown at most at once
+    const MAX_SUGGESTIONS = 8;
+
+    /**
+     * Splits a slash command into its name and argument
+     * @param {string} text - The input, starting with a slash
+     * @returns {Object} - { name, argument }, the name in lowercase
+     */
+    function parse(text) {
+        const match = /^\/(\S*)\s*([\s\S]*)$/.exec(text.trim());
+        return { name: match[1].toLowerCase(), argument: match[2].trim() };
+    }
+
+    /**
+     * Deletes the open conversation after asking, like the Clear Chat button
+     */
+    function clearConversation() {
+        if (confirm('Delete this conversation? It is removed from your saved conversations and can\'t be restored.')) {
+            UIController.clearChatWindow();
+            ChatController.clearChat();
+        }
+    }
+
+    /**
+     * Gets the models that can be switched to
+     * @returns {Array} - [{ value, description }] with the model id and its name
+     */
+    function getModelOptions() {
+        return ApiService.getProviders().flatMap(provider =>
+            provider.models.map(model => ({ value: model.id, description: `${model.label} · ${provider.name}` })));
+    }
+
+    /**
+     * Switches the selected model
+     * @param {string} argument - The model id or name
+     */
+    function switchModel(argument) {
+        if (!argument) {
+            const model = ApiService.getModel(SettingsController.getSettings().selectedModel);
+            UIController.showNotice(`The model is ${model ? model.label : SettingsController.getSettings().selectedModel}.`);
+            return;
+        }
+
+        const wanted = argument.toLowerCase();
+        const option = getModelOptions().find(item =>
+            item.value.toLowerCase() === wanted || ApiService.getModel(item.value).label.toLowerCase() === wanted);
+        if (!option) {
+            throw new Error(`There is no model "${argument}". Type /model and a space to see the models.`);
+        }
+
+        SettingsController.applySettings({ selectedModel: option.value });
+        UIController.showNotice(`Switched to ${ApiService.getModel(option.value).label}.`);
+    }
+
+    /**
+     * Turns step-by-step reasoning on or off
+     * @param {string} argument - 'on' or 'off'; nothing toggles it
+     */
+    function setChainOfThought(argument) {
+        const value = argument.toLowerCase();
+        if (value && value !== 'on' && value !== 'off') {
+            throw new Error('Use /cot on or /cot off.');
+        }
+
+        const enabled = value ? value === 'on' : !SettingsController.getSettings().enableCoT;
+        SettingsController.applySettings({ enableCoT: enabled });
+        UIController.showNotice(`Step-by-step reasoning is ${enabled ? 'on' : 'off'}.`);
+    }
+
+    /**
+     * Downloads the open conversation
+     * @param {string} argument - The format, Markdown if empty
+     */
+    function exportConversation(argument) {
+        const format = argument.toLowerCase() || 'markdown';
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Export as ${EXPORT_FORMATS.join(', ')}.`);
+        }
+        if (!ChatController.exportConversation(format)) {
+            throw new Error('There is no conversation to export yet.');
+        }
+    }
+
+    /**
+     * Gets the suggestions for what is typed in the message input
+     * A partial name lists the commands and templates it starts; a command name and a
+     * space lists that command's arguments.
+     * @param {string} text - The input
+     * @returns {Array} - [{ label, description, value, submit }]: value replaces the input when
+     *   chosen, and submit tells whether choosing it also sends
+     */
+    function getSuggestions(text) {
+        if (!text.startsWith('/') || text.includes('\n')) return [];
+
+        const { name, argument } = parse(text);
+        const command = COMMANDS[name];
+        if (/\s/.test(text) && command) {
+            if (!command.getOptions) return [];
+            const wanted = argument.toLowerCase();
+            return command.getOptions()
+                .filter(option => option.value.toLowerCase().startsWith(wanted) && option.value.toLowerCase() !== wanted)
+                .slice(0, MAX_SUGGESTIONS)
+                .map(option => ({
+                    label: option.value,
+                    description: option.description,
+                    value: `/${name} ${option.value}`,
+                    submit: true
+                }));
+        }
+        if (/\s/.test(text)) return [];
+
+        const commands = COMMAND_NAMES.map(key => ({
+            label: COMMANDS[key].usage,
+            description: COMMANDS[key].description,
+            value: COMMANDS[key].getOptions ? `/${key} ` : `/${key}`,
+            submit: !COMMANDS[key].getOptions
+        }));
+        const templates = PromptStore.getTemplates().map(template => ({
+            label: `/${template.name}`,
+            description: template.text.replace(/\s+/g, ' ').slice(0, 80),
+            value: `/${template.name}`,
+            submit: true
+        }));
+        return [...commands, ...templates]
+            .filter(item => item.value.slice(1).trim().startsWith(name) && item.value.trim() !== text)
+            .slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Runs a slash command or fills in a template
+     * Commands report their result with a notice; a failed command leaves the input as it was.
+     * @param {string} text - The message, starting with a slash
+     * @returns {Promise<string|null>} - The message to send: the filled-in template, or the
+     *   text itself if it names nothing; null if a command ran or the form was cancelled
+     */
+    async function run(text) {
+        const { name, argument } = parse(text);
+
+        const command = COMMANDS[name];
+        if (command) {
+            try {
+                await command.run(argument);
+                UIController.clearUserInput();
+            } catch (err) {
+                UIController.showNotice(err.message, true);
+            }
+            return null;
+        }
+
+        const template = PromptStore.getTemplates().find(item => item.name === name);
+        if (!template) return text;
+
+        const variables = PromptStore.getTemplateVariables(template.text);
+        // Text typed after the name fills the last variable, usually the one for the input
+        const initial = argument && variables.length ? { [variables[variables.length - 1]]: argument } : {};
+        const values = variables.length ?
+            await UIController.promptTemplateValues(template.name, variables, initial) : {};
+        if (!values) return null;
+
+        const message = PromptStore.fillTemplate(template.text, values);
+        return variables.length || !argument ? message : `${message}\n\n${argument}`;
+    }
+
+    /**
+     * Starts suggesting commands and templates while the user types a slash
+     */
+    function init() {
+        UIController.setupAutocomplete(getSuggestions);
+    }
+
+    // Public API
+    return {
+        COMMAND_NAMES,
+        init,
+        getSuggestions,
+        run
+    };
+})();
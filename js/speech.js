@@ -0,0 +1,297 @@
+/**
+ * Speech Module - Dictation and spoken replies with the browser's Web Speech API
+ * Dictation uses SpeechRecognition, which reports interim transcripts while the user
+ * speaks. Replies are spoken with speechSynthesis one sentence at a time, so a streamed
+ * reply can be read while it arrives. Code blocks aren't read, and Markdown is spoken
+ * as the plain text it renders to.
+ */
+const Speech = (function() {
+    'use strict';
+
+    // Fence lines that open or close a code block
+    const FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})/;
+
+    // Where a sentence ends: closing punctuation before a space, or the end of a line
+    const SENTENCE_END_PATTERN = /[.!?…。！？]+["'”’)\]]*(?=\s)|\n/g;
+
+    // Messages for the SpeechRecognition error codes
+    const DICTATION_ERRORS = {
+        'not-allowed': 'Microphone access was denied.',
+        'service-not-allowed': 'Dictation isn\'t allowed in this browser.',
+        'audio-capture': 'No microphone was found.',
+        'no-speech': 'No speech was heard.',
+        network: 'Dictation needs a network connection in this browser.',
+        'language-not-supported': 'Dictation doesn\'t support this language.'
+    };
+
+    let options = { voice: '', rate: 1 };
+
+    /**
+     * Gets the browser's speech recognition class
+     * @returns {Function|null} - SpeechRecognition, or null if the browser has none
+     */
+    function getRecognitionClass() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    /**
+     * Checks whether the browser can take dictation
+     * @returns {boolean}
+     */
+    function isDictationSupported() {
+        return Boolean(getRecognitionClass());
+    }
+
+    /**
+     * Checks whether the browser can speak
+     * @returns {boolean}
+     */
+    function isSpeechSupported() {
+        return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * Sets the voice and speed of spoken replies
+     * @param {Object} newOptions - { voice, rate }: the voice name (empty for the browser's
+     *   default) and the speed (1 is normal)
+     */
+    function configure(newOptions) {
+        options = {
+            voice: newOptions?.voice || '',
+            rate: Math.min(2, Math.max(0.5, Number(newOptions?.rate) || 1))
+        };
+    }
+
+    /**
+     * Gets the voices the browser can speak with
+     * The list may be empty until the browser has loaded it; see onVoicesChanged.
+     * @returns {Array} - [{ name, lang }]
+     */
+    function getVoices() {
+        if (!isSpeechSupported()) return [];
+        return speechSynthesis.getVoices().map(voice => ({ name: voice.name, lang: voice.lang }));
+    }
+
+    /**
+     * Calls a function when the browser has loaded or changed its voices
+     * @param {Function} callback - Called without arguments
+     */
+    function onVoicesChanged(callback) {
+        if (isSpeechSupported()) {
+            speechSynthesis.addEventListener('voiceschanged', callback);
+        }
+    }
+
+    /**
+     * Starts dictation from the microphone
+     * Recognition runs until stopped; results arrive as the final transcript so far
+     * and the interim text that may still change.
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onResult - Called with (finalText, interimText) as the user speaks
+     * @param {Function} [handlers.onError] - Called with a message if dictation fails
+     * @param {Function} [handlers.onEnd] - Called when dictation has ended, for any reason
+     * @returns {Object} - { stop, abort }: stop keeps the pending result, abort drops it
+     */
+    function startDictation(handlers) {
+        const Recognition = getRecognitionClass();
+        if (!Recognition) {
+            throw new Error('This browser doesn\'t support dictation.');
+        }
+
+        const recognition = new Recognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = navigator.language || 'en-US';
+
+        recognition.onresult = event => {
+            let finalText = '';
+            let interimText = '';
+            for (const result of event.results) {
+                if (result.isFinal) {
+                    finalText += result[0].transcript;
+                } else {
+                    interimText += result[0].transcript;
+                }
+            }
+            handlers.onResult(finalText, interimText);
+        };
+        recognition.onerror = event => {
+            // Stopping by hand reports 'aborted', which isn't a failure
+            if (event.error === 'aborted' || !handlers.onError) return;
+            handlers.onError(DICTATION_ERRORS[event.error] || `Dictation failed: ${event.error}.`);
+        };
+        recognition.onend = () => {
+            if (handlers.onEnd) handlers.onEnd();
+        };
+        recognition.start();
+
+        return {
+            stop: () => recognition.stop(),
+            abort: () => recognition.abort()
+        };
+    }
+
+    /**
+     * Finds the code blocks of a Markdown text
+     * @param {string} text - The text
+     * @returns {Array} - [{ start, end }] character ranges, each from its opening fence to the end
+     *   of its closing fence line; a block that isn't closed yet runs to Infinity
+     */
+    function findCodeBlocks(text) {
+        const blocks = [];
+        let open = null;
+        let position = 0;
+        for (const line of text.split('\n')) {
+            const fence = FENCE_PATTERN.exec(line);
+            if (fence && !open) {
+                open = { start: position, fence: fence[1] };
+            } else if (fence && line.trim().startsWith(open.fence)) {
+                blocks.push({ start: open.start, end: position + line.length + 1 });
+                open = null;
+            }
+            position += line.length + 1;
+        }
+        if (open) blocks.push({ start: open.start, end: Infinity });
+        return blocks;
+    }
+
+    /**
+     * Turns Markdown into the text to speak, leaving out code blocks
+     * @param {string} markdown - The Markdown text
+     * @returns {string} - The plain text
+     */
+    function toSpeakableText(markdown) {
+        let text = '';
+        let position = 0;
+        findCodeBlocks(markdown).forEach(block => {
+            text += markdown.slice(position, block.start) + '\n';
+            position = block.end;
+        });
+        if (position < markdown.length) text += markdown.slice(position);
+
+        return text
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\[\d+\]/g, '') // Citations
+            .replace(/https?:\/\/\S+/g, 'link')
+            .replace(/^[ \t]*(#{1,6}|>+|[-*+]|\d+[.)])[ \t]+/gm, '')
+            .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+            .replace(/[*_~`|]+/g, ' ')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ ([.,;:!?])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Splits a text into sentences
+     * @param {string} text - The text
+     * @returns {Array<string>} - The sentences, without empty ones
+     */
+    function splitSentences(text) {
+        const sentences = [];
+        let start = 0;
+        for (const match of text.matchAll(SENTENCE_END_PATTERN)) {
+            const end = match.index + match[0].length;
+            sentences.push(text.slice(start, end));
+            start = end;
+        }
+        sentences.push(text.slice(start));
+        return sentences.map(sentence => sentence.trim()).filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+    }
+
+    /**
+     * Queues a sentence to be spoken
+     * @param {string} sentence - The sentence
+     * @param {Function} [onEnd] - Called when it has been spoken or was cancelled
+     */
+    function queue(sentence, onEnd) {
+        const utterance = new SpeechSynthesisUtterance(sentence);
+        const voice = options.voice && speechSynthesis.getVoices().find(item => item.name === options.voice);
+        if (voice) utterance.voice = voice;
+        utterance.rate = options.rate;
+        if (onEnd) {
+            utterance.onend = onEnd;
+            utterance.onerror = onEnd;
+        }
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Speaks a Markdown text, replacing anything being spoken
+     * @param {string} markdown - The text
+     * @param {Function} [onEnd] - Called when it has been spoken or was stopped
+     */
+    function speak(markdown, onEnd) {
+        if (!isSpeechSupported()) return;
+        stop();
+
+        const sentences = splitSentences(toSpeakableText(markdown));
+        if (!sentences.length) {
+            if (onEnd) onEnd();
+            return;
+        }
+        sentences.forEach((sentence, index) => queue(sentence, index === sentences.length - 1 ? onEnd : null));
+    }
+
+    /**
+     * Stops speaking and drops the queued sentences
+     */
+    function stop() {
+        if (isSpeechSupported()) speechSynthesis.cancel();
+    }
+
+    /**
+     * Creates a reader that speaks a streamed reply as it grows
+     * Each update passes the reply so far; the sentences it completes are queued, and
+     * text inside a code block that is still open waits until the block is closed.
+     * @returns {Object} - { update(text), finish() }: finish speaks the rest of the last update
+     */
+    function createReader() {
+        let text = '';
+        let spoken = 0; // Characters of the text that are queued
+
+        const speakTo = end => {
+            if (end <= spoken) return;
+            splitSentences(toSpeakableText(text.slice(spoken, end))).forEach(sentence => queue(sentence));
+            spoken = end;
+        };
+
+        return {
+            update(newText) {
+                // A reply that starts over (e.g. answered by a fallback model) is read from its start
+                if (!newText.startsWith(text.slice(0, spoken))) spoken = 0;
+                text = newText;
+
+                const blocks = findCodeBlocks(text);
+                const insideBlock = index => blocks.some(block => index > block.start && index < block.end);
+                let end = spoken;
+                for (const match of text.slice(spoken).matchAll(SENTENCE_END_PATTERN)) {
+                    const index = spoken + match.index + match[0].length;
+                    if (!insideBlock(index)) end = index;
+                }
+                blocks.forEach(block => {
+                    if (block.end !== Infinity && block.end <= text.length && block.end > end) end = block.end;
+                });
+                speakTo(end);
+            },
+            finish() {
+                speakTo(text.length);
+            }
+        };
+    }
+
+    // Public API
+    return {
+        isDictationSupported,
+        isSpeechSupported,
+        configure,
+        getVoices,
+        onVoicesChanged,
+        startDictation,
+        toSpeakableText,
+        speak,
+        stop,
+        createReader
+    };
+})();
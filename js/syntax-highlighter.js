@@ -0,0 +1,290 @@
+/**
+ * Syntax Highlighter Module - Colors code blocks by wrapping tokens in spans
+ * A small tokenizer per language family, tolerant of code that is still streaming in
+ */
+const SyntaxHighlighter = (function() {
+    'use strict';
+
+    // Token patterns shared by several languages
+    const patterns = {
+        slashComment: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/,
+        hashComment: /#[^\n]*/,
+        dashComment: /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/,
+        markupComment: /<!--[\s\S]*?(?:-->|$)/,
+        // Unterminated strings run to the end of the line so partial code still tokenizes
+        string: /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/,
+        templateString: /`(?:\\[\s\S]|[^`\\])*`?/,
+        tripleString: /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/,
+        number: /\b(?:0[xX][\da-fA-F]+|0[bB][01]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/,
+        shellVariable: /\$\{?[\w@#?*!-]+\}?/,
+        markupTag: /<\/?[\w:-]+|\/?>/,
+        markupAttribute: /\b[\w:-]+(?==)/,
+        cssProperty: /[\w-]+(?=\s*:)/,
+        cssUnitNumber: /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/,
+        jsonKey: /"(?:\\.|[^"\\\n])*"(?=\s*:)/
+    };
+
+    const keywords = {
+        javascript: 'async await break case catch class const continue debugger default delete do else export ' +
+            'extends finally for from function if import in instanceof let new of return static super switch ' +
+            'this throw try typeof var void while with yield',
+        typescript: 'abstract as declare enum implements interface keyof namespace private protected public ' +
+            'readonly type',
+        python: 'and as assert async await break class continue def del elif else except finally for from ' +
+            'global if import in is lambda nonlocal not or pass raise return try while with yield',
+        c: 'auto break case char const continue default do double else enum extern float for goto if inline ' +
+            'int long register return short signed sizeof static struct switch typedef union unsigned void ' +
+            'volatile while class namespace template typename public private protected virtual override new ' +
+            'delete this using try catch throw bool',
+        java: 'abstract boolean break byte case catch char class const continue default do double else enum ' +
+            'extends final finally float for if implements import instanceof int interface long native new ' +
+            'package private protected public return short static super switch synchronized this throw throws ' +
+            'try void volatile while var record',
+        csharp: 'abstract as async await base bool break case catch class const continue decimal default ' +
+            'delegate do double else enum event explicit extern finally fixed float for foreach get if implicit ' +
+            'in int interface internal is lock long namespace new object out override params private protected ' +
+            'public readonly ref return sealed set short static string struct switch this throw try typeof ' +
+            'using var virtual void while',
+        go: 'break case chan const continue default defer else fallthrough for func go goto if import ' +
+            'interface map package range return select struct switch type var',
+        rust: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop ' +
+            'match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+        php: 'abstract array as break case catch class clone const continue declare default do echo else ' +
+            'elseif empty extends final finally fn for foreach function global if implements include interface ' +
+            'isset list namespace new print private protected public require return static switch throw trait ' +
+            'try unset use var while yield',
+        ruby: 'alias and begin break case class def defined do else elsif end ensure for if in module next ' +
+            'not or redo rescue retry return self super then undef unless until when while yield',
+        sql: 'add all alter and as asc between by case create delete desc distinct drop else end exists from ' +
+            'group having in index inner insert into is join key left like limit not null on or order outer ' +
+            'primary references right select set table then union unique update values view when where with',
+        shell: 'if then else elif fi for while until do done case esac in function return local export ' +
+            'readonly declare unset shift exit source alias echo cd'
+    };
+
+    const literals = {
+        javascript: 'true false null undefined NaN Infinity',
+        python: 'True False None',
+        c: 'true false NULL nullptr',
+        java: 'true false null',
+        csharp: 'true false null',
+        go: 'true false nil iota',
+        rust: 'true false None Some Ok Err',
+        php: 'true false null TRUE FALSE NULL',
+        ruby: 'true false nil',
+        sql: 'true false',
+        json: 'true false null'
+    };
+
+    /**
+     * Builds a word-boundary pattern from a space separated word list
+     * @param {string} words - The words
+     * @param {boolean} [ignoreCase] - Whether to match regardless of case
+     * @returns {RegExp} - The pattern
+     */
+    function wordPattern(words, ignoreCase) {
+        return new RegExp(`\\b(?:${words.split(' ').join('|')})\\b`, ignoreCase ? 'i' : '');
+    }
+
+    /**
+     * Builds the rules of a C-like or scripting language
+     * @param {Object} options - { comment, strings, keywords, literals, extra }
+     * @returns {Array} - [tokenClass, pattern] pairs, tried in order
+     */
+    function codeRules(options) {
+        return [
+            ['comment', options.comment],
+            ...options.strings.map(pattern => ['string', pattern]),
+            ...(options.extra || []),
+            ['keyword', wordPattern(options.keywords, options.ignoreCase)],
+            ...(options.literals ? [['literal', wordPattern(options.literals)]] : []),
+            ['number', patterns.number]
+        ];
+    }
+
+    // Rules per language, each a list of [tokenClass, pattern] pairs
+    const languages = {
+        javascript: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.templateString, patterns.string],
+            keywords: keywords.javascript,
+            literals: literals.javascript
+        }),
+        typescript: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.templateString, patterns.string],
+            keywords: keywords.javascript + ' ' + keywords.typescript,
+            literals: literals.javascript
+        }),
+        python: codeRules({
+            comment: patterns.hashComment,
+            strings: [patterns.tripleString, patterns.string],
+            keywords: keywords.python,
+            literals: literals.python
+        }),
+        c: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.string],
+            keywords: keywords.c,
+            literals: literals.c,
+            extra: [['keyword', /#\s*\w+/]]
+        }),
+        java: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.string],
+            keywords: keywords.java,
+            literals: literals.java
+        }),
+        csharp: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.string],
+            keywords: keywords.csharp,
+            literals: literals.csharp
+        }),
+        go: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.templateString, patterns.string],
+            keywords: keywords.go,
+            literals: literals.go
+        }),
+        rust: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.string],
+            keywords: keywords.rust,
+            literals: literals.rust
+        }),
+        php: codeRules({
+            comment: patterns.slashComment,
+            strings: [patterns.string],
+            keywords: keywords.php,
+            literals: literals.php,
+            extra: [['variable', /\$\w+/]]
+        }),
+        ruby: codeRules({
+            comment: patterns.hashComment,
+            strings: [patterns.string],
+            keywords: keywords.ruby,
+            literals: literals.ruby,
+            extra: [['variable', /[@$]\w+/]]
+        }),
+        sql: codeRules({
+            comment: patterns.dashComment,
+            strings: [patterns.string],
+            keywords: keywords.sql,
+            literals: literals.sql,
+            ignoreCase: true
+        }),
+        shell: codeRules({
+            comment: patterns.hashComment,
+            strings: [patterns.string],
+            keywords: keywords.shell,
+            extra: [['variable', patterns.shellVariable]]
+        }),
+        json: [
+            ['property', patterns.jsonKey],
+            ['string', patterns.string],
+            ['literal', wordPattern(literals.json)],
+            ['number', patterns.number]
+        ],
+        css: [
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+            ['string', patterns.string],
+            ['keyword', /@[\w-]+/],
+            ['property', patterns.cssProperty],
+            ['number', patterns.cssUnitNumber]
+        ],
+        markup: [
+            ['comment', patterns.markupComment],
+            ['tag', patterns.markupTag],
+            ['property', patterns.markupAttribute],
+            ['string', patterns.string]
+        ]
+    };
+
+    // Fence names that map to the same rules
+    const aliases = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        ts: 'typescript', tsx: 'typescript',
+        py: 'python', python3: 'python',
+        h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', hpp: 'c', objc: 'c',
+        cs: 'csharp', 'c#': 'csharp',
+        golang: 'go',
+        rs: 'rust',
+        rb: 'ruby',
+        sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+        html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+        scss: 'css', less: 'css',
+        jsonc: 'json', json5: 'json',
+        kotlin: 'java', kt: 'java', scala: 'java', swift: 'java', dart: 'java',
+        mysql: 'sql', postgresql: 'sql', postgres: 'sql', sqlite: 'sql'
+    };
+
+    // Combined patterns, built on first use
+    const compiled = Object.create(null);
+
+    /**
+     * Finds the rules for a fence language name
+     * @param {string} language - The language name, e.g. 'js' or 'python'
+     * @returns {string|null} - The canonical language name or null if unsupported
+     */
+    function resolveLanguage(language) {
+        const name = (language || '').toLowerCase();
+        // Own properties only, so names like "constructor" aren't read from Object.prototype
+        if (Object.hasOwn(languages, name)) return name;
+        return Object.hasOwn(aliases, name) ? aliases[name] : null;
+    }
+
+    /**
+     * Combines the rules of a language into one pattern with a group per rule
+     * @param {string} name - The canonical language name
+     * @returns {RegExp} - The combined global pattern
+     */
+    function compile(name) {
+        if (!compiled[name]) {
+            const rules = languages[name];
+            const ignoreCase = rules.some(([, pattern]) => pattern.flags.includes('i'));
+            compiled[name] = new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join('|'), ignoreCase ? 'gi' : 'g');
+        }
+        return compiled[name];
+    }
+
+    /**
+     * Highlights code as HTML
+     * @param {string} code - The code
+     * @param {string} language - The fence language name
+     * @returns {string} - Escaped HTML, with tokens wrapped in <span class="hl-*">
+     */
+    function highlight(code, language) {
+        const name = resolveLanguage(language);
+        if (!name) return Utils.escapeHtml(code);
+
+        const rules = languages[name];
+        const pattern = compile(name);
+        pattern.lastIndex = 0;
+
+        let html = '';
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(code)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            // The first group that matched tells which rule won
+            const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+            html += Utils.escapeHtml(code.slice(position, match.index));
+            html += `<span class="hl-${rules[ruleIndex][0]}">${Utils.escapeHtml(match[0])}</span>`;
+            position = match.index + match[0].length;
+        }
+
+        return html + Utils.escapeHtml(code.slice(position));
+    }
+
+    // Public API
+    return {
+        highlight,
+        resolveLanguage
+    };
+})();
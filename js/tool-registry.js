@@ -0,0 +1,260 @@
+/**
+ * Tool Registry Module - Local tools the model can call
+ * Each tool declares a JSON schema for its arguments, which is sent to the model as a
+ * function declaration, and runs in the browser when the model calls it
+ */
+const ToolRegistry = (function() {
+    'use strict';
+
+    const tools = {};
+
+    // Functions and constants the calculator understands
+    const MATH_FUNCTIONS = {
+        sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+        exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2, min: Math.min, max: Math.max, pow: Math.pow
+    };
+    const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+    /**
+     * Splits an arithmetic expression into tokens
+     * @param {string} expression - The expression
+     * @returns {Array<string>} - The tokens
+     */
+    function tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_]\w*|\*\*|[-+*\/%^(),])\s*/iy;
+        while (pattern.lastIndex < expression.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+            }
+            tokens.push(match[1] === '**' ? '^' : match[1]);
+        }
+        return tokens;
+    }
+
+    /**
+     * Evaluates an arithmetic expression without eval
+     * Supports + - * / % ^ (or **), parentheses, the functions in MATH_FUNCTIONS and pi and e
+     * @param {string} expression - The expression
+     * @returns {number} - The result
+     */
+    function calculate(expression) {
+        const tokens = tokenize(expression.trim());
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = token => {
+            if (next() !== token) throw new Error(`Expected "${token}"`);
+        };
+
+        // sum := product (('+' | '-') product)*
+        function sum() {
+            let value = product();
+            while (peek() === '+' || peek() === '-') {
+                value = next() === '+' ? value + product() : value - product();
+            }
+            return value;
+        }
+
+        // product := unary (('*' | '/' | '%') unary)*
+        function product() {
+            let value = unary();
+            while (peek() === '*' || peek() === '/' || peek() === '%') {
+                const operator = next();
+                const operand = unary();
+                value = operator === '*' ? value * operand : operator === '/' ? value / operand : value % operand;
+            }
+            return value;
+        }
+
+        // unary := ('-' | '+') unary | power
+        function unary() {
+            if (peek() === '-' || peek() === '+') {
+                return next() === '-' ? -unary() : unary();
+            }
+            return power();
+        }
+
+        // power := primary ('^' unary)?, so 2^3^2 is 2^(3^2) and -2^2 is -(2^2)
+        function power() {
+            const base = primary();
+            if (peek() === '^') {
+                next();
+                return Math.pow(base, unary());
+            }
+            return base;
+        }
+
+        // primary := number | constant | function '(' sum (',' sum)* ')' | '(' sum ')'
+        function primary() {
+            const token = next();
+            if (token === undefined) throw new Error('Unexpected end of expression');
+
+            if (token === '(') {
+                const value = sum();
+                expect(')');
+                return value;
+            }
+            if (/^[\d.]/.test(token)) {
+                return parseFloat(token);
+            }
+
+            const name = token.toLowerCase();
+            if (Object.hasOwn(MATH_CONSTANTS, name)) {
+                return MATH_CONSTANTS[name];
+            }
+            if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+                expect('(');
+                const args = [sum()];
+                while (peek() === ',') {
+                    next();
+                    args.push(sum());
+                }
+                expect(')');
+                return MATH_FUNCTIONS[name](...args);
+            }
+            throw new Error(`Unknown name "${token}"`);
+        }
+
+        const result = sum();
+        if (position < tokens.length) {
+            throw new Error(`Unexpected "${tokens[position]}"`);
+        }
+        if (!Number.isFinite(result)) {
+            throw new Error('The result is not a finite number');
+        }
+        return result;
+    }
+
+    /**
+     * Registers a tool
+     * - name: identifier the model calls it by (letters, digits, _ and -)
+     * - description: what it does and when to use it, for the model
+     * - parameters: JSON schema of its arguments object
+     * - execute(args): returns the result, or a Promise of it; strings are sent to the
+     *   model as they are, other values as JSON. Throw to report an error to the model.
+     * @param {Object} tool - The tool definition
+     */
+    function register(tool) {
+        if (!tool || !/^[a-zA-Z_][\w-]*$/.test(tool.name || '') || typeof tool.execute !== 'function') {
+            throw new Error('Tool must have a name and an execute function');
+        }
+        tools[tool.name] = tool;
+    }
+
+    /**
+     * Gets the function declarations of all tools, as sent to the model
+     * @returns {Array} - [{ name, description, parameters }]
+     */
+    function getDefinitions() {
+        return Object.values(tools).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    }
+
+    /**
+     * Gets a tool by name
+     * @param {string} name - The tool name
+     * @returns {Object|null} - The tool or null if none has that name
+     */
+    function getTool(name) {
+        return Object.hasOwn(tools, name) ? tools[name] : null;
+    }
+
+    /**
+     * Runs a tool call
+     * @param {string} name - The tool name
+     * @param {Object|null} args - The arguments, null if the model sent unreadable ones
+     * @returns {Promise<string>} - The result as text; rejects if the call fails
+     */
+    async function execute(name, args) {
+        const tool = getTool(name);
+        if (!tool) throw new Error(`Unknown tool: ${name}`);
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            throw new Error('The arguments must be a JSON object');
+        }
+
+        const missing = (tool.parameters?.required || []).filter(key => args[key] === undefined);
+        if (missing.length) {
+            throw new Error(`Missing arguments: ${missing.join(', ')}`);
+        }
+
+        const result = await tool.execute(args);
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+
+    register({
+        name: 'calculator',
+        description: 'Evaluates an arithmetic expression exactly. Use it for any calculation instead of ' +
+            'working it out yourself. Supports + - * / % ^, parentheses, pi, e and the functions ' +
+            Object.keys(MATH_FUNCTIONS).join(', ') + '. Trigonometric functions use radians; log is base 10.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "sqrt(2) * (3 + 4)^2"' }
+            },
+            required: ['expression']
+        },
+        execute(args) {
+            return String(calculate(String(args.expression)));
+        }
+    });
+
+    register({
+        name: 'get_datetime',
+        description: 'Gets the current date and time, in the user\'s time zone or a given one.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'An IANA time zone such as "Europe/Paris"; defaults to the user\'s' }
+            }
+        },
+        execute(args) {
+            const now = new Date();
+            const timeZone = args.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            let local;
+            try {
+                local = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+            } catch (err) {
+                throw new Error(`Unknown time zone: ${timeZone}`);
+            }
+            return { local, timezone: timeZone, iso: now.toISOString(), unix: Math.floor(now.getTime() / 1000) };
+        }
+    });
+
+    register({
+        name: 'run_javascript',
+        description: 'Runs JavaScript in an isolated browser sandbox with no network or page access, ' +
+            'and returns its console output and return value. The code is the body of an async ' +
+            'function, so use return to report a value. Runs are stopped after 5 seconds.',
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'The JavaScript code' }
+            },
+            required: ['code']
+        },
+        async execute(args) {
+            const outcome = await CodeRunner.evaluate(String(args.code));
+            if (outcome.error) {
+                const output = outcome.logs.length ? `\nConsole output:\n${outcome.logs.join('\n')}` : '';
+                throw new Error(outcome.error + output);
+            }
+            return { console: outcome.logs, result: outcome.result };
+        }
+    });
+
+    // Public API
+    return {
+        register,
+        getDefinitions,
+        getTool,
+        execute
+    };
+})();
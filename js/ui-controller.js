@@ -5,9 +5,41 @@
 const UIController = (function() {
     'use strict';
 
+    // Status marks of the steps in an agent plan
+    const AGENT_STEP_ICONS = { pending: '○', running: '◔', done: '✓', failed: '✗', skipped: '–' };
+
+    // Tooltips of messages that aren't sent in full
+    const CONTEXT_STATE_TITLES = {
+        dropped: 'Not sent to the model: outside the context budget',
+        summarized: 'Sent to the model as part of a summary of earlier turns'
+    };
+
+    // File extensions for downloaded code blocks, by language
+    const FILE_EXTENSIONS = {
+        javascript: 'js', js: 'js', jsx: 'jsx', mjs: 'mjs', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+        python: 'py', py: 'py', java: 'java', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs',
+        go: 'go', golang: 'go', rust: 'rs', rs: 'rs', php: 'php', ruby: 'rb', rb: 'rb',
+        kotlin: 'kt', swift: 'swift', sql: 'sql', shell: 'sh', bash: 'sh', sh: 'sh', zsh: 'sh',
+        powershell: 'ps1', html: 'html', htm: 'html', xml: 'xml', svg: 'svg', css: 'css', scss: 'scss',
+        json: 'json', yaml: 'yml', yml: 'yml', toml: 'toml', markdown: 'md', md: 'md'
+    };
+
     // Private state
     let sendMessageCallback = null;
     let clearChatCallback = null;
+    let messageActionCallback = null;
+    const activeRuns = new WeakMap(); // code block -> function that stops its run
+    let pendingAttachments = []; // Content parts attached to the next message
+    let suggestionSource = null; // Gets the autocomplete suggestions for the input text
+    let suggestions = []; // The suggestions shown
+    let activeSuggestion = 0;
+    let closeTemplateForm = null; // Cancels the open template form
+    let noticeTimer = null;
+    let dictation = null; // The running dictation, see Speech.startDictation
+    let autoSpeak = false; // Whether replies are read aloud as they arrive
+    let liveReader = null; // { element, reader } for the reply being read as it streams
+    let readingElement = null; // The message read aloud with its Read aloud control
+    const messageTexts = new WeakMap(); // message element -> the Markdown it shows, without reasoning
     
     /**
      * Initializes the UI controller
@@ -19,6 +51,8 @@ const UIController = (function() {
         // Add enter key handler for message input
         const messageInput = document.getElementById('message-input');
         messageInput.addEventListener('keydown', function(event) {
+            // The suggestions take the arrow keys, Tab and Enter while they are open
+            if (suggestions.length && handleSuggestionKey(event)) return;
             if (event.key === 'Enter' && !event.shiftKey) {
                 event.preventDefault();
                 if (sendMessageCallback) sendMessageCallback();
@@ -29,6 +63,60 @@ const UIController = (function() {
         messageInput.addEventListener('input', function() {
             this.style.height = 'auto';
             this.style.height = Math.min(this.scrollHeight, 200) + 'px';
+            updateSuggestions();
+        });
+        messageInput.addEventListener('blur', hideSuggestions);
+        
+        // Pressing on a suggestion would blur the input first, so it is chosen on mousedown
+        document.getElementById('suggestions').addEventListener('mousedown', function(event) {
+            const item = event.target.closest('[data-index]');
+            if (!item) return;
+            event.preventDefault();
+            chooseSuggestion(Number(item.dataset.index));
+        });
+        
+        // Dictate into the message input where the browser supports it
+        const micButton = document.getElementById('mic-button');
+        micButton.hidden = !Speech.isDictationSupported();
+        micButton.addEventListener('click', toggleDictation);
+        
+        // Attach files from the picker, the clipboard or by dropping them on the chat
+        const fileInput = document.getElementById('file-input');
+        document.getElementById('attach-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', function() {
+            addAttachments(this.files);
+            this.value = '';
+        });
+        messageInput.addEventListener('paste', function(event) {
+            const files = event.clipboardData?.files;
+            if (files && files.length) {
+                event.preventDefault();
+                addAttachments(files);
+            }
+        });
+        
+        const chatApp = document.querySelector('.chat-app');
+        chatApp.addEventListener('dragover', function(event) {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+            event.preventDefault();
+            chatApp.classList.add('chat-app--dragging');
+        });
+        chatApp.addEventListener('dragleave', function(event) {
+            if (!chatApp.contains(event.relatedTarget)) chatApp.classList.remove('chat-app--dragging');
+        });
+        chatApp.addEventListener('drop', function(event) {
+            chatApp.classList.remove('chat-app--dragging');
+            if (!event.dataTransfer || !event.dataTransfer.files.length) return;
+            event.preventDefault();
+            addAttachments(event.dataTransfer.files);
+        });
+        
+        document.getElementById('attachment-tray').addEventListener('click', function(event) {
+            const button = event.target.closest('.chat-app__attachment-remove');
+            if (button) {
+                pendingAttachments.splice(Number(button.dataset.index), 1);
+                renderAttachmentTray();
+            }
         });
         
         // Add global event delegation for thinking toggle buttons
@@ -50,25 +138,57 @@ const UIController = (function() {
                 }
             }
         });
+        
+        // Event delegation for code block and message actions
+        document.getElementById('chat-window').addEventListener('click', function(event) {
+            const codeButton = event.target.closest('.code-block__action');
+            if (codeButton) {
+                handleCodeAction(codeButton);
+                return;
+            }
+            
+            const citation = event.target.closest('.citation');
+            if (citation) {
+                event.preventDefault();
+                showSource(citation);
+                return;
+            }
+            
+            const messageButton = event.target.closest('.chat-app__message-action');
+            if (messageButton && messageButton.dataset.action === 'speak') {
+                toggleReading(messageButton.closest('.chat-app__message'));
+                return;
+            }
+            if (messageButton && messageActionCallback) {
+                const messageElement = messageButton.closest('.chat-app__message');
+                messageActionCallback(messageButton.dataset.action, messageElement.dataset.id, messageElement);
+            }
+        });
     }
 
     /**
      * Sets up event handlers for UI elements
      * @param {Function} onSendMessage - Callback for send button
      * @param {Function} onClearChat - Callback for clear chat button
+     * @param {Function} onStop - Callback for stop button
+     * @param {Function} onMessageAction - Callback for message controls, receives (action, id, element)
      */
-    function setupEventHandlers(onSendMessage, onClearChat) {
+    function setupEventHandlers(onSendMessage, onClearChat, onStop, onMessageAction) {
         sendMessageCallback = onSendMessage;
         clearChatCallback = onClearChat;
+        messageActionCallback = onMessageAction;
         
         // Send button click handler
         document.getElementById('send-button').addEventListener('click', onSendMessage);
         
+        // Stop button click handler
+        document.getElementById('stop-button').addEventListener('click', onStop);
+        
         // Clear chat button click handler
         const clearChatButton = document.getElementById('clear-chat-button');
         if (clearChatButton) {
             clearChatButton.addEventListener('click', function() {
-                if (confirm('Are you sure you want to clear the chat history?')) {
+                if (confirm('Delete this conversation? It is removed from your saved conversations and can\'t be restored.')) {
                     clearChatWindow();
                     if (clearChatCallback) clearChatCallback();
                 }
@@ -76,6 +196,322 @@ const UIController = (function() {
         }
     }
 
+    /**
+     * Sets where the suggestions shown while typing in the message input come from
+     * @param {Function} source - Gets the suggestions for the input text, see SlashCommands.getSuggestions
+     */
+    function setupAutocomplete(source) {
+        suggestionSource = source;
+    }
+
+    /**
+     * Shows the suggestions for the text in the message input, or hides them if there are none
+     */
+    function updateSuggestions() {
+        const text = document.getElementById('message-input').value;
+        suggestions = suggestionSource ? suggestionSource(text) : [];
+        activeSuggestion = 0;
+        renderSuggestions();
+    }
+
+    /**
+     * Hides the suggestions
+     */
+    function hideSuggestions() {
+        suggestions = [];
+        renderSuggestions();
+    }
+
+    /**
+     * Renders the suggestion list above the message input
+     */
+    function renderSuggestions() {
+        const list = document.getElementById('suggestions');
+        const messageInput = document.getElementById('message-input');
+        list.innerHTML = '';
+        list.hidden = !suggestions.length;
+        messageInput.setAttribute('aria-expanded', String(suggestions.length > 0));
+        
+        suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.id = `suggestion-${index}`;
+            item.className = 'chat-app__suggestion';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === activeSuggestion));
+            item.dataset.index = index;
+            
+            const label = document.createElement('span');
+            label.className = 'chat-app__suggestion-label';
+            label.textContent = suggestion.label;
+            const description = document.createElement('span');
+            description.className = 'chat-app__suggestion-description';
+            description.textContent = suggestion.description;
+            item.append(label, description);
+            list.appendChild(item);
+        });
+        
+        if (suggestions.length) {
+            messageInput.setAttribute('aria-activedescendant', `suggestion-${activeSuggestion}`);
+        } else {
+            messageInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Handles a key pressed in the message input while suggestions are shown
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {boolean} - Whether the key was used by the suggestions
+     */
+    function handleSuggestionKey(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + suggestions.length) % suggestions.length;
+            renderSuggestions();
+        } else if (event.key === 'Tab' || (event.key === 'Enter' && !event.shiftKey)) {
+            chooseSuggestion(activeSuggestion);
+        } else if (event.key === 'Escape') {
+            hideSuggestions();
+        } else {
+            return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * Puts a suggestion in the message input, sending it if it is complete
+     * @param {number} index - The index of the suggestion
+     */
+    function chooseSuggestion(index) {
+        const suggestion = suggestions[index];
+        if (!suggestion) return;
+        
+        const messageInput = document.getElementById('message-input');
+        messageInput.value = suggestion.value;
+        messageInput.focus();
+        if (suggestion.submit) {
+            hideSuggestions();
+            if (sendMessageCallback) sendMessageCallback();
+        } else {
+            // A command that takes an argument goes on to list its options
+            updateSuggestions();
+        }
+    }
+
+    /**
+     * Asks for the values of a template's variables in a form above the message input
+     * @param {string} name - The template name
+     * @param {Array<string>} variables - The variable names
+     * @param {Object} [initial] - Values to start with, by variable name
+     * @returns {Promise<Object|null>} - The value of each variable, or null if cancelled
+     */
+    function promptTemplateValues(name, variables, initial = {}) {
+        // Only one form at a time; a new one cancels the last
+        if (closeTemplateForm) closeTemplateForm(null);
+        
+        return new Promise(resolve => {
+            const form = document.getElementById('template-form');
+            form.innerHTML = '';
+            
+            const title = document.createElement('div');
+            title.className = 'chat-app__template-title';
+            title.textContent = `/${name}`;
+            form.appendChild(title);
+            
+            const fields = variables.map((variable, index) => {
+                const label = document.createElement('label');
+                label.className = 'chat-app__template-field';
+                label.textContent = variable;
+                const input = document.createElement('textarea');
+                input.className = 'chat-app__template-input';
+                input.rows = index === variables.length - 1 ? 3 : 1;
+                input.value = initial[variable] || '';
+                input.dataset.variable = variable;
+                label.appendChild(input);
+                form.appendChild(label);
+                return input;
+            });
+            
+            const actions = document.createElement('div');
+            actions.className = 'chat-app__template-actions';
+            actions.innerHTML = '<span class="settings-modal__hint">Enter moves to the next field, Shift+Enter adds a line</span>' +
+                '<button type="button" class="settings-modal__button" data-template="cancel">Cancel</button>' +
+                '<button type="submit" class="settings-modal__button settings-modal__button--primary">Send</button>';
+            form.appendChild(actions);
+            form.hidden = false;
+            
+            const finish = result => {
+                closeTemplateForm = null;
+                form.hidden = true;
+                form.innerHTML = '';
+                form.onsubmit = null;
+                form.onkeydown = null;
+                resolve(result);
+            };
+            closeTemplateForm = finish;
+            
+            const submit = () => {
+                const values = {};
+                fields.forEach(input => {
+                    values[input.dataset.variable] = input.value.trim();
+                });
+                finish(values);
+                focusInput();
+            };
+            form.onsubmit = event => {
+                event.preventDefault();
+                submit();
+            };
+            form.querySelector('[data-template="cancel"]').addEventListener('click', () => {
+                finish(null);
+                focusInput();
+            });
+            form.onkeydown = event => {
+                if (event.key === 'Escape') {
+                    finish(null);
+                    focusInput();
+                } else if (event.key === 'Enter' && !event.shiftKey && event.target.dataset.variable) {
+                    event.preventDefault();
+                    const next = fields[fields.indexOf(event.target) + 1];
+                    if (next) {
+                        next.focus();
+                    } else {
+                        submit();
+                    }
+                }
+            };
+            
+            // Start at the first field that is still empty
+            (fields.find(input => !input.value) || fields[0]).focus();
+        });
+    }
+
+    /**
+     * Shows a short notice above the message input, e.g. the result of a slash command
+     * @param {string} text - The notice
+     * @param {boolean} [isError] - Whether it reports a failure
+     */
+    function showNotice(text, isError = false) {
+        const notice = document.getElementById('chat-notice');
+        notice.textContent = text;
+        notice.classList.toggle('chat-app__notice--error', isError);
+        notice.hidden = false;
+        
+        clearTimeout(noticeTimer);
+        noticeTimer = setTimeout(() => {
+            notice.hidden = true;
+        }, 4000);
+    }
+
+    /**
+     * Starts dictation into the message input, or stops it if it is running
+     * The transcript is added after the text already typed, with the interim part
+     * shown as it is heard and replaced once it is final.
+     */
+    function toggleDictation() {
+        if (dictation) {
+            dictation.stop();
+            return;
+        }
+        
+        const messageInput = document.getElementById('message-input');
+        const typed = messageInput.value.trimEnd();
+        const prefix = typed ? typed + ' ' : '';
+        
+        // The microphone would pick up a reply being read aloud
+        stopReading();
+        try {
+            dictation = Speech.startDictation({
+                onResult: (finalText, interimText) => {
+                    messageInput.value = prefix + (finalText + interimText).trimStart();
+                    messageInput.dispatchEvent(new Event('input'));
+                },
+                onError: message => showNotice(message, true),
+                onEnd: () => {
+                    dictation = null;
+                    setDictating(false);
+                }
+            });
+        } catch (err) {
+            showNotice(err.message, true);
+            return;
+        }
+        setDictating(true);
+        messageInput.focus();
+    }
+
+    /**
+     * Shows whether dictation is running on the microphone button and the message input
+     * @param {boolean} dictating - Whether dictation is running
+     */
+    function setDictating(dictating) {
+        const micButton = document.getElementById('mic-button');
+        micButton.classList.toggle('chat-app__mic-button--active', dictating);
+        micButton.setAttribute('aria-pressed', String(dictating));
+        micButton.title = dictating ? 'Stop dictation' : 'Dictate a message';
+        document.getElementById('message-input').classList.toggle('chat-app__message-input--listening', dictating);
+    }
+
+    /**
+     * Turns reading replies aloud as they arrive on or off
+     * @param {boolean} enabled - Whether new replies are read aloud
+     */
+    function setAutoSpeak(enabled) {
+        autoSpeak = enabled && Speech.isSpeechSupported();
+        if (!autoSpeak && liveReader) stopReading();
+    }
+
+    /**
+     * Starts reading a new reply aloud as it streams in, if auto-speak is on
+     * @param {Element} messageElement - The message element of the reply
+     */
+    function startLiveReading(messageElement) {
+        if (!autoSpeak) return;
+        stopReading();
+        liveReader = { element: messageElement, reader: Speech.createReader() };
+    }
+
+    /**
+     * Reads a message aloud with its Read aloud control, or stops if it is being read
+     * @param {Element} messageElement - The message element
+     */
+    function toggleReading(messageElement) {
+        const wasReading = readingElement === messageElement;
+        stopReading();
+        if (wasReading) return;
+        
+        readingElement = messageElement;
+        setReadingControl(messageElement, true);
+        Speech.speak(messageTexts.get(messageElement) || '', () => {
+            // Stopping to read another message ends this one too
+            if (readingElement === messageElement) stopReading();
+        });
+    }
+
+    /**
+     * Stops reading aloud, whether a streamed reply or a message
+     */
+    function stopReading() {
+        // Cancelling ends the last sentence, whose handler comes back here, so the state is cleared first
+        const element = readingElement;
+        readingElement = null;
+        liveReader = null;
+        if (element) setReadingControl(element, false);
+        Speech.stop();
+    }
+
+    /**
+     * Shows whether a message is being read on its Read aloud control
+     * @param {Element} messageElement - The message element
+     * @param {boolean} reading - Whether it is being read
+     */
+    function setReadingControl(messageElement, reading) {
+        const button = messageElement.querySelector('.chat-app__message-action[data-action="speak"]');
+        if (!button) return;
+        button.textContent = reading ? 'Stop reading' : 'Read aloud';
+        button.title = reading ? 'Stop reading this reply' : 'Read this reply aloud';
+    }
+
     /**
      * Adds a message to the chat window
      * @param {string} sender - The sender ('user' or 'ai')
@@ -99,10 +535,31 @@ const UIController = (function() {
         return messageElement;
     }
 
+    /**
+     * Adds an error message with a button to try again
+     * @param {string} text - The error text
+     * @param {Function} onRetry - Called when the Retry button is clicked
+     * @returns {Element} - The created message element
+     */
+    function addErrorMessage(text, onRetry) {
+        const messageElement = addMessage('ai', text);
+        messageElement.classList.add('error-message');
+        
+        const button = document.createElement('button');
+        button.className = 'chat-app__message-retry';
+        button.textContent = 'Retry';
+        button.title = 'Send the request again';
+        button.addEventListener('click', onRetry);
+        messageElement.appendChild(button);
+        
+        return messageElement;
+    }
+
     /**
      * Clears all messages from the chat window
      */
     function clearChatWindow() {
+        stopReading();
         const chatWindow = document.getElementById('chat-window');
         chatWindow.innerHTML = '';
     }
@@ -111,8 +568,9 @@ const UIController = (function() {
      * Updates the content of a message element
      * @param {Element} messageElement - The message element to update
      * @param {string} text - The new text content
+     * @param {string} [reasoning] - The model's reasoning, shown in a collapsible section above the text
      */
-    function updateMessageContent(messageElement, text) {
+    function updateMessageContent(messageElement, text, reasoning) {
         if (!messageElement) return;
         
         const contentElement = messageElement.querySelector('.chat-app__message-content');
@@ -134,21 +592,23 @@ const UIController = (function() {
         // Reset content element class
         contentElement.className = 'chat-app__message-content';
         
-        // Format code blocks and check for structured reasoning
-        if (text.includes('```')) {
-            // Render code blocks
-            contentElement.innerHTML = formatCodeBlocks(text);
-        } else {
-            // Apply regular text formatting
-            contentElement.innerHTML = formatTextWithReasoningHighlights(text);
+        // Only the answer is read aloud, never the reasoning
+        messageTexts.set(messageElement, text);
+        if (liveReader && liveReader.element === messageElement) {
+            liveReader.reader.update(text);
         }
         
-        // Add toggle button for CoT responses if they have thinking
-        if (text.includes('Thinking:') && text.includes('Answer:') && messageElement.classList.contains('ai-message')) {
+        // Render Markdown, with the reasoning in its own section
+        contentElement.innerHTML = reasoning ? formatReasoning(reasoning, text) : MarkdownRenderer.render(text);
+        addCodeBlockActions(contentElement);
+        
+        // Add toggle button for replies with reasoning, keeping a collapsed section collapsed
+        if (reasoning && messageElement.classList.contains('ai-message')) {
+            const collapsed = messageElement.classList.contains('thinking-collapsed');
             const toggleButton = document.createElement('button');
             toggleButton.className = 'toggle-thinking';
-            toggleButton.textContent = 'Hide thinking';
-            toggleButton.setAttribute('data-expanded', 'true');
+            toggleButton.textContent = collapsed ? 'Show thinking' : 'Hide thinking';
+            toggleButton.setAttribute('data-expanded', String(!collapsed));
             
             // Add button after the content
             contentElement.parentNode.insertBefore(toggleButton, contentElement.nextSibling);
@@ -156,93 +616,135 @@ const UIController = (function() {
     }
     
     /**
-     * Formats text with highlighting for reasoning sections
-     * @param {string} text - The text to format
+     * Formats a reply as a thinking section followed by the answer
+     * @param {string} reasoning - The model's reasoning
+     * @param {string} answer - The answer, empty while the model is still thinking
      * @returns {string} - HTML formatted text
      */
-    function formatTextWithReasoningHighlights(text) {
-        // Escape any HTML first
-        let escapedText = escapeHtml(text);
-        
-        // Replace newlines with <br> tags
-        let formattedText = escapedText.replace(/\n/g, '<br>');
-        
-        // Check for and highlight reasoning patterns
-        if (text.includes('Thinking:') && text.includes('Answer:')) {
-            // Split into thinking and answer sections
-            const thinkingMatch = text.match(/Thinking:(.*?)(?=Answer:|$)/s);
-            const answerMatch = text.match(/Answer:(.*?)$/s);
+    function formatReasoning(reasoning, answer) {
+        let html = `<div class="thinking-section"><strong>Thinking:</strong>${MarkdownRenderer.render(reasoning)}</div>`;
+        if (answer) {
+            html += `<div class="answer-section"><strong>Answer:</strong>${MarkdownRenderer.render(answer)}</div>`;
+        }
+        return html;
+    }
+
+    /**
+     * Adds copy, download and run buttons to the code blocks of a message
+     * @param {Element} contentElement - The rendered message content
+     */
+    function addCodeBlockActions(contentElement) {
+        contentElement.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            const language = (code.className.match(/language-(\S*)/) || [])[1] || '';
             
-            if (thinkingMatch && answerMatch) {
-                const thinkingContent = escapeHtml(thinkingMatch[1].trim());
-                const answerContent = escapeHtml(answerMatch[1].trim());
-                
-                formattedText = `<div class="thinking-section"><strong>Thinking:</strong><br>${thinkingContent.replace(/\n/g, '<br>')}</div>
-                                <div class="answer-section"><strong>Answer:</strong><br>${answerContent.replace(/\n/g, '<br>')}</div>`;
+            const block = document.createElement('div');
+            block.className = 'code-block';
+            block.dataset.language = language;
+            pre.replaceWith(block);
+            
+            const toolbar = document.createElement('div');
+            toolbar.className = 'code-block__toolbar';
+            
+            const label = document.createElement('span');
+            label.className = 'code-block__language';
+            label.textContent = language || 'text';
+            toolbar.appendChild(label);
+            
+            const actions = [['copy', 'Copy'], ['download', 'Download']];
+            if (CodeRunner.canRun(language)) {
+                actions.push(['run', 'Run']);
             }
-        }
+            actions.forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.className = 'code-block__action';
+                button.dataset.action = action;
+                button.textContent = text;
+                toolbar.appendChild(button);
+            });
+            
+            block.append(toolbar, pre);
+        });
+    }
+
+    /**
+     * Handles a click on a code block action button
+     * @param {Element} button - The clicked button
+     */
+    async function handleCodeAction(button) {
+        const block = button.closest('.code-block');
+        const language = block.dataset.language;
+        const code = block.querySelector('code').textContent;
         
-        return formattedText;
+        if (button.dataset.action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(code);
+                button.textContent = 'Copied!';
+            } catch (err) {
+                console.error('Failed to copy code:', err);
+                button.textContent = 'Copy failed';
+            }
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        } else if (button.dataset.action === 'download') {
+            downloadCode(code, language);
+        } else if (button.dataset.action === 'run') {
+            runCode(block, code, language);
+        } else if (button.dataset.action === 'close-output') {
+            closeCodeOutput(block);
+        }
     }
-    
+
     /**
-     * Safely escapes HTML
-     * @param {string} html - The string to escape
-     * @returns {string} - Escaped HTML string
+     * Saves a code block as a file named after its language
+     * @param {string} code - The code
+     * @param {string} language - The code block language
      */
-    function escapeHtml(html) {
-        const div = document.createElement('div');
-        div.textContent = html;
-        return div.innerHTML;
+    function downloadCode(code, language) {
+        const name = language.toLowerCase();
+        const extension = (Object.hasOwn(FILE_EXTENSIONS, name) && FILE_EXTENSIONS[name]) ||
+            (/^[a-z0-9]{1,5}$/.test(name) ? name : 'txt');
+        Utils.downloadFile(`snippet.${extension}`, code);
     }
-    
+
     /**
-     * Formats code blocks in message text
-     * @param {string} text - The message text
-     * @returns {string} - HTML with formatted code blocks
+     * Runs a code block in the sandbox and shows the output under it
+     * @param {Element} block - The code block
+     * @param {string} code - The code
+     * @param {string} language - The code block language
      */
-    function formatCodeBlocks(text) {
-        let formatted = '';
-        let insideCode = false;
-        let codeBlockLang = '';
-        let currentText = '';
+    function runCode(block, code, language) {
+        closeCodeOutput(block);
         
-        const lines = text.split('\n');
+        const panel = document.createElement('div');
+        panel.className = 'code-block__output';
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            
-            if (line.startsWith('```')) {
-                if (!insideCode) {
-                    // Start of code block
-                    if (currentText) {
-                        formatted += `<div>${formatTextWithReasoningHighlights(currentText)}</div>`;
-                        currentText = '';
-                    }
-                    
-                    insideCode = true;
-                    codeBlockLang = line.slice(3).trim();
-                    formatted += `<pre><code class="language-${codeBlockLang}">`;
-                } else {
-                    // End of code block
-                    insideCode = false;
-                    formatted += '</code></pre>';
-                }
-            } else if (insideCode) {
-                // Inside code block
-                formatted += escapeHtml(line) + '\n';
-            } else {
-                // Regular text
-                currentText += (currentText ? '\n' : '') + line;
-            }
-        }
+        const header = document.createElement('div');
+        header.className = 'code-block__toolbar';
+        header.innerHTML = '<span class="code-block__language">Output</span>' +
+            '<button class="code-block__action" data-action="close-output">Close</button>';
         
-        // Add any remaining text
-        if (currentText) {
-            formatted += formatTextWithReasoningHighlights(currentText);
-        }
+        const body = document.createElement('div');
+        panel.append(header, body);
+        block.appendChild(panel);
         
-        return formatted;
+        try {
+            activeRuns.set(block, CodeRunner.run(code, language, body));
+        } catch (err) {
+            body.textContent = err.message;
+        }
+    }
+
+    /**
+     * Stops a code block's run and removes its output
+     * @param {Element} block - The code block
+     */
+    function closeCodeOutput(block) {
+        if (activeRuns.has(block)) {
+            activeRuns.get(block)();
+            activeRuns.delete(block);
+        }
+        const panel = block.querySelector('.code-block__output');
+        if (panel) panel.remove();
     }
 
     /**
@@ -254,6 +756,100 @@ const UIController = (function() {
         return messageInput.value.trim();
     }
 
+    /**
+     * Reads files and adds them to the attachments of the next message
+     * Files that can't be attached are reported and skipped
+     * @param {FileList|Array<File>} files - The files
+     * @returns {Promise<void>} - Resolves once the files are read
+     */
+    async function addAttachments(files) {
+        const errors = [];
+        for (const file of Array.from(files)) {
+            try {
+                pendingAttachments.push(await Attachments.read(file));
+            } catch (err) {
+                errors.push(err.message);
+            }
+        }
+        renderAttachmentTray();
+        if (errors.length) alert(errors.join('\n'));
+    }
+
+    /**
+     * Gets the attachments of the next message
+     * @returns {Array} - The content parts
+     */
+    function getAttachments() {
+        return [...pendingAttachments];
+    }
+
+    /**
+     * Removes the attachments of the next message
+     */
+    function clearAttachments() {
+        pendingAttachments = [];
+        renderAttachmentTray();
+    }
+
+    /**
+     * Creates the thumbnail of an image attachment or the label of another file
+     * @param {Object} part - The content part
+     * @returns {Element} - The element
+     */
+    function createAttachmentElement(part) {
+        if (part.type === 'image') {
+            const image = document.createElement('img');
+            image.className = 'chat-app__attachment-thumb';
+            image.src = Attachments.toDataUrl(part);
+            image.alt = part.name;
+            image.title = part.name;
+            return image;
+        }
+        const label = document.createElement('span');
+        label.className = 'chat-app__attachment-file';
+        label.textContent = `📄 ${part.name}`;
+        label.title = part.name;
+        return label;
+    }
+
+    /**
+     * Shows the attachments waiting to be sent above the message input
+     */
+    function renderAttachmentTray() {
+        const tray = document.getElementById('attachment-tray');
+        tray.innerHTML = '';
+        tray.hidden = pendingAttachments.length === 0;
+        
+        pendingAttachments.forEach((part, index) => {
+            const item = document.createElement('span');
+            item.className = 'chat-app__attachment';
+            item.appendChild(createAttachmentElement(part));
+            
+            const remove = document.createElement('button');
+            remove.className = 'chat-app__attachment-remove';
+            remove.dataset.index = index;
+            remove.textContent = '✕';
+            remove.setAttribute('aria-label', `Remove ${part.name}`);
+            item.appendChild(remove);
+            
+            tray.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the attachments of a sent message in its bubble
+     * @param {Element} messageElement - The message element
+     * @param {Array} parts - The attachment content parts
+     */
+    function setMessageAttachments(messageElement, parts) {
+        if (!messageElement || !parts.length) return;
+        
+        const container = document.createElement('div');
+        container.className = 'chat-app__message-attachments';
+        parts.forEach(part => container.appendChild(createAttachmentElement(part)));
+        messageElement.querySelector('.chat-app__message-content').after(container);
+    }
+
     /**
      * Clears the message input field
      */
@@ -261,6 +857,450 @@ const UIController = (function() {
         const messageInput = document.getElementById('message-input');
         messageInput.value = '';
         messageInput.style.height = 'auto'; // Reset height
+        hideSuggestions();
+        
+        // Late results of a running dictation would fill the input again
+        if (dictation) dictation.abort();
+    }
+
+    /**
+     * Swaps the Send button for the Stop button while a reply is generated
+     * @param {boolean} generating - Whether a reply is being generated
+     */
+    function setGenerating(generating) {
+        document.getElementById('send-button').style.display = generating ? 'none' : '';
+        document.getElementById('stop-button').style.display = generating ? '' : 'none';
+        
+        // The last sentence of a reply read as it streams has no sentence end after it
+        if (!generating && liveReader) {
+            if (liveReader.element.isConnected) liveReader.reader.finish();
+            liveReader = null;
+        }
+    }
+
+    /**
+     * Marks an AI message as interrupted by the user
+     * @param {Element} messageElement - The message element
+     */
+    function markInterrupted(messageElement) {
+        if (!messageElement || messageElement.querySelector('.chat-app__message-note')) return;
+        
+        if (liveReader && liveReader.element === messageElement) stopReading();
+        messageElement.classList.add('interrupted-message');
+        const note = document.createElement('div');
+        note.className = 'chat-app__message-note';
+        note.textContent = 'Interrupted';
+        messageElement.appendChild(note);
+    }
+
+    /**
+     * Shows the tool calls of a reply as collapsible steps above its text
+     * @param {Element} messageElement - The message element
+     * @param {Array} steps - [{ name, arguments, result, error, pending }]
+     */
+    function setToolSteps(messageElement, steps) {
+        if (!messageElement || !steps.length) return;
+        
+        let stepsElement = messageElement.querySelector('.chat-app__message-steps');
+        if (!stepsElement) {
+            stepsElement = document.createElement('div');
+            stepsElement.className = 'chat-app__message-steps';
+            messageElement.insertBefore(stepsElement, messageElement.querySelector('.chat-app__message-content'));
+        }
+        
+        // Steps the user expanded stay expanded as more arrive
+        const open = [...stepsElement.children].map(step => step.open);
+        stepsElement.innerHTML = '';
+        
+        steps.forEach((step, index) => {
+            const details = document.createElement('details');
+            details.className = 'tool-step' + (step.error ? ' tool-step--error' : '') + (step.pending ? ' tool-step--pending' : '');
+            details.open = Boolean(open[index]);
+            
+            const summary = document.createElement('summary');
+            summary.className = 'tool-step__summary';
+            summary.textContent = `🔧 ${step.name}` + (step.pending ? ' · running…' : step.error ? ' · failed' : '');
+            details.appendChild(summary);
+            
+            const addBlock = (label, text) => {
+                const title = document.createElement('div');
+                title.className = 'tool-step__label';
+                title.textContent = label;
+                const pre = document.createElement('pre');
+                pre.className = 'tool-step__content';
+                pre.textContent = text;
+                details.append(title, pre);
+            };
+            addBlock('Arguments', step.arguments ? JSON.stringify(step.arguments, null, 2) : '(unreadable)');
+            if (!step.pending) addBlock('Result', step.result);
+            
+            stepsElement.appendChild(details);
+        });
+    }
+
+    /**
+     * Shows the plan of an agent mode reply as a checklist above its text
+     * Each step expands to show its tool call or instruction and its result
+     * @param {Element} messageElement - The message element
+     * @param {Object} trace - The agent trace { steps, replans, stopped, error }
+     */
+    function setAgentPlan(messageElement, trace) {
+        if (!messageElement || !trace) return;
+        
+        let planElement = messageElement.querySelector('.chat-app__message-plan');
+        if (!planElement) {
+            planElement = document.createElement('div');
+            planElement.className = 'chat-app__message-plan';
+            messageElement.insertBefore(planElement, messageElement.querySelector('.chat-app__message-content'));
+        }
+        
+        const open = [...planElement.querySelectorAll('.agent-step')].map(step => step.open);
+        planElement.innerHTML = '';
+        
+        const list = document.createElement('ol');
+        list.className = 'agent-plan';
+        trace.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            const details = document.createElement('details');
+            details.className = `agent-step agent-step--${step.status}`;
+            details.open = Boolean(open[index]);
+            
+            const summary = document.createElement('summary');
+            summary.className = 'agent-step__summary';
+            summary.textContent = `${AGENT_STEP_ICONS[step.status] || ''} ${step.title}`;
+            details.appendChild(summary);
+            
+            const body = document.createElement('pre');
+            body.className = 'tool-step__content';
+            body.textContent = (step.tool ?
+                `Tool: ${step.tool}\nArguments: ${JSON.stringify(step.arguments, null, 2)}` :
+                `Instruction: ${step.instruction}`) + (step.result ? `\n\nResult:\n${step.result}` : '');
+            details.appendChild(body);
+            
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+        planElement.appendChild(list);
+        
+        const notes = [];
+        if (trace.error) notes.push(trace.error);
+        if (trace.replans) notes.push(`Re-planned ${trace.replans === 1 ? 'once' : trace.replans + ' times'}`);
+        if (trace.stopped) notes.push(`Stopped: ${trace.stopped}`);
+        if (notes.length) {
+            const note = document.createElement('div');
+            note.className = 'agent-plan__note';
+            note.textContent = notes.join(' · ');
+            planElement.appendChild(note);
+        }
+    }
+
+    /**
+     * Shows notices about how a reply was obtained above its text, e.g. a retry
+     * countdown or a fallback to another model
+     * @param {Element} messageElement - The message element
+     * @param {Array<string>} notices - The notices; none removes them
+     */
+    function setMessageNotices(messageElement, notices) {
+        if (!messageElement) return;
+        
+        let noticesElement = messageElement.querySelector('.chat-app__message-notices');
+        if (!notices.length) {
+            noticesElement?.remove();
+            return;
+        }
+        if (!noticesElement) {
+            noticesElement = document.createElement('div');
+            noticesElement.className = 'chat-app__message-notices';
+            messageElement.insertBefore(noticesElement, messageElement.firstChild);
+        }
+        
+        noticesElement.innerHTML = '';
+        notices.forEach(notice => {
+            const item = document.createElement('div');
+            item.className = 'chat-app__message-notice';
+            item.textContent = `⚠ ${notice}`;
+            noticesElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the knowledge base passages a reply was given under its text, and turns
+     * the [n] citations in the text into links to them
+     * @param {Element} messageElement - The message element
+     * @param {Array} sources - The passages [{ documentName, index, text }], numbered from 1
+     */
+    function setMessageSources(messageElement, sources) {
+        if (!messageElement || !sources || !sources.length) return;
+        
+        const contentElement = messageElement.querySelector('.chat-app__message-content');
+        const cited = linkCitations(contentElement, sources.length);
+        
+        let sourcesElement = messageElement.querySelector('.chat-app__message-sources');
+        if (!sourcesElement) {
+            sourcesElement = document.createElement('div');
+            sourcesElement.className = 'chat-app__message-sources';
+            contentElement.parentNode.insertBefore(sourcesElement, contentElement.nextSibling);
+        }
+        sourcesElement.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.className = 'tool-step__label';
+        title.textContent = 'Sources';
+        sourcesElement.appendChild(title);
+        
+        sources.forEach((source, index) => {
+            const details = document.createElement('details');
+            details.className = 'kb-source' + (cited.has(index + 1) ? ' kb-source--cited' : '');
+            details.dataset.source = index + 1;
+            
+            const summary = document.createElement('summary');
+            summary.className = 'kb-source__summary';
+            summary.textContent = `[${index + 1}] ${source.documentName} · passage ${source.index + 1}`;
+            
+            const body = document.createElement('pre');
+            body.className = 'tool-step__content';
+            body.textContent = source.text;
+            
+            details.append(summary, body);
+            sourcesElement.appendChild(details);
+        });
+    }
+    
+    /**
+     * Turns [n] citations in rendered text into links, leaving code untouched
+     * @param {Element} contentElement - The rendered message content
+     * @param {number} count - The number of sources; other numbers aren't citations
+     * @returns {Set<number>} - The cited source numbers
+     */
+    function linkCitations(contentElement, count) {
+        const cited = new Set();
+        const walker = document.createTreeWalker(contentElement, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentElement.closest('pre, code, .thinking-section')) {
+                nodes.push(walker.currentNode);
+            }
+        }
+        
+        nodes.forEach(node => {
+            const parts = node.textContent.split(/(\[\d+\])/);
+            if (parts.length === 1) return;
+            
+            const fragment = document.createDocumentFragment();
+            parts.forEach(part => {
+                const number = Number((part.match(/^\[(\d+)\]$/) || [])[1]);
+                if (number >= 1 && number <= count) {
+                    const link = document.createElement('a');
+                    link.href = '#';
+                    link.className = 'citation';
+                    link.dataset.source = number;
+                    link.textContent = part;
+                    fragment.appendChild(link);
+                    cited.add(number);
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        });
+        return cited;
+    }
+    
+    /**
+     * Opens and scrolls to the source a citation links to
+     * @param {Element} citation - The citation link
+     */
+    function showSource(citation) {
+        const messageElement = citation.closest('.chat-app__message');
+        const source = messageElement &&
+            messageElement.querySelector(`.kb-source[data-source="${citation.dataset.source}"]`);
+        if (!source) return;
+        
+        source.open = true;
+        source.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Marks the messages that the next request leaves out of the context or replaces with a summary
+     * @param {Array<string>} ids - The node ids of the shown messages, oldest first
+     * @param {Array<string>} states - The state of each, see ContextManager.plan
+     */
+    function setContextStates(ids, states) {
+        const chatWindow = document.getElementById('chat-window');
+        if (!chatWindow) return;
+        
+        const statesById = {};
+        ids.forEach((id, index) => {
+            statesById[id] = states[index];
+        });
+        
+        chatWindow.querySelectorAll('.chat-app__message[data-id]').forEach(messageElement => {
+            const state = statesById[messageElement.dataset.id];
+            if (state === 'dropped' || state === 'summarized') {
+                messageElement.dataset.context = state;
+                messageElement.title = CONTEXT_STATE_TITLES[state];
+            } else {
+                delete messageElement.dataset.context;
+                messageElement.removeAttribute('title');
+            }
+        });
+    }
+
+    /**
+     * Shows how much of the context budget the next request uses
+     * @param {Object} plan - { used, budget, states }, see ContextManager.plan
+     */
+    function updateContextMeter(plan) {
+        const meter = document.getElementById('context-meter');
+        if (!meter) return;
+        
+        const percent = Math.min(100, Math.round(plan.used / plan.budget * 100));
+        const dropped = plan.states.filter(state => state === 'dropped').length;
+        const summarized = plan.states.filter(state => state === 'summarized').length;
+        
+        let text = `Context: ~${formatTokenCount(plan.used)} of ${formatTokenCount(plan.budget)} tokens (${percent}%)`;
+        if (summarized) text += ` · ${summarized} summarized`;
+        if (dropped) text += ` · ${dropped} left out`;
+        
+        meter.querySelector('.chat-app__context-text').textContent = text;
+        meter.querySelector('.chat-app__context-fill').style.width = `${percent}%`;
+        meter.classList.toggle('chat-app__context-meter--full', percent >= 90);
+    }
+    
+    /**
+     * Formats a token count, in thousands above 1000
+     * @param {number} count - The token count
+     * @returns {string} - e.g. "950" or "12.3k"
+     */
+    function formatTokenCount(count) {
+        return count >= 1000 ? `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(count);
+    }
+
+    /**
+     * Shows the token usage of a reply under its message
+     * @param {Element} messageElement - The message element
+     * @param {Object|null} usage - The token usage, if the provider reported it
+     */
+    function setMessageUsage(messageElement, usage) {
+        if (!messageElement || !usage) return;
+        
+        let usageElement = messageElement.querySelector('.chat-app__message-usage');
+        if (!usageElement) {
+            usageElement = document.createElement('div');
+            usageElement.className = 'chat-app__message-usage';
+            messageElement.appendChild(usageElement);
+        }
+        usageElement.textContent = Utils.formatUsage(usage);
+    }
+
+    /**
+     * Shows the edit or regenerate control of a message and, if it has
+     * alternative versions, arrows to switch between them
+     * @param {Element} messageElement - The message element
+     * @param {Object} controls - { id, role, siblingIndex, siblingCount }
+     */
+    function setMessageControls(messageElement, controls) {
+        messageElement.dataset.id = controls.id;
+        messageElement.querySelector('.chat-app__message-actions')?.remove();
+        
+        const actions = document.createElement('div');
+        actions.className = 'chat-app__message-actions';
+        
+        const addButton = (action, text, title, disabled) => {
+            const button = document.createElement('button');
+            button.className = 'chat-app__message-action';
+            button.dataset.action = action;
+            button.textContent = text;
+            button.title = title;
+            button.disabled = Boolean(disabled);
+            actions.appendChild(button);
+        };
+        
+        if (controls.siblingCount > 1) {
+            addButton('previous', '‹', 'Previous version', controls.siblingIndex === 0);
+            const position = document.createElement('span');
+            position.className = 'chat-app__message-branch';
+            position.textContent = `${controls.siblingIndex + 1}/${controls.siblingCount}`;
+            actions.appendChild(position);
+            addButton('next', '›', 'Next version', controls.siblingIndex === controls.siblingCount - 1);
+        }
+        
+        if (controls.role === 'user') {
+            addButton('edit', 'Edit', 'Edit and resend this message');
+        } else {
+            addButton('regenerate', 'Regenerate', 'Generate another reply');
+            if (Speech.isSpeechSupported()) addButton('speak', 'Read aloud', 'Read this reply aloud');
+        }
+        
+        messageElement.appendChild(actions);
+        setReadingControl(messageElement, readingElement === messageElement);
+    }
+
+    /**
+     * Finds the element of a message in the chat window
+     * @param {string} id - The node id of the message
+     * @returns {Element|null} - The message element, or null if it isn't shown
+     */
+    function getMessageElement(id) {
+        return [...document.querySelectorAll('#chat-window .chat-app__message')]
+            .find(element => element.dataset.id === id) || null;
+    }
+
+    /**
+     * Replaces a message's content with an editor until the user saves or cancels
+     * @param {Element} messageElement - The message element
+     * @param {string} text - The current message text
+     * @returns {Promise<string|null>} - The edited text, or null if cancelled
+     */
+    function editMessageText(messageElement, text) {
+        return new Promise(resolve => {
+            const contentElement = messageElement.querySelector('.chat-app__message-content');
+            const actions = messageElement.querySelector('.chat-app__message-actions');
+            
+            const editor = document.createElement('div');
+            editor.className = 'chat-app__message-editor';
+            editor.innerHTML = '<textarea class="chat-app__message-editor-input"></textarea>' +
+                '<div class="chat-app__message-editor-actions">' +
+                '<button class="settings-modal__button" data-editor="cancel">Cancel</button>' +
+                '<button class="settings-modal__button settings-modal__button--primary" data-editor="save">Save & Submit</button>' +
+                '</div>';
+            
+            const input = editor.querySelector('textarea');
+            input.value = text;
+            
+            contentElement.style.display = 'none';
+            if (actions) actions.style.display = 'none';
+            contentElement.after(editor);
+            input.focus();
+            
+            const finish = result => {
+                editor.remove();
+                contentElement.style.display = '';
+                if (actions) actions.style.display = '';
+                resolve(result);
+            };
+            
+            editor.addEventListener('click', function(event) {
+                const action = event.target.dataset.editor;
+                if (action === 'save') finish(input.value.trim() || null);
+                if (action === 'cancel') finish(null);
+            });
+            input.addEventListener('keydown', function(event) {
+                if (event.key === 'Enter' && !event.shiftKey) {
+                    event.preventDefault();
+                    finish(input.value.trim() || null);
+                } else if (event.key === 'Escape') {
+                    finish(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Moves the keyboard focus to the message input
+     */
+    function focusInput() {
+        document.getElementById('message-input').focus();
     }
 
     /**
@@ -277,19 +1317,108 @@ const UIController = (function() {
         
         chatWindow.appendChild(messageElement);
         messageElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        startLiveReading(messageElement);
         
         return messageElement;
     }
 
+    /**
+     * Creates side-by-side columns of empty AI messages, one for each compared model
+     * @param {Array<string>} labels - The model names, one per column
+     * @returns {Array<Element>} - The message elements, in column order
+     */
+    function createComparison(labels) {
+        const chatWindow = document.getElementById('chat-window');
+        const comparison = document.createElement('div');
+        comparison.className = 'chat-app__comparison';
+        
+        const elements = labels.map(label => {
+            const column = document.createElement('div');
+            column.className = 'comparison-column';
+            
+            const header = document.createElement('div');
+            header.className = 'comparison-column__header';
+            const name = document.createElement('span');
+            name.className = 'comparison-column__model';
+            name.textContent = label;
+            const latency = document.createElement('span');
+            latency.className = 'comparison-column__latency';
+            header.append(name, latency);
+            
+            const messageElement = Utils.createFromTemplate('message-template');
+            messageElement.classList.add('ai-message');
+            messageElement.querySelector('.chat-app__message-content').innerHTML =
+                '<span class="thinking-indicator">Thinking...</span>';
+            
+            column.append(header, messageElement);
+            comparison.appendChild(column);
+            return messageElement;
+        });
+        
+        chatWindow.appendChild(comparison);
+        comparison.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        // Replies streaming side by side can't be read at once, so only the first column is
+        startLiveReading(elements[0]);
+        return elements;
+    }
+
+    /**
+     * Shows how long a compared reply took in its column header
+     * @param {Element} messageElement - The message element of the column
+     * @param {number} duration - The time from sending to the last token, in milliseconds
+     */
+    function setComparisonLatency(messageElement, duration) {
+        const latency = messageElement.closest('.comparison-column')?.querySelector('.comparison-column__latency');
+        if (latency) latency.textContent = `${(duration / 1000).toFixed(1)} s`;
+    }
+
+    /**
+     * Adds the button that continues the conversation with a compared reply
+     * @param {Element} messageElement - The message element of the column
+     * @param {Function} onChoose - Called when the button is clicked
+     */
+    function addComparisonChoice(messageElement, onChoose) {
+        const button = document.createElement('button');
+        button.className = 'comparison-column__choose';
+        button.textContent = 'Continue with this reply';
+        button.addEventListener('click', onChoose);
+        messageElement.closest('.comparison-column').appendChild(button);
+    }
+
     // Public API
     return {
         init,
         setupEventHandlers,
+        setupAutocomplete,
+        promptTemplateValues,
+        showNotice,
+        toggleDictation,
+        setAutoSpeak,
         addMessage,
+        addErrorMessage,
         clearChatWindow,
         updateMessageContent,
         getUserInput,
         clearUserInput,
-        createEmptyAIMessage
+        getAttachments,
+        clearAttachments,
+        setMessageAttachments,
+        focusInput,
+        setGenerating,
+        markInterrupted,
+        setToolSteps,
+        setAgentPlan,
+        setMessageNotices,
+        setMessageSources,
+        setContextStates,
+        updateContextMeter,
+        setMessageUsage,
+        setMessageControls,
+        getMessageElement,
+        editMessageText,
+        createEmptyAIMessage,
+        createComparison,
+        setComparisonLatency,
+        addComparisonChoice
     };
 })(); 
\ No newline at end of file
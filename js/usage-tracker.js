@@ -0,0 +1,192 @@
+/**
+ * Usage Tracker Module - Prices token usage and enforces spending budgets
+ * Every reply is recorded in localStorage so spending can be reviewed over time
+ */
+const UsageTracker = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'chat_usage_history';
+    const MAX_ENTRIES = 5000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Assumed reply length when estimating the cost of a request before sending it
+    const ESTIMATED_COMPLETION_TOKENS = 500;
+
+    // Private state
+    let sessionCost = 0;
+
+    /**
+     * Calculates the cost of a reply from the model's pricing
+     * @param {string} model - The model id
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @returns {number} - The cost in USD
+     */
+    function calculateCost(model, usage) {
+        const pricing = ApiService.getModel(model)?.pricing;
+        if (!pricing || !usage) return 0;
+
+        return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1000000;
+    }
+
+    /**
+     * Loads the stored usage history
+     * @returns {Array} - The usage entries, oldest first
+     */
+    function loadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (err) {
+            console.error('Error parsing usage history:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Records the usage of a reply
+     * @param {string} model - The model id
+     * @param {Object} usage - { promptTokens, completionTokens, totalTokens }
+     * @param {string} conversationId - The conversation the reply belongs to
+     * @returns {number} - The cost of the reply in USD
+     */
+    function record(model, usage, conversationId) {
+        const cost = calculateCost(model, usage);
+        sessionCost += cost;
+
+        const history = loadHistory();
+        history.push({
+            timestamp: Date.now(),
+            model,
+            conversationId,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            totalTokens: usage.totalTokens,
+            cost
+        });
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history.slice(-MAX_ENTRIES)));
+        } catch (err) {
+            console.error('Error saving usage history:', err);
+        }
+
+        return cost;
+    }
+
+    /**
+     * Gets the start of the local day containing a timestamp
+     * @param {number} timestamp - The timestamp
+     * @returns {number} - The timestamp of local midnight
+     */
+    function startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Gets the spending of today
+     * @returns {number} - The cost in USD
+     */
+    function getDailyCost() {
+        const today = startOfDay(Date.now());
+        return loadHistory()
+            .filter(entry => entry.timestamp >= today)
+            .reduce((sum, entry) => sum + entry.cost, 0);
+    }
+
+    /**
+     * Gets the spending of a conversation
+     * @param {string} conversationId - The conversation id
+     * @returns {number} - The cost in USD
+     */
+    function getConversationCost(conversationId) {
+        if (!conversationId) return 0;
+        return loadHistory()
+            .filter(entry => entry.conversationId === conversationId)
+            .reduce((sum, entry) => sum + entry.cost, 0);
+    }
+
+    /**
+     * Gets the spending since the page was loaded
+     * @returns {number} - The cost in USD
+     */
+    function getSessionCost() {
+        return sessionCost;
+    }
+
+    /**
+     * Summarizes spending per day
+     * @param {number} days - How many days to include, ending today
+     * @returns {Array} - [{ date, requests, totalTokens, cost }], newest first
+     */
+    function getDailySummary(days) {
+        const today = startOfDay(Date.now());
+        const summary = [];
+
+        for (let i = 0; i < days; i++) {
+            // Step back from noon so daylight saving shifts stay within the day
+            const dayStart = startOfDay(today + DAY_MS / 2 - i * DAY_MS);
+            summary.push({ date: new Date(dayStart), dayStart, requests: 0, totalTokens: 0, cost: 0 });
+        }
+
+        loadHistory().forEach(entry => {
+            const day = summary.find(item => item.dayStart === startOfDay(entry.timestamp));
+            if (!day) return;
+
+            day.requests += 1;
+            day.totalTokens += entry.totalTokens;
+            day.cost += entry.cost;
+        });
+
+        return summary;
+    }
+
+    /**
+     * Checks whether a request would exceed the daily or conversation budget
+     * A message sent to several models at once (compare mode) is checked by its total cost.
+     * @param {string|Array<string>} models - The model id, or the ids of every model it is sent to
+     * @param {Array} chatHistory - The messages that will be sent
+     * @param {string|null} conversationId - The conversation id
+     * @param {Object} budgets - { daily, conversation } in USD, 0 meaning no limit
+     * @returns {Object} - { exceeded, message }
+     */
+    function checkBudget(models, chatHistory, conversationId, budgets) {
+        const promptTokens = chatHistory.reduce(
+            (sum, message) => sum + Utils.estimateTokens(message.content), 0
+        );
+        const modelList = Array.isArray(models) ? models : [models];
+        const estimate = modelList.reduce((sum, model) => sum + calculateCost(model, {
+            promptTokens,
+            completionTokens: ESTIMATED_COMPLETION_TOKENS
+        }), 0);
+        const request = modelList.length > 1 ? `This request to ${modelList.length} models` : 'This request';
+
+        const limits = [
+            { name: 'daily', budget: budgets?.daily, spent: getDailyCost() },
+            { name: 'conversation', budget: budgets?.conversation, spent: getConversationCost(conversationId) }
+        ];
+
+        for (const limit of limits) {
+            if (limit.budget > 0 && limit.spent + estimate > limit.budget) {
+                return {
+                    exceeded: true,
+                    message: `${request} (about ${Utils.formatCost(estimate)}) would exceed the ${limit.name} budget ` +
+                        `of ${Utils.formatCost(limit.budget)} (${Utils.formatCost(limit.spent)} spent).`
+                };
+            }
+        }
+
+        return { exceeded: false, message: '' };
+    }
+
+    // Public API
+    return {
+        calculateCost,
+        record,
+        getDailyCost,
+        getConversationCost,
+        getSessionCost,
+        getDailySummary,
+        checkBudget
+    };
+})();
\ No newline at end of file
@@ -7,43 +7,94 @@ const Utils = (function() {
     const encoder = new TextEncoder();
     const decoder = new TextDecoder();
 
+    // Key derivation settings for encrypted secrets
+    const PBKDF2_ITERATIONS = 600000;
+    const SECRET_FORMAT = 'v1';
+
     /**
-     * Decrypts text using XOR cipher
-     * @param {string} ciphertext - The encrypted text
-     * @param {string} key - The decryption key
-     * @returns {string} - Decrypted text
-     */
-    function decrypt(ciphertext, key) {
-        let decoded = "";
-        for (let i = 0; i < ciphertext.length; i += 3) {
-            let numStr = ciphertext.slice(i, i + 3);
-            let encryptedChar = parseInt(numStr);
-            let keyChar = key.charCodeAt((i / 3) % key.length);
-            let decryptedChar = encryptedChar ^ keyChar;
-            decoded += String.fromCharCode(decryptedChar);
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - The bytes to encode
+     * @returns {string} - Base64 text
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
         }
-        return decoder.decode(new Uint8Array(encoder.encode(decoded)));
+        return btoa(binary);
     }
 
     /**
-     * Encrypts text using XOR cipher (for cookie storage)
-     * @param {string} text - The text to encrypt
-     * @param {string} key - The encryption key
-     * @returns {string} - Encrypted text
+     * Decodes base64 into bytes
+     * @param {string} base64 - Base64 text
+     * @returns {Uint8Array} - The decoded bytes
      */
-    function encrypt(text, key) {
-        let encoded = "";
-        const textBytes = encoder.encode(text);
-        
-        for (let i = 0; i < textBytes.length; i++) {
-            const charCode = textBytes[i];
-            const keyChar = key.charCodeAt(i % key.length);
-            const encryptedChar = charCode ^ keyChar;
-            // Pad to ensure 3 digits for each character
-            encoded += encryptedChar.toString().padStart(3, '0');
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Derives an AES-GCM key from a password with PBKDF2
+     * @param {string} password - The password
+     * @param {Uint8Array} salt - The salt
+     * @returns {Promise<CryptoKey>} - The derived key
+     */
+    async function deriveKey(password, salt) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypts a secret with a password (PBKDF2 + AES-GCM)
+     * The format matches scripts/encrypt-keys.js
+     * @param {string} plaintext - The secret
+     * @param {string} password - The password
+     * @returns {Promise<string>} - The blob "v1.<salt>.<iv>.<ciphertext>"
+     */
+    async function encryptSecret(plaintext, password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await deriveKey(password, salt);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(plaintext));
+
+        return [SECRET_FORMAT, bytesToBase64(salt), bytesToBase64(iv), bytesToBase64(new Uint8Array(data))].join('.');
+    }
+
+    /**
+     * Decrypts a secret encrypted with encryptSecret
+     * Throws if the password is wrong, since AES-GCM authenticates the ciphertext
+     * @param {string} blob - The encrypted blob
+     * @param {string} password - The password
+     * @returns {Promise<string>} - The secret
+     */
+    async function decryptSecret(blob, password) {
+        const [format, salt, iv, data] = blob.split('.');
+        if (format !== SECRET_FORMAT || !data) {
+            throw new Error('Unsupported secret format');
+        }
+
+        const key = await deriveKey(password, base64ToBytes(salt));
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data)
+            );
+            return decoder.decode(plain);
+        } catch (err) {
+            throw new Error('Invalid password');
         }
-        
-        return encoded;
     }
 
     /**
@@ -65,6 +116,20 @@ const Utils = (function() {
         }
     }
 
+    /**
+     * Escapes text for use in HTML content and attribute values
+     * @param {string} text - The text to escape
+     * @returns {string} - The escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Creates an element from a template
      * @param {string} templateId - The ID of the template element
@@ -79,15 +144,109 @@ const Utils = (function() {
         return template.content.cloneNode(true).firstElementChild;
     }
 
+    /**
+     * Saves text as a file through the browser's download
+     * @param {string} fileName - The file name
+     * @param {string} content - The file contents
+     * @param {string} [mimeType] - The MIME type
+     */
+    function downloadFile(fileName, content, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Generates a unique id
+     * @returns {string} - The id
+     */
+    function generateId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    /**
+     * Gets the text of message content, which is either a string or an array of content
+     * parts ({ type: 'text', text } and attachments, see Attachments.read)
+     * @param {string|Array} content - The message content
+     * @returns {string} - The text parts joined by blank lines, without the attachments
+     */
+    function getTextContent(content) {
+        if (!Array.isArray(content)) return content || '';
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n\n');
+    }
+
+    /**
+     * Gets the attachments of message content
+     * @param {string|Array} content - The message content
+     * @returns {Array} - The parts other than text, empty for plain text content
+     */
+    function getAttachments(content) {
+        return Array.isArray(content) ? content.filter(part => part.type !== 'text') : [];
+    }
+
+    // Rough token count of an image or PDF attachment
+    const ATTACHMENT_TOKENS = 1000;
+
+    /**
+     * Estimates the number of tokens in a text (about four characters per token)
+     * Images and PDFs count as a fixed amount each
+     * @param {string|Array} text - The text, or message content parts
+     * @returns {number} - The estimated token count
+     */
+    function estimateTokens(text) {
+        if (Array.isArray(text)) {
+            return text.reduce((sum, part) =>
+                sum + (part.type === 'text' || part.type === 'file' ? estimateTokens(part.text) : ATTACHMENT_TOKENS), 0);
+        }
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * Formats a cost in US dollars
+     * @param {number} cost - The cost
+     * @returns {string} - The formatted cost
+     */
+    function formatCost(cost) {
+        return '$' + (cost >= 1 ? cost.toFixed(2) : cost.toFixed(4));
+    }
+
+    /**
+     * Formats a token usage record as "prompt · completion · total · cost"
+     * @param {Object} usage - { promptTokens, completionTokens, totalTokens, cost }
+     * @returns {string} - The formatted usage
+     */
+    function formatUsage(usage) {
+        let text = `${usage.promptTokens} prompt · ${usage.completionTokens} completion · ${usage.totalTokens} total`;
+        if (typeof usage.cost === 'number') {
+            text += ` · ${formatCost(usage.cost)}`;
+        }
+        return text;
+    }
+
     /**
      * Updates the token usage display
-     * @param {number} totalTokens - The total tokens used
+     * @param {Object} conversationUsage - The token usage of the conversation
+     * @param {Object|null} lastUsage - The token usage of the latest reply
+     * @param {number} [sessionCost] - The spending since the page was loaded
      */
-    function updateTokenDisplay(totalTokens) {
+    function updateTokenDisplay(conversationUsage, lastUsage, sessionCost) {
         const tokenDisplay = document.getElementById('token-usage');
-        if (tokenDisplay) {
-            tokenDisplay.textContent = `Total tokens used: ${totalTokens}`;
+        if (!tokenDisplay) return;
+        
+        let text = `Conversation: ${formatUsage(conversationUsage)}`;
+        if (lastUsage) {
+            text += ` | Last reply: ${formatUsage(lastUsage)}`;
         }
+        if (typeof sessionCost === 'number') {
+            text += ` | Session: ${formatCost(sessionCost)}`;
+        }
+        tokenDisplay.textContent = text;
     }
 
     /**
@@ -134,82 +293,86 @@ const Utils = (function() {
         document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
     }
 
-    /**
-     * Saves the password to a cookie (securely)
-     * @param {string} password - The password to save
-     */
-    function savePasswordToCookie(password) {
-        // Create a simple encryption for the password
-        // Using a fixed salt + current domain as encryption key
-        const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-        const encryptedPassword = encrypt(password, encryptionKey);
-        setCookie('chat_pwd', encryptedPassword);
-    }
+    // Settings kept in localStorage rather than the cookie, which is sent with every
+    // request: the custom endpoint, since it holds an API key, and the settings kept by
+    // model or action, which grow past the 4 KB a browser keeps of a cookie
+    const SETTINGS_COOKIE = 'chat_settings';
+    const LOCAL_SETTINGS_KEY = 'chat_settings_local';
+    const LOCAL_SETTINGS = ['customEndpoint', 'modelParams', 'contextBudgets', 'shortcuts'];
 
     /**
-     * Gets the saved password from cookie
-     * @returns {string|null} - The decrypted password or null if not found
+     * Saves settings, the small ones in a cookie and the rest in localStorage
+     * @param {Object} settings - The settings object to save
      */
-    function getPasswordFromCookie() {
-        const encryptedPassword = getCookie('chat_pwd');
-        if (!encryptedPassword) return null;
+    function saveSettings(settings) {
+        const cookieSettings = { ...settings };
+        const localSettings = {};
+        LOCAL_SETTINGS.forEach(key => {
+            if (key in cookieSettings) {
+                localSettings[key] = cookieSettings[key];
+                delete cookieSettings[key];
+            }
+        });
         
+        setCookie(SETTINGS_COOKIE, JSON.stringify(cookieSettings));
         try {
-            const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-            return decrypt(encryptedPassword, encryptionKey);
+            localStorage.setItem(LOCAL_SETTINGS_KEY, JSON.stringify(localSettings));
         } catch (err) {
-            console.error('Error decrypting password from cookie:', err);
-            deleteCookie('chat_pwd');
-            return null;
+            console.error('Error saving settings to localStorage:', err);
         }
     }
 
     /**
-     * Clears the saved password from cookie
-     */
-    function clearSavedPassword() {
-        deleteCookie('chat_pwd');
-    }
-
-    /**
-     * Saves settings to a cookie
-     * @param {Object} settings - The settings object to save
-     */
-    function saveSettingsToCookie(settings) {
-        setCookie('chat_settings', JSON.stringify(settings));
-    }
-
-    /**
-     * Gets saved settings from cookie
+     * Gets the saved settings
+     * Settings saved in the cookie by older versions are moved to localStorage.
      * @returns {Object|null} - The settings object or null if not found
      */
-    function getSettingsFromCookie() {
-        const settingsStr = getCookie('chat_settings');
-        if (!settingsStr) return null;
+    function loadSettings() {
+        let cookieSettings = null;
+        const settingsStr = getCookie(SETTINGS_COOKIE);
+        if (settingsStr) {
+            try {
+                cookieSettings = JSON.parse(settingsStr);
+            } catch (err) {
+                console.error('Error parsing settings from cookie:', err);
+                deleteCookie(SETTINGS_COOKIE);
+            }
+        }
         
+        let localSettings = null;
         try {
-            return JSON.parse(settingsStr);
+            localSettings = JSON.parse(localStorage.getItem(LOCAL_SETTINGS_KEY));
         } catch (err) {
-            console.error('Error parsing settings from cookie:', err);
-            deleteCookie('chat_settings');
-            return null;
+            console.error('Error parsing settings from localStorage:', err);
+        }
+        if (!cookieSettings && !localSettings) return null;
+        
+        const settings = { ...cookieSettings, ...localSettings };
+        if (cookieSettings && LOCAL_SETTINGS.some(key => key in cookieSettings)) {
+            saveSettings(settings);
         }
+        return settings;
     }
 
     // Public API
     return {
-        decrypt,
-        encrypt,
+        encryptSecret,
+        decryptSecret,
         parseSSELine,
+        escapeHtml,
         createFromTemplate,
+        downloadFile,
+        generateId,
+        getTextContent,
+        getAttachments,
+        estimateTokens,
+        formatCost,
+        formatUsage,
         updateTokenDisplay,
         setCookie,
         getCookie,
         deleteCookie,
-        savePasswordToCookie,
-        getPasswordFromCookie,
-        clearSavedPassword,
-        saveSettingsToCookie,
-        getSettingsFromCookie
+        saveSettings,
+        loadSettings
     };
 })(); 
\ No newline at end of file
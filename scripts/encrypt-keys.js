@@ -0,0 +1,59 @@
+/**
+ * Encrypts the provider API keys for js/api-service.js
+ * Produces the same "v1.<salt>.<iv>.<ciphertext>" format as Utils.encryptSecret
+ *
+ * Usage:
+ *   OPENAI_API_KEY=sk-... GEMINI_API_KEY=... node scripts/encrypt-keys.js <password>
+ *
+ * Paste the printed blob into `encryptedKeyBundle` in js/api-service.js.
+ */
+
+const { webcrypto } = require('crypto');
+
+const PBKDF2_ITERATIONS = 600000;
+const SECRET_FORMAT = 'v1';
+
+/**
+ * Encrypts a secret with a password (PBKDF2 + AES-GCM)
+ * @param {string} plaintext - The secret
+ * @param {string} password - The password
+ * @returns {Promise<string>} - The encrypted blob
+ */
+async function encryptSecret(plaintext, password) {
+  const encoder = new TextEncoder();
+  const salt = webcrypto.getRandomValues(new Uint8Array(16));
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+
+  const baseKey = await webcrypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  const key = await webcrypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  const data = await webcrypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(plaintext));
+
+  const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+  return [SECRET_FORMAT, toBase64(salt), toBase64(iv), toBase64(new Uint8Array(data))].join('.');
+}
+
+async function main() {
+  const password = process.argv[2];
+  const keys = {
+    openai: process.env.OPENAI_API_KEY || '',
+    gemini: process.env.GEMINI_API_KEY || ''
+  };
+
+  if (!password || (!keys.openai && !keys.gemini)) {
+    console.error('Usage: OPENAI_API_KEY=... GEMINI_API_KEY=... node scripts/encrypt-keys.js <password>');
+    process.exit(1);
+  }
+
+  console.log(await encryptSecret(JSON.stringify(keys), password));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,12 +1,292 @@
 /**
  * Simple Express server for the AI Chat Agent
- * Serves the web app on localhost:3005
+ * Serves the web app on localhost:3005 and proxies AI API requests
+ * so provider keys stay on the server
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const path = require('path');
 const app = express();
-const PORT = 3005;
+const PORT = process.env.PORT || 3005;
+
+// Proxy login: when APP_PASSWORD is set, /api/chat requires a session
+const APP_PASSWORD = process.env.APP_PASSWORD || '';
+
+// Without a password anyone who reaches the proxy can spend the provider keys,
+// so the server only listens on this machine until one is set
+const HOST = APP_PASSWORD ? undefined : '127.0.0.1'; // undefined listens on every interface
+const SESSION_COOKIE = 'chat_session';
+const SESSION_HOURS = 12;
+const REMEMBER_DAYS = 30;
+const sessions = new Map(); // token -> expiry timestamp
+
+// Failed logins allowed per IP address before it must wait
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_WINDOW_MINUTES = 15;
+const loginFailures = new Map(); // ip -> { count, resetAt }
+
+// How often expired sessions and login counts are dropped
+const PRUNE_INTERVAL_MINUTES = 10;
+
+// Provider endpoints for the API proxy, keys come from the environment
+const PROVIDERS = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    keyName: 'OPENAI_API_KEY',
+    getUrl: () => 'https://api.openai.com/v1/chat/completions',
+    getHeaders: (key) => ({ 'Authorization': 'Bearer ' + key })
+  },
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    keyName: 'GEMINI_API_KEY',
+    getUrl: (model, stream) => {
+      const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      return `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}`;
+    },
+    getHeaders: (key) => ({ 'x-goog-api-key': key })
+  }
+};
+
+app.use(express.json({ limit: '20mb' }));
+
+/**
+ * Reads the session token from the request cookies
+ * @param {Object} req - The request
+ * @returns {string|null} - The token or null if there is none
+ */
+function getSessionToken(req) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Checks whether the request carries a live session
+ * @param {Object} req - The request
+ * @returns {boolean} - Whether the session is valid
+ */
+function hasValidSession(req) {
+  const token = getSessionToken(req);
+  const expiresAt = token && sessions.get(token);
+  if (!expiresAt) return false;
+
+  if (Date.now() > expiresAt) {
+    sessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Compares two passwords in constant time
+ * @param {string} given - The password from the request
+ * @param {string} expected - The configured password
+ * @returns {boolean} - Whether they match
+ */
+function passwordMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Gets the seconds an IP address must wait before trying another password
+ * @param {string} ip - The client address
+ * @returns {number} - The wait in seconds, 0 if it may try now
+ */
+function getLoginWait(ip) {
+  const failures = loginFailures.get(ip);
+  if (!failures || Date.now() > failures.resetAt) return 0;
+  return failures.count >= MAX_LOGIN_FAILURES ? Math.ceil((failures.resetAt - Date.now()) / 1000) : 0;
+}
+
+/**
+ * Counts a failed login from an IP address
+ * @param {string} ip - The client address
+ */
+function recordLoginFailure(ip) {
+  const failures = loginFailures.get(ip);
+  if (!failures || Date.now() > failures.resetAt) {
+    loginFailures.set(ip, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_MINUTES * 60 * 1000 });
+  } else {
+    failures.count++;
+  }
+}
+
+/**
+ * Drops expired sessions and login counts, which are otherwise only checked when used
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, expiresAt] of sessions) {
+    if (now > expiresAt) sessions.delete(token);
+  }
+  for (const [ip, failures] of loginFailures) {
+    if (now > failures.resetAt) loginFailures.delete(ip);
+  }
+}
+
+setInterval(pruneExpired, PRUNE_INTERVAL_MINUTES * 60 * 1000).unref();
+
+/**
+ * Rejects requests without a session when a password is configured
+ */
+function requireSession(req, res, next) {
+  if (!APP_PASSWORD || hasValidSession(req)) return next();
+  sendError(res, 401, 'Login required');
+}
+
+// Reports whether a login is required and whether this browser has a session
+app.get('/api/session', (req, res) => {
+  res.json({ required: Boolean(APP_PASSWORD), authenticated: !APP_PASSWORD || hasValidSession(req) });
+});
+
+// Starts a session, stored in an HttpOnly cookie the page scripts cannot read
+app.post('/api/login', (req, res) => {
+  const { password, remember } = req.body || {};
+
+  if (!APP_PASSWORD) {
+    return res.json({ authenticated: true });
+  }
+  // Guesses are limited per address, since a delay alone doesn't stop parallel ones
+  const wait = getLoginWait(req.ip);
+  if (wait) {
+    res.setHeader('Retry-After', String(wait));
+    return sendError(res, 429, `Too many failed logins. Try again in ${Math.ceil(wait / 60)} minutes.`);
+  }
+  if (!passwordMatches(password || '', APP_PASSWORD)) {
+    recordLoginFailure(req.ip);
+    // Slow down password guessing
+    return setTimeout(() => sendError(res, 401, 'Invalid password'), 500);
+  }
+  loginFailures.delete(req.ip);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = remember ? REMEMBER_DAYS * 24 * 60 * 60 * 1000 : SESSION_HOURS * 60 * 60 * 1000;
+  sessions.set(token, Date.now() + maxAge);
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/',
+    ...(remember ? { maxAge } : {})
+  });
+  res.json({ authenticated: true });
+});
+
+// Ends the session
+app.post('/api/logout', (req, res) => {
+  const token = getSessionToken(req);
+  if (token) sessions.delete(token);
+
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ authenticated: false });
+});
+
+/**
+ * Sends an error in the same shape the providers use
+ * @param {Object} res - The response
+ * @param {number} status - The HTTP status
+ * @param {string} message - The error message
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ error: { message } });
+}
+
+/**
+ * Forwards a chat request to its provider
+ * @param {Object} req - The request, with body { provider, model, body }
+ * @param {Object} res - The response, used to send validation errors
+ * @param {boolean} stream - Whether the request streams its response
+ * @param {AbortSignal} signal - Aborts the upstream request
+ * @returns {Promise<Response|null>} - The upstream response, or null if an error was sent
+ */
+async function forwardChatRequest(req, res, stream, signal) {
+  const { provider: providerId, model, body } = req.body || {};
+  const provider = PROVIDERS[providerId];
+
+  if (!provider) {
+    sendError(res, 400, `Unknown provider: ${providerId}`);
+    return null;
+  }
+  if (typeof model !== 'string' || !/^[\w.:-]+$/.test(model) || !body) {
+    sendError(res, 400, 'Request must include a valid model and body');
+    return null;
+  }
+  if (!provider.apiKey) {
+    sendError(res, 503, `${provider.keyName} is not set on the server`);
+    return null;
+  }
+
+  return fetch(provider.getUrl(model, stream), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...provider.getHeaders(provider.apiKey) },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+/**
+ * Passes the provider's Retry-After header on, so the browser backs off as asked
+ * @param {Response} upstream - The provider response
+ * @param {Object} res - The Express response
+ */
+function copyRetryAfter(upstream, res) {
+  const retryAfter = upstream.headers.get('retry-after');
+  if (retryAfter) res.setHeader('Retry-After', retryAfter);
+}
+
+// Non-streaming chat proxy: returns the provider response as is
+app.post('/api/chat', requireSession, async (req, res) => {
+  try {
+    const upstream = await forwardChatRequest(req, res, false);
+    if (!upstream) return;
+
+    copyRetryAfter(upstream, res);
+    res.status(upstream.status)
+      .type(upstream.headers.get('content-type') || 'application/json')
+      .send(await upstream.text());
+  } catch (err) {
+    console.error('Proxy error:', err);
+    sendError(res, 502, 'Upstream request failed: ' + err.message);
+  }
+});
+
+// Streaming chat proxy: passes the SSE stream through unchanged
+app.post('/api/chat/stream', requireSession, async (req, res) => {
+  // Stop the upstream request when the browser disconnects
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const upstream = await forwardChatRequest(req, res, true, controller.signal);
+    if (!upstream) return;
+
+    copyRetryAfter(upstream, res);
+    res.status(upstream.status);
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+    res.end();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('Proxy stream error:', err);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendError(res, 502, 'Upstream request failed: ' + err.message);
+    }
+  }
+});
 
 // Serve static files from the root directory
 app.use(express.static(path.join(__dirname, '/')));
@@ -17,13 +297,15 @@ app.get('/', (req, res) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
+app.listen(PORT, HOST, () => {
   console.log(`
 =================================================
   AI Chat Agent server running!
-  
+
   → Access the app at: http://localhost:${PORT}
+  → API proxy keys: OpenAI ${PROVIDERS.openai.apiKey ? 'set' : 'not set'}, Gemini ${PROVIDERS.gemini.apiKey ? 'set' : 'not set'}
+  → Proxy login: ${APP_PASSWORD ? 'required (APP_PASSWORD), listening on all interfaces' : 'off, listening on 127.0.0.1 only'}
   → Press Ctrl+C to stop the server
 =================================================
   `);
-}); 
\ No newline at end of file
+});
\ No newline at end of file
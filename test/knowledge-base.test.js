@@ -0,0 +1,58 @@
+/**
+ * Tests for js/knowledge-base.js
+ * The browser modules are loaded into a vm context with an in-memory IndexedDB
+ *
+ * Usage:
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { indexedDB } = require('fake-indexeddb');
+
+/**
+ * Loads the knowledge base and the modules it uses
+ * @returns {Object} - The context, with the modules as globals
+ */
+function loadKnowledgeBase() {
+  const context = vm.createContext({ indexedDB, crypto: globalThis.crypto, TextEncoder, TextDecoder, console });
+  for (const file of ['utils.js', 'database.js', 'knowledge-base.js']) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    // Top-level const bindings aren't context properties, so expose each module as a var
+    vm.runInContext(source.replace(/^const (\w+) =/m, 'var $1 ='), context, { filename: file });
+  }
+  return context;
+}
+
+const context = loadKnowledgeBase();
+const { KnowledgeBase } = context;
+
+test('indexes and finds words that are Object.prototype properties', async () => {
+  const doc = await KnowledgeBase.addDocument('classes.md',
+    'A class constructor runs when an object is created.\n\nCall toString to print the object.');
+  await KnowledgeBase.addDocument('other.md', 'Nothing about classes here.');
+
+  const constructorResults = await KnowledgeBase.search('constructor', 5);
+  assert.strictEqual(constructorResults.length, 1);
+  assert.strictEqual(constructorResults[0].documentId, doc.id);
+  assert.ok(Number.isFinite(constructorResults[0].score) && constructorResults[0].score > 0);
+
+  const toStringResults = await KnowledgeBase.search('toString hasOwnProperty', 5);
+  assert.strictEqual(toStringResults.length, 1);
+  assert.ok(Number.isFinite(toStringResults[0].score));
+
+  // Postings once landed on the module's own Object constructor, which is the vm realm's
+  const realmObject = vm.runInContext('Object', context);
+  assert.strictEqual(Object.hasOwn(realmObject, doc.id + ':0'), false);
+});
+
+test('removes the index entries of a removed document', async () => {
+  const doc = await KnowledgeBase.addDocument('constructor.txt', 'The constructor of a prototype.');
+  assert.ok((await KnowledgeBase.search('prototype', 5)).some(result => result.documentId === doc.id));
+
+  await KnowledgeBase.removeDocument(doc.id);
+  assert.strictEqual((await KnowledgeBase.search('prototype', 5)).length, 0);
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for js/syntax-highlighter.js
+ * The browser modules are loaded into a vm context
+ *
+ * Usage:
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Loads the syntax highlighter and the modules it uses
+ * @returns {Object} - The context, with the modules as globals
+ */
+function loadSyntaxHighlighter() {
+  const context = vm.createContext({ crypto: globalThis.crypto, TextEncoder, TextDecoder, console });
+  for (const file of ['utils.js', 'syntax-highlighter.js']) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    // Top-level const bindings aren't context properties, so expose each module as a var
+    vm.runInContext(source.replace(/^const (\w+) =/m, 'var $1 ='), context, { filename: file });
+  }
+  return context;
+}
+
+const { SyntaxHighlighter } = loadSyntaxHighlighter();
+
+test('treats Object.prototype property names as unsupported languages', () => {
+  for (const language of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.strictEqual(SyntaxHighlighter.resolveLanguage(language), null);
+    assert.strictEqual(SyntaxHighlighter.highlight('a < b', language), 'a &lt; b');
+  }
+});
+
+test('highlights supported languages and their aliases', () => {
+  assert.strictEqual(SyntaxHighlighter.resolveLanguage('js'), 'javascript');
+  assert.match(SyntaxHighlighter.highlight('const x = 1;', 'js'), /<span class="hl-keyword">const<\/span>/);
+});